@@ -6,6 +6,17 @@ import { fileURLToPath } from 'url';
 import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { createFrameMetadata, getWebhookUrl } from '../src/lib/manifest.js';
+import {
+  ask,
+  parseOptions,
+  printUsage,
+  readSeedPhrase,
+  redactFromConsole,
+  warnAboutEnvLocalSeedPhrase,
+} from './cli.js';
+import { getDeploymentEnv, getEnvPath, loadProfileEnv, updateEnvFile } from './profiles.js';
+import { getManifestSigner } from './signers.js';
 
 // ANSI color codes
 const yellow = '\x1b[33m';
@@ -43,24 +54,25 @@ async function lookupFidByCustodyAddress(custodyAddress, apiKey) {
   return data.user.fid;
 }
 
-async function loadEnvLocal() {
+async function loadEnvLocal(options) {
   try {
     if (fs.existsSync('.env.local')) {
-      const { loadLocal } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'loadLocal',
-          message: 'Found .env.local, likely created by the install script - would you like to load its values?',
-          default: false
-        }
-      ]);
+      const loadLocal = await ask(options, {
+        option: 'loadEnvLocal',
+        value: options.loadEnvLocal,
+        type: 'confirm',
+        message: 'Found .env.local, likely created by the install script - would you like to load its values?',
+        default: false
+      });
 
       if (loadLocal) {
         console.log('Loading values from .env.local...');
         const localEnv = dotenv.parse(fs.readFileSync('.env.local'));
         
-        // Copy all values except SEED_PHRASE to .env
-        const envContent = fs.existsSync('.env') ? fs.readFileSync('.env', 'utf8') + '\n' : '';
+        // Copy all values except SEED_PHRASE to the profile's env file (.env without
+        // a profile), so they don't leak into the .env every other profile loads
+        const envPath = getEnvPath(projectRoot, options.profile);
+        const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') + '\n' : '';
         let newEnvContent = envContent;
         
         for (const [key, value] of Object.entries(localEnv)) {
@@ -74,19 +86,13 @@ async function loadEnvLocal() {
           }
         }
         
-        // Write updated content to .env
-        fs.writeFileSync('.env', newEnvContent);
-        console.log('✅ Values from .env.local have been written to .env');
+        // Write updated content to the env file
+        fs.writeFileSync(envPath, newEnvContent);
+        console.log(`✅ Values from .env.local have been written to ${path.basename(envPath)}`);
       }
     }
 
-    // Always try to load SEED_PHRASE from .env.local
-    if (fs.existsSync('.env.local')) {
-      const localEnv = dotenv.parse(fs.readFileSync('.env.local'));
-      if (localEnv.SEED_PHRASE) {
-        process.env.SEED_PHRASE = localEnv.SEED_PHRASE;
-      }
-    }
+    warnAboutEnvLocalSeedPhrase();
   } catch (error) {
     // Error reading .env.local, which is fine
     console.log('Note: No .env.local file found');
@@ -141,120 +147,104 @@ async function validateSeedPhrase(seedPhrase) {
   }
 }
 
-async function generateFarcasterMetadata(domain, fid, accountAddress, seedPhrase, webhookUrl) {
-  const header = {
-    type: 'custody',
-    key: accountAddress,
+async function generateFarcasterMetadata(domain, fid, signer, webhookUrl) {
+  return createFrameMetadata({
+    appUrl: `https://${domain.trim()}`,
     fid,
-  };
-  const encodedHeader = Buffer.from(JSON.stringify(header), 'utf-8').toString('base64');
-
-  const payload = {
-    domain
-  };
-  const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf-8').toString('base64url');
-
-  const account = mnemonicToAccount(seedPhrase);
-  const signature = await account.signMessage({ 
-    message: `${encodedHeader}.${encodedPayload}`
+    signer,
+    name: process.env.NEXT_PUBLIC_FRAME_NAME ?? '',
+    buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT ?? '',
+    webhookUrl,
   });
-  const encodedSignature = Buffer.from(signature, 'utf-8').toString('base64url');
-
-  return {
-    accountAssociation: {
-      header: encodedHeader,
-      payload: encodedPayload,
-      signature: encodedSignature
-    },
-    frame: {
-      version: "1",
-      name: process.env.NEXT_PUBLIC_FRAME_NAME,
-      iconUrl: `https://${domain}/icon.png`,
-      homeUrl: `https://${domain}`,
-      imageUrl: `https://${domain}/opengraph-image`,
-      buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT,
-      splashImageUrl: `https://${domain}/splash.png`,
-      splashBackgroundColor: "#f7f7f7",
-      webhookUrl,
-    },
-  };
 }
 
 async function main() {
   try {
+    const options = parseOptions(projectRoot);
+    if (options.help) {
+      printUsage('build.js');
+      return;
+    }
+
     console.log('\n📝 Checking environment variables...');
     console.log('Loading values from .env...');
     
     // Load .env.local if user wants to
-    await loadEnvLocal();
+    await loadEnvLocal(options);
+    loadProfileEnv(projectRoot, options.profile);
+    if (options.profile) {
+      console.log(`Building profile "${options.profile}"`);
+    }
+    const deploymentEnv = getDeploymentEnv(options);
 
     // Get domain from user
-    const { domain } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'domain',
-        message: 'Enter the domain where your frame will be deployed (e.g., example.com):',
-        validate: async (input) => {
-          try {
-            await validateDomain(input);
-            return true;
-          } catch (error) {
-            return error.message;
-          }
+    const domain = await ask(options, {
+      option: 'domain',
+      value: options.domain,
+      required: true,
+      type: 'input',
+      message: 'Enter the domain where your frame will be deployed (e.g., example.com):',
+      validate: async (input) => {
+        try {
+          await validateDomain(input);
+          return true;
+        } catch (error) {
+          return error.message;
         }
       }
-    ]);
+    });
 
     // Get frame name from user
-    const { frameName } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'frameName',
-        message: 'Enter the name for your frame (e.g., My Cool Frame):',
-        default: process.env.NEXT_PUBLIC_FRAME_NAME,
-        validate: (input) => {
-          if (input.trim() === '') {
-            return 'Frame name cannot be empty';
-          }
-          return true;
+    const frameName = await ask(options, {
+      option: 'name',
+      value: options.name,
+      required: true,
+      type: 'input',
+      message: 'Enter the name for your frame (e.g., My Cool Frame):',
+      default: process.env.NEXT_PUBLIC_FRAME_NAME,
+      validate: (input) => {
+        if (input.trim() === '') {
+          return 'Frame name cannot be empty';
         }
+        return true;
       }
-    ]);
+    });
 
     // Get button text from user
-    const { buttonText } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'buttonText',
-        message: 'Enter the text for your frame button:',
-        default: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT || 'Launch Frame',
-        validate: (input) => {
-          if (input.trim() === '') {
-            return 'Button text cannot be empty';
-          }
-          return true;
+    const buttonText = await ask(options, {
+      option: 'button',
+      value: options.button,
+      required: true,
+      type: 'input',
+      message: 'Enter the text for your frame button:',
+      default: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT || 'Launch Frame',
+      validate: (input) => {
+        if (input.trim() === '') {
+          return 'Button text cannot be empty';
         }
+        return true;
       }
-    ]);
+    });
+
+    if (options.description) {
+      process.env.NEXT_PUBLIC_FRAME_DESCRIPTION = options.description;
+    }
 
     // Get Neynar configuration
-    let neynarApiKey = process.env.NEYNAR_API_KEY;
-    let neynarClientId = process.env.NEYNAR_CLIENT_ID;
+    let neynarApiKey = options.neynarApiKey ?? process.env.NEYNAR_API_KEY;
+    let neynarClientId = options.neynarClientId ?? process.env.NEYNAR_CLIENT_ID;
     let useNeynar = true;
 
     while (useNeynar) {
       if (!neynarApiKey) {
-        const { neynarApiKey: inputNeynarApiKey } = await inquirer.prompt([
-          {
-            type: 'password',
-            name: 'neynarApiKey',
-            message: 'Enter your Neynar API key (optional - leave blank to skip):',
-            default: null
-          }
-        ]);
-        neynarApiKey = inputNeynarApiKey;
+        neynarApiKey = await ask(options, {
+          option: 'neynarApiKey',
+          type: 'password',
+          message: 'Enter your Neynar API key (optional - leave blank to skip):',
+          default: null
+        });
       } else {
-        console.log('Using existing Neynar API key from .env');
+        console.log('Using existing Neynar API key');
       }
 
       if (!neynarApiKey) {
@@ -271,6 +261,9 @@ async function main() {
       }
 
       // If we get here, the API key was invalid
+      if (options.yes) {
+        throw new Error('Could not find Neynar app information. The API key may be incorrect.');
+      }
       console.log('\n⚠️  Could not find Neynar app information. The API key may be incorrect.');
       const { retry } = await inquirer.prompt([
         {
@@ -291,13 +284,16 @@ async function main() {
       }
     }
 
-    // Get seed phrase from user
-    let seedPhrase = process.env.SEED_PHRASE;
-    if (!seedPhrase) {
-      const { seedPhrase: inputSeedPhrase } = await inquirer.prompt([
-        {
+    // Sign with a keystore, an external command or a pasted signature when
+    // asked to, otherwise with the custody seed phrase
+    let signer = await getManifestSigner(options, { hasSeedPhrase: !!readSeedPhrase(options) });
+    if (!signer) {
+      let seedPhrase = readSeedPhrase(options);
+      if (!seedPhrase) {
+        seedPhrase = await ask(options, {
+          option: 'seedPhraseFile',
+          required: true,
           type: 'password',
-          name: 'seedPhrase',
           message: 'Your farcaster custody account seed phrase is required to create a signature proving this app was created by you.\n' +
           `⚠️ ${yellow}${italic}seed phrase is only used to sign the frame manifest, then discarded${reset} ⚠️\n` +
           'Seed phrase:',
@@ -309,79 +305,68 @@ async function main() {
               return error.message;
             }
           }
-        }
-      ]);
-      seedPhrase = inputSeedPhrase;
-    } else {
-      console.log('Using existing seed phrase from .env');
-    }
+        });
+      } else {
+        console.log('Using existing seed phrase');
+      }
+      redactFromConsole(seedPhrase);
 
-    // Validate seed phrase and get account address
-    const accountAddress = await validateSeedPhrase(seedPhrase);
-    console.log('✅ Generated account address from seed phrase');
+      // Validate seed phrase and get account address
+      await validateSeedPhrase(seedPhrase);
+      signer = mnemonicToAccount(seedPhrase);
+      console.log('✅ Generated account address from seed phrase');
+    }
 
-    const fid = await lookupFidByCustodyAddress(accountAddress, neynarApiKey ?? 'FARCASTER_V2_FRAMES_DEMO');
+    const fid = await lookupFidByCustodyAddress(signer.address, neynarApiKey ?? 'FARCASTER_V2_FRAMES_DEMO');
 
     // Generate and sign manifest
     console.log('\n🔨 Generating frame manifest...');
     
     // Determine webhook URL based on environment variables
-    const webhookUrl = neynarApiKey && neynarClientId 
-      ? `https://api.neynar.com/f/app/${neynarClientId}/event`
-      : `${domain}/api/webhook`;
-
-    const metadata = await generateFarcasterMetadata(domain, fid, accountAddress, seedPhrase, webhookUrl);
-    console.log('\n✅ Frame manifest generated' + (seedPhrase ? ' and signed' : ''));
+    const webhookUrl = getWebhookUrl({ appUrl: `https://${domain}`, neynarApiKey, neynarClientId });
 
-    // Read existing .env file or create new one
-    const envPath = path.join(projectRoot, '.env');
-    let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    process.env.NEXT_PUBLIC_FRAME_NAME = frameName;
+    process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT = buttonText;
+    const metadata = await generateFarcasterMetadata(domain, fid, signer, webhookUrl);
+    console.log('\n✅ Frame manifest generated and signed');
 
-    // Add or update environment variables
-    const newEnvVars = [
+    // Add or update environment variables, in the profile's own env file
+    // when building a profile
+    const envPath = getEnvPath(projectRoot, options.profile);
+    const newEnvVars = {
       // Base URL
-      `NEXT_PUBLIC_URL=https://${domain}`,
+      NEXT_PUBLIC_URL: `https://${domain}`,
 
       // Frame metadata
-      `NEXT_PUBLIC_FRAME_NAME="${frameName}"`,
-      `NEXT_PUBLIC_FRAME_DESCRIPTION="${process.env.NEXT_PUBLIC_FRAME_DESCRIPTION || ''}"`,
-      `NEXT_PUBLIC_FRAME_BUTTON_TEXT="${buttonText}"`,
+      NEXT_PUBLIC_FRAME_NAME: frameName,
+      NEXT_PUBLIC_FRAME_DESCRIPTION: process.env.NEXT_PUBLIC_FRAME_DESCRIPTION,
+      NEXT_PUBLIC_FRAME_BUTTON_TEXT: buttonText,
+
+      // Chain and presale factory (if given)
+      ...deploymentEnv,
 
       // Neynar configuration (if it exists in current env)
-      ...(process.env.NEYNAR_API_KEY ? 
-        [`NEYNAR_API_KEY="${process.env.NEYNAR_API_KEY}"`] : []),
-      ...(neynarClientId ? 
-        [`NEYNAR_CLIENT_ID="${neynarClientId}"`] : []),
+      NEYNAR_API_KEY: neynarApiKey,
+      NEYNAR_CLIENT_ID: neynarClientId,
 
       // FID (if it exists in current env)
-      ...(process.env.FID ? [`FID="${process.env.FID}"`] : []),
+      FID: process.env.FID,
 
       // NextAuth configuration
-      `NEXTAUTH_SECRET="${process.env.NEXTAUTH_SECRET || crypto.randomBytes(32).toString('hex')}"`,
-      `NEXTAUTH_URL="https://${domain}"`,
+      NEXTAUTH_SECRET: process.env.NEXTAUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+      NEXTAUTH_URL: `https://${domain}`,
 
       // Frame manifest with signature
-      `FRAME_METADATA=${JSON.stringify(metadata)}`,
-    ];
-
-    // Filter out empty values and join with newlines
-    const validEnvVars = newEnvVars.filter(line => {
-      const [, value] = line.split('=');
-      return value && value !== '""';
-    });
-
-    // Update or append each environment variable
-    validEnvVars.forEach(varLine => {
-      const [key] = varLine.split('=');
-      if (envContent.includes(`${key}=`)) {
-        envContent = envContent.replace(new RegExp(`${key}=.*`), varLine);
-      } else {
-        envContent += `\n${varLine}`;
+      FRAME_METADATA: metadata,
+    };
+    updateEnvFile(envPath, newEnvVars);
+
+    // next build reads .env itself, but not a profile's env file
+    for (const [key, value] of Object.entries(newEnvVars)) {
+      if (value) {
+        process.env[key] = typeof value === 'object' ? JSON.stringify(value) : value;
       }
-    });
-
-    // Write updated .env file
-    fs.writeFileSync(envPath, envContent);
+    }
 
     console.log('\n✅ Environment variables updated');
 
@@ -390,7 +375,7 @@ async function main() {
     execSync('next build', { cwd: projectRoot, stdio: 'inherit' });
 
     console.log('\n✨ Build complete! Your frame is ready for deployment. 🪐');
-    console.log('📝 Make sure to configure the environment variables from .env in your hosting provider');
+    console.log(`📝 Make sure to configure the environment variables from ${path.basename(envPath)} in your hosting provider`);
 
   } catch (error) {
     console.error('\n❌ Error:', error.message);
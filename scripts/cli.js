@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { inspect, parseArgs } from 'util';
+import dotenv from 'dotenv';
+import inquirer from 'inquirer';
+
+const DEFAULT_CONFIG_FILE = 'farsale.config.json';
+
+// Flags shared by build.js and deploy.js. Every one except --config can also
+// be set in the config file under its camelCase name, e.g. "neynarApiKey".
+// The config file can also hold named profiles under "profiles", each with
+// any of the same options:
+//
+//   { "yes": true, "profiles": { "staging": { "domain": "staging.example.com", "chainId": 84532 } } }
+//
+// Flags win over the selected profile, which wins over the rest of the
+// config file, which wins over .env.
+const optionSpecs = {
+  config: { type: 'string', description: `JSON file with any of the options below (default: ${DEFAULT_CONFIG_FILE} if present)` },
+  profile: { type: 'string', description: 'Profile from the config file to use, e.g. staging' },
+  yes: { type: 'boolean', short: 'y', description: 'Never prompt: use flags, config and defaults, and fail if a required value is missing' },
+  domain: { type: 'string', description: 'Domain the frame is served from, e.g. example.com' },
+  name: { type: 'string', description: 'Frame name' },
+  button: { type: 'string', description: 'Frame button text' },
+  description: { type: 'string', description: 'Frame description' },
+  'chain-id': { type: 'string', description: 'Chain ID the presale contracts are on' },
+  'factory-address': { type: 'string', description: 'Presale factory contract address' },
+  'neynar-api-key': { type: 'string', description: 'Neynar API key' },
+  'neynar-client-id': { type: 'string', description: 'Neynar client ID (looked up from the API key when omitted)' },
+  'seed-phrase-file': { type: 'string', description: 'File containing the custody seed phrase (or set SEED_PHRASE)' },
+  keystore: { type: 'string', description: 'Sign with this encrypted (v3) keystore file instead of a seed phrase' },
+  'keystore-passphrase-file': { type: 'string', description: 'File containing the keystore passphrase (or set KEYSTORE_PASSPHRASE)' },
+  'signer-command': { type: 'string', description: 'Sign with a command that reads the message on stdin and prints the signature' },
+  'signer-address': { type: 'string', description: 'Custody address for --signer-command or --paste-signature' },
+  'paste-signature': { type: 'boolean', description: 'Print the message to sign elsewhere and paste the signature back' },
+  'load-env-local': { type: 'boolean', description: 'Load values from .env.local' },
+  github: { type: 'boolean', description: 'deploy: deploy from the GitHub repository' },
+  local: { type: 'boolean', description: 'deploy: deploy local code directly' },
+  project: { type: 'string', description: 'deploy: Vercel project to link' },
+  'preview-branch': { type: 'string', description: 'deploy: git branch a non-production profile\'s Vercel env vars apply to (default: the profile name)' },
+  help: { type: 'boolean', short: 'h', description: 'Show this help' },
+};
+
+function toCamelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+function checkConfigKeys(values, where, notAllowed) {
+  for (const key of Object.keys(values)) {
+    if (!(toFlag(key) in optionSpecs) || notAllowed.includes(key)) {
+      throw new Error(`Unknown option "${key}" in ${where}`);
+    }
+  }
+}
+
+export function printUsage(script) {
+  console.log(`Usage: node scripts/${script} [options]\n`);
+  for (const [flag, spec] of Object.entries(optionSpecs)) {
+    const name = `${spec.short ? `-${spec.short}, ` : ''}--${flag}${spec.type === 'string' ? ' <value>' : ''}`;
+    console.log(`  ${name.padEnd(38)}${spec.description}`);
+  }
+}
+
+/**
+ * Reads the command line, the config file and the selected profile into one
+ * object keyed by camelCase option name. Unknown flags, config keys and
+ * profiles are errors.
+ */
+export function parseOptions(projectRoot, args = process.argv.slice(2)) {
+  const parseSpecs = Object.fromEntries(
+    Object.entries(optionSpecs).map(([flag, { type, short }]) => [flag, short ? { type, short } : { type }])
+  );
+  const { values } = parseArgs({ args, options: parseSpecs, strict: true });
+
+  const configPath = values.config ?? (fs.existsSync(path.join(projectRoot, DEFAULT_CONFIG_FILE)) ? DEFAULT_CONFIG_FILE : null);
+  let config = {};
+  if (configPath) {
+    const resolved = path.resolve(projectRoot, configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+
+  const { profiles = {}, ...topLevel } = config;
+  checkConfigKeys(topLevel, configPath, ['config']);
+
+  const profile = values.profile ?? topLevel.profile;
+  let profileOptions = {};
+  if (profile) {
+    // Names end up in env file names
+    if (!/^[A-Za-z0-9_-]+$/.test(profile)) {
+      throw new Error(`Invalid profile name "${profile}": use letters, digits, - and _`);
+    }
+    if (!Object.hasOwn(profiles, profile)) {
+      const known = Object.keys(profiles);
+      throw new Error(
+        `Profile "${profile}" not found in ${configPath ?? DEFAULT_CONFIG_FILE}` +
+        (known.length ? ` (profiles: ${known.join(', ')})` : '')
+      );
+    }
+    profileOptions = profiles[profile];
+    checkConfigKeys(profileOptions, `profile "${profile}"`, ['config', 'profile']);
+  }
+
+  const options = { ...topLevel, ...profileOptions, profile };
+  for (const [flag, value] of Object.entries(values)) {
+    options[toCamelCase(flag)] = value;
+  }
+  return options;
+}
+
+/**
+ * The seed phrase from --seed-phrase-file, falling back to SEED_PHRASE.
+ */
+export function readSeedPhrase(options) {
+  if (options.seedPhraseFile) {
+    return fs.readFileSync(options.seedPhraseFile, 'utf8').trim();
+  }
+  return process.env.SEED_PHRASE;
+}
+
+/**
+ * Earlier versions offered to save the seed phrase in .env.local. It isn't
+ * read from there any more, and Next.js would load it into the server, so
+ * point out a leftover one to be removed.
+ */
+export function warnAboutEnvLocalSeedPhrase() {
+  if (fs.existsSync('.env.local') && dotenv.parse(fs.readFileSync('.env.local')).SEED_PHRASE) {
+    console.warn(
+      '⚠️  .env.local contains SEED_PHRASE, which is no longer used. Remove it, and pass ' +
+      '--seed-phrase-file, --keystore, --signer-command or --paste-signature to sign the manifest.'
+    );
+  }
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Answers an inquirer question. A `value` already given through a flag, the
+ * config file or .env is validated and used as is. With --yes nothing is
+ * asked: the question's default is used, and a required question without
+ * one throws so the script exits non-zero.
+ */
+export async function ask(options, { option, value, required = false, ...question }) {
+  if (hasValue(value)) {
+    const result = question.validate ? await question.validate(value) : true;
+    if (result !== true) {
+      throw new Error(`Invalid --${toFlag(option)}: ${result}`);
+    }
+    return value;
+  }
+
+  if (options.yes) {
+    if (hasValue(question.default)) return question.default;
+    if (required) {
+      throw new Error(`Missing required value: pass --${toFlag(option)} or set "${option}" in the config file`);
+    }
+    return question.type === 'confirm' ? false : null;
+  }
+
+  const answers = await inquirer.prompt([{ ...question, name: 'value' }]);
+  return answers.value;
+}
+
+/**
+ * Replaces `secret` in everything printed through console from now on, so
+ * logged errors and objects can't leak it. Whitespace between words is
+ * matched loosely since mnemonics get reformatted.
+ */
+export function redactFromConsole(secret) {
+  const words = secret?.trim().split(/\s+/);
+  if (!words?.length || !words[0]) return;
+
+  const pattern = new RegExp(words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'g');
+  const redact = (arg) => {
+    const text = typeof arg === 'string' ? arg : inspect(arg);
+    const redacted = text.replace(pattern, '[REDACTED]');
+    return redacted === text ? arg : redacted;
+  };
+
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method];
+    console[method] = (...args) => original(...args.map(redact));
+  }
+}
@@ -2,28 +2,52 @@ import { execSync, spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
 import { mnemonicToAccount } from 'viem/accounts';
+import { createFrameMetadata, getWebhookUrl, verifyAccountAssociation } from '../src/lib/manifest.js';
+import {
+  ask,
+  parseOptions,
+  printUsage,
+  readSeedPhrase,
+  redactFromConsole,
+  warnAboutEnvLocalSeedPhrase,
+} from './cli.js';
+import { getDeploymentEnv, getEnvPath, getVercelTarget, loadProfileEnv, updateEnvFile } from './profiles.js';
+import { getManifestSigner } from './signers.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, '..');
 
+// Command line and config file options, set in main()
+let options = {};
+
+// Vercel environment (and, for previews, git branch) the selected profile
+// deploys to; set in main()
+let vercelTarget = getVercelTarget({});
+
+// Signs the frame manifest, if the user gave us a way to; set in
+// checkRequiredEnvVars()
+let manifestSigner = null;
+
+// Builds a Vercel CLI command. With --yes the CLI's own prompts are skipped
+// too, and VERCEL_TOKEN is used when set, e.g. in CI. The token is left for
+// the shell to expand from the environment, so it never appears in the
+// command string that a failed execSync puts in its error message.
+function vercelCommand(args, { confirm = false } = {}) {
+  return [
+    'vercel',
+    args,
+    ...(confirm && options.yes ? ['--yes'] : []),
+    ...(process.env.VERCEL_TOKEN ? ['--token "$VERCEL_TOKEN"'] : [])
+  ].filter(Boolean).join(' ');
+}
+
 // Load environment variables in specific order
 // First load .env for main config
 dotenv.config({ path: '.env' });
 
-async function validateSeedPhrase(seedPhrase) {
-  try {
-    // Try to create an account from the seed phrase
-    const account = mnemonicToAccount(seedPhrase);
-    return account.address;
-  } catch (error) {
-    throw new Error('Invalid seed phrase');
-  }
-}
-
 async function lookupFidByCustodyAddress(custodyAddress, apiKey) {
   if (!apiKey) {
     throw new Error('Neynar API key is required');
@@ -51,57 +75,27 @@ async function lookupFidByCustodyAddress(custodyAddress, apiKey) {
   return data.user.fid;
 }
 
-async function generateFarcasterMetadata(domain, fid, accountAddress, seedPhrase, webhookUrl) {
-  const trimmedDomain = domain.trim();
-  const header = {
-    type: 'custody',
-    key: accountAddress,
+async function generateFarcasterMetadata(domain, fid, signer, webhookUrl) {
+  return createFrameMetadata({
+    appUrl: `https://${domain.trim()}`,
     fid,
-  };
-  const encodedHeader = Buffer.from(JSON.stringify(header), 'utf-8').toString('base64');
-
-  const payload = {
-    domain: trimmedDomain
-  };
-  const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf-8').toString('base64url');
-
-  const account = mnemonicToAccount(seedPhrase);
-  const signature = await account.signMessage({ 
-    message: `${encodedHeader}.${encodedPayload}`
+    signer,
+    name: process.env.NEXT_PUBLIC_FRAME_NAME ?? '',
+    buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT ?? '',
+    webhookUrl,
   });
-  const encodedSignature = Buffer.from(signature, 'utf-8').toString('base64url');
-
-  return {
-    accountAssociation: {
-      header: encodedHeader,
-      payload: encodedPayload,
-      signature: encodedSignature
-    },
-    frame: {
-      version: "1",
-      name: process.env.NEXT_PUBLIC_FRAME_NAME?.trim(),
-      iconUrl: `https://${trimmedDomain}/icon.png`,
-      homeUrl: `https://${trimmedDomain}`,
-      imageUrl: `https://${trimmedDomain}/opengraph-image`,
-      buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT?.trim(),
-      splashImageUrl: `https://${trimmedDomain}/splash.png`,
-      splashBackgroundColor: "#f7f7f7",
-      webhookUrl: webhookUrl?.trim(),
-    },
-  };
 }
 
 async function loadEnvLocal() {
   try {
     if (fs.existsSync('.env.local')) {
-      const { loadLocal } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'loadLocal',
-          message: 'Found .env.local - would you like to load its values in addition to .env values? (except for SEED_PHRASE, values will be written to .env)',
-          default: true
-        }
-      ]);
+      const loadLocal = await ask(options, {
+        option: 'loadEnvLocal',
+        value: options.loadEnvLocal,
+        type: 'confirm',
+        message: 'Found .env.local - would you like to load its values in addition to .env values? (values will be written to .env, or to the profile env file with --profile)',
+        default: true
+      });
 
       if (loadLocal) {
         console.log('Loading values from .env.local...');
@@ -109,7 +103,6 @@ async function loadEnvLocal() {
         
         // Define allowed variables to load from .env.local
         const allowedVars = [
-          'SEED_PHRASE',
           'NEXT_PUBLIC_FRAME_NAME',
           'NEXT_PUBLIC_FRAME_DESCRIPTION',
           'NEXT_PUBLIC_FRAME_BUTTON_TEXT',
@@ -117,25 +110,28 @@ async function loadEnvLocal() {
           'NEYNAR_CLIENT_ID'
         ];
         
-        // Copy allowed values except SEED_PHRASE to .env
-        const envContent = fs.existsSync('.env') ? fs.readFileSync('.env', 'utf8') + '\n' : '';
+        // Copy allowed values to the profile's env file (.env without a profile), so
+        // they don't leak into the .env every other profile loads
+        const envPath = getEnvPath(projectRoot, options.profile);
+        const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') + '\n' : '';
         let newEnvContent = envContent;
         
         for (const [key, value] of Object.entries(localEnv)) {
           if (allowedVars.includes(key)) {
             // Update process.env
             process.env[key] = value;
-            // Add to .env content if not already there (except for SEED_PHRASE)
-            if (key !== 'SEED_PHRASE' && !envContent.includes(`${key}=`)) {
+            // Add to .env content if not already there
+            if (!envContent.includes(`${key}=`)) {
               newEnvContent += `${key}="${value}"\n`;
             }
           }
         }
         
-        // Write updated content to .env
-        fs.writeFileSync('.env', newEnvContent);
-        console.log('✅ Values from .env.local have been written to .env');
+        // Write updated content to the env file
+        fs.writeFileSync(envPath, newEnvContent);
+        console.log(`✅ Values from .env.local have been written to ${path.basename(envPath)}`);
       }
+      warnAboutEnvLocalSeedPhrase();
     }
   } catch (error) {
     // Error reading .env.local, which is fine
@@ -149,83 +145,76 @@ async function checkRequiredEnvVars() {
   
   // Load .env.local if user wants to
   await loadEnvLocal();
+  loadProfileEnv(projectRoot, options.profile);
+
+  // Values given on the command line or in the config file replace .env
+  if (options.description) process.env.NEXT_PUBLIC_FRAME_DESCRIPTION = options.description;
+  if (options.neynarApiKey) process.env.NEYNAR_API_KEY = options.neynarApiKey;
+  if (options.neynarClientId) process.env.NEYNAR_CLIENT_ID = options.neynarClientId;
+  Object.assign(process.env, getDeploymentEnv(options));
 
   const requiredVars = [
     {
       name: 'NEXT_PUBLIC_FRAME_NAME',
+      option: 'name',
       message: 'Enter the name for your frame (e.g., My Cool Frame):',
       default: process.env.NEXT_PUBLIC_FRAME_NAME,
       validate: input => input.trim() !== '' || 'Frame name cannot be empty'
     },
     {
       name: 'NEXT_PUBLIC_FRAME_BUTTON_TEXT',
+      option: 'button',
       message: 'Enter the text for your frame button:',
       default: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT ?? 'Launch Frame',
       validate: input => input.trim() !== '' || 'Button text cannot be empty'
     }
   ];
 
-  const missingVars = requiredVars.filter(varConfig => !process.env[varConfig.name]);
+  const missingVars = requiredVars.filter(varConfig => options[varConfig.option] || !process.env[varConfig.name]);
   
   if (missingVars.length > 0) {
     console.log('\n⚠️  Some required information is missing. Let\'s set it up:');
     for (const varConfig of missingVars) {
-      const { value } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'value',
-          message: varConfig.message,
-          default: varConfig.default,
-          validate: varConfig.validate
-        }
-      ]);
-      // Write to both process.env and .env file
+      const value = await ask(options, {
+        option: varConfig.option,
+        value: options[varConfig.option],
+        required: true,
+        type: 'input',
+        message: varConfig.message,
+        default: varConfig.default,
+        validate: varConfig.validate
+      });
+      // Write to both process.env and the profile's env file (.env without one)
       process.env[varConfig.name] = value;
-      
-      // Read existing .env content
-      const envContent = fs.existsSync('.env') ? fs.readFileSync('.env', 'utf8') : '';
-      
-      // Check if the variable already exists in .env
-      if (!envContent.includes(`${varConfig.name}=`)) {
-        // Append the new variable to .env without extra newlines
-        const newLine = envContent ? '\n' : '';
-        fs.appendFileSync('.env', `${newLine}${varConfig.name}="${value.trim()}"`);
-      }
+      updateEnvFile(getEnvPath(projectRoot, options.profile), { [varConfig.name]: value.trim() });
     }
   }
 
-  // Check for seed phrase
-  if (!process.env.SEED_PHRASE) {
+  // Sign with a keystore, an external command or a pasted signature when
+  // asked to, otherwise with the custody seed phrase if there is one
+  const existingSeedPhrase = readSeedPhrase(options);
+  manifestSigner = await getManifestSigner(options, { hasSeedPhrase: !!existingSeedPhrase });
+  if (manifestSigner) {
+    return;
+  }
+
+  if (existingSeedPhrase) {
+    redactFromConsole(existingSeedPhrase);
+    manifestSigner = mnemonicToAccount(existingSeedPhrase);
+  } else {
     console.log('\n🔑 Frame Manifest Signing');
     console.log('A signed manifest helps users trust your frame.');
-    const { seedPhrase } = await inquirer.prompt([
-      {
-        type: 'password',
-        name: 'seedPhrase',
-        message: 'Enter your Farcaster custody account seed phrase to sign the frame manifest\n(optional -- leave blank to create an unsigned frame)\n\nSeed phrase:',
-        default: null
-      }
-    ]);
+    const seedPhrase = await ask(options, {
+      option: 'seedPhraseFile',
+      type: 'password',
+      message: 'Enter your Farcaster custody account seed phrase to sign the frame manifest\n(optional -- leave blank to create an unsigned frame)\n\nSeed phrase:',
+      default: null
+    });
 
     if (seedPhrase) {
-      process.env.SEED_PHRASE = seedPhrase;
-      
-      const { storeSeedPhrase } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'storeSeedPhrase',
-          message: 'Would you like to store this seed phrase in .env.local for future use?',
-          default: false
-        }
-      ]);
-
-      if (storeSeedPhrase) {
-        // Write to .env.local
-        fs.appendFileSync('.env.local', `\nSEED_PHRASE="${seedPhrase}"`);
-        console.log('✅ Seed phrase stored in .env.local');
-      } else {
-        console.log('ℹ️  Seed phrase will only be used for this deployment');
-      }
+      redactFromConsole(seedPhrase);
+      manifestSigner = mnemonicToAccount(seedPhrase);
+      console.log('ℹ️  Seed phrase will only be used for this deployment');
     }
   }
 }
@@ -244,7 +233,7 @@ async function getGitRemote() {
 
 async function checkVercelCLI() {
   try {
-    execSync('vercel --version', { stdio: 'ignore' });
+    execSync(vercelCommand('--version'), { stdio: 'ignore' });
     return true;
   } catch (error) {
     return false;
@@ -257,6 +246,17 @@ async function installVercelCLI() {
 }
 
 async function loginToVercel() {
+  // Without a terminal there's nobody to finish the browser login
+  if (options.yes) {
+    try {
+      execSync(vercelCommand('whoami'), { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      console.error('\n❌ Not logged in to Vercel. Run `vercel login` first or set VERCEL_TOKEN.');
+      return false;
+    }
+  }
+
   console.log('\n🔑 Vercel Login');
   console.log('You can either:');
   console.log('1. Log in to an existing Vercel account');
@@ -293,7 +293,7 @@ async function loginToVercel() {
   
   for (let i = 0; i < 150; i++) {
     try {
-      execSync('vercel whoami', { stdio: 'ignore' });
+      execSync(vercelCommand('whoami'), { stdio: 'ignore' });
       console.log('✅ Successfully logged in to Vercel!');
       return true;
     } catch (error) {
@@ -313,10 +313,12 @@ async function loginToVercel() {
 }
 
 async function setVercelEnvVar(key, value, projectRoot) {
+  // e.g. "production", or "preview staging" for a branch-scoped preview var
+  const target = [vercelTarget.environment, vercelTarget.gitBranch].filter(Boolean).join(' ');
   try {
     // First try to remove the existing env var if it exists
     try {
-      execSync(`vercel env rm ${key} production -y`, {
+      execSync(vercelCommand(`env rm ${key} ${target} -y`), {
         cwd: projectRoot,
         stdio: 'ignore',
         env: process.env
@@ -332,7 +334,7 @@ async function setVercelEnvVar(key, value, projectRoot) {
       fs.writeFileSync(tempFilePath, JSON.stringify(value));
       
       // Use the file to add the environment variable
-      execSync(`vercel env add ${key} production < "${tempFilePath}"`, {
+      execSync(`${vercelCommand(`env add ${key} ${target}`)} < "${tempFilePath}"`, {
         cwd: projectRoot,
         stdio: 'inherit',
         env: process.env
@@ -345,7 +347,7 @@ async function setVercelEnvVar(key, value, projectRoot) {
       const tempFilePath = path.join(projectRoot, `${key}_temp.txt`);
       fs.writeFileSync(tempFilePath, value.toString());
       
-      execSync(`vercel env add ${key} production < "${tempFilePath}"`, {
+      execSync(`${vercelCommand(`env add ${key} ${target}`)} < "${tempFilePath}"`, {
         cwd: projectRoot,
         stdio: 'inherit',
         env: process.env
@@ -370,7 +372,8 @@ async function deployToVercel(useGitHub = false) {
       console.log('📝 Creating vercel.json configuration...');
       fs.writeFileSync(vercelConfigPath, JSON.stringify({
         buildCommand: "next build",
-        framework: "nextjs"
+        framework: "nextjs",
+        crons: [{ path: "/api/cron", schedule: "*/5 * * * *" }]
       }, null, 2));
     }
 
@@ -380,7 +383,13 @@ async function deployToVercel(useGitHub = false) {
     console.log('\n📦 Setting up Vercel project...');
     console.log(' An initial deployment is required to get an assigned domain that can be used in the frame manifest\n');
     console.log('\n⚠️ Note: choosing a longer, more unique project name will help avoid conflicts with other existing domains\n');
-    execSync('vercel', { 
+    if (options.project) {
+      execSync(vercelCommand(`link --project ${options.project}`, { confirm: true }), {
+        cwd: projectRoot,
+        stdio: 'inherit'
+      });
+    }
+    execSync(vercelCommand('', { confirm: true }), { 
       cwd: projectRoot,
       stdio: 'inherit'
     });
@@ -391,7 +400,7 @@ async function deployToVercel(useGitHub = false) {
 
     // Get project details using project inspect
     console.log('\n🔍 Getting project details...');
-    const inspectOutput = execSync(`vercel project inspect ${projectId} 2>&1`, {
+    const inspectOutput = execSync(`${vercelCommand(`project inspect ${projectId}`)} 2>&1`, {
       cwd: projectRoot,
       encoding: 'utf8'
     });
@@ -416,21 +425,38 @@ async function deployToVercel(useGitHub = false) {
       }
     }
 
-    // Generate frame metadata if we have a seed phrase
+    // A custom domain pointed at the project replaces the .vercel.app one
+    if (options.domain) {
+      domain = options.domain.replace(/^https?:\/\//, '').trim();
+      console.log('🌐 Using domain from options:', domain);
+    }
+
+    // Generate frame metadata if we have a signer
     let frameMetadata;
     let fid;
-    if (process.env.SEED_PHRASE) {
+    if (manifestSigner) {
       console.log('\n🔨 Generating frame metadata...');
-      const accountAddress = await validateSeedPhrase(process.env.SEED_PHRASE);
-      fid = await lookupFidByCustodyAddress(accountAddress, process.env.NEYNAR_API_KEY ?? 'FARCASTER_V2_FRAMES_DEMO');
+      fid = await lookupFidByCustodyAddress(manifestSigner.address, process.env.NEYNAR_API_KEY ?? 'FARCASTER_V2_FRAMES_DEMO');
       
       // Determine webhook URL based on Neynar configuration
-      const webhookUrl = process.env.NEYNAR_API_KEY && process.env.NEYNAR_CLIENT_ID 
-        ? `https://api.neynar.com/f/app/${process.env.NEYNAR_CLIENT_ID}/event`
-        : `https://${domain}/api/webhook`;
+      const webhookUrl = getWebhookUrl({
+        appUrl: `https://${domain}`,
+        neynarApiKey: process.env.NEYNAR_API_KEY,
+        neynarClientId: process.env.NEYNAR_CLIENT_ID
+      });
 
-      frameMetadata = await generateFarcasterMetadata(domain, fid, accountAddress, process.env.SEED_PHRASE, webhookUrl);
+      frameMetadata = await generateFarcasterMetadata(domain, fid, manifestSigner, webhookUrl);
       console.log('✅ Frame metadata generated and signed');
+    } else if (process.env.FRAME_METADATA) {
+      // Reuse a manifest signed earlier, e.g. by build.js, but only if it's for this domain
+      console.log('\n🔍 Verifying existing FRAME_METADATA...');
+      frameMetadata = JSON.parse(process.env.FRAME_METADATA);
+      fid = process.env.FID ? parseInt(process.env.FID) : undefined;
+      const { valid, errors } = await verifyAccountAssociation(frameMetadata.accountAssociation, { domain, fid });
+      if (!valid) {
+        throw new Error(`FRAME_METADATA is not valid for ${domain}:\n  - ${errors.join('\n  - ')}\nSet SEED_PHRASE or pass --keystore, --signer-command or --paste-signature to sign a new manifest.`);
+      }
+      console.log('✅ Existing frame metadata is signed for this domain');
     }
 
     // Prepare environment variables
@@ -441,6 +467,8 @@ async function deployToVercel(useGitHub = false) {
       AUTH_SECRET: nextAuthSecret, // Fallback for some NextAuth versions
       NEXTAUTH_URL: `https://${domain}`, // Add the deployment URL
       NEXT_PUBLIC_URL: `https://${domain}`,
+      // Vercel Cron sends this as a bearer token to /api/cron
+      CRON_SECRET: process.env.CRON_SECRET || crypto.randomBytes(32).toString('hex'),
       
       // Optional vars that should be set if they exist
       ...(process.env.NEYNAR_API_KEY && { NEYNAR_API_KEY: process.env.NEYNAR_API_KEY }),
@@ -467,7 +495,7 @@ async function deployToVercel(useGitHub = false) {
     // Deploy the project
     if (useGitHub) {
       console.log('\nSetting up GitHub integration...');
-      execSync('vercel link', { 
+      execSync(vercelCommand('link', { confirm: true }), { 
         cwd: projectRoot,
         stdio: 'inherit',
         env: process.env
@@ -477,7 +505,15 @@ async function deployToVercel(useGitHub = false) {
       console.log('\n📦 Deploying local code directly...');
     }
 
-    execSync('vercel deploy --prod', { 
+    if (vercelTarget.environment === 'preview') {
+      // Branch-scoped preview vars only apply to deployments of that branch
+      const currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: projectRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      if (currentBranch !== vercelTarget.gitBranch) {
+        console.warn(`⚠️  Profile "${options.profile}" env vars are scoped to branch "${vercelTarget.gitBranch}", but this is "${currentBranch}"; the preview won't pick them up`);
+      }
+    }
+
+    execSync(vercelCommand(vercelTarget.environment === 'production' ? 'deploy --prod' : 'deploy', { confirm: true }), { 
       cwd: projectRoot,
       stdio: 'inherit',
       env: process.env
@@ -491,7 +527,7 @@ async function deployToVercel(useGitHub = false) {
 
     try {
       // Redirect output to a file
-      execSync(`vercel project ls > "${tempOutputFile}" 2>&1`, {
+      execSync(`${vercelCommand('project ls')} > "${tempOutputFile}" 2>&1`, {
         cwd: projectRoot,
         shell: true
       });
@@ -514,17 +550,21 @@ async function deployToVercel(useGitHub = false) {
         const domainMatch = currentProject.match(/https:\/\/([^\s]+)/);
         if (domainMatch) {
           const actualDomain = domainMatch[1];
-          if (actualDomain !== domain) {
+          if (actualDomain !== domain && !options.domain) {
             console.log(`⚠️  Actual domain (${actualDomain}) differs from assumed domain (${domain})`);
             console.log('🔄 Updating environment variables with correct domain...');
             
             // Update domain-dependent environment variables
-            const webhookUrl = process.env.NEYNAR_API_KEY && process.env.NEYNAR_CLIENT_ID 
-              ? `https://api.neynar.com/f/app/${process.env.NEYNAR_CLIENT_ID}/event`
-              : `https://${actualDomain}/api/webhook`;
+            const webhookUrl = getWebhookUrl({
+              appUrl: `https://${actualDomain}`,
+              neynarApiKey: process.env.NEYNAR_API_KEY,
+              neynarClientId: process.env.NEYNAR_CLIENT_ID
+            });
 
-            if (frameMetadata) {
-              frameMetadata = await generateFarcasterMetadata(actualDomain, fid, await validateSeedPhrase(process.env.SEED_PHRASE), process.env.SEED_PHRASE, webhookUrl);
+            if (frameMetadata && !manifestSigner) {
+              console.warn(`⚠️  FRAME_METADATA is signed for ${domain}; redeploy with a signer to sign it for ${actualDomain}`);
+            } else if (frameMetadata) {
+              frameMetadata = await generateFarcasterMetadata(actualDomain, fid, manifestSigner, webhookUrl);
               // Update FRAME_METADATA env var using the new function
               await setVercelEnvVar('FRAME_METADATA', frameMetadata, projectRoot);
             }
@@ -537,7 +577,7 @@ async function deployToVercel(useGitHub = false) {
 
             // Redeploy with updated environment variables
             console.log('\n📦 Redeploying with correct domain...');
-            execSync('vercel deploy --prod', { 
+            execSync(vercelCommand('deploy --prod', { confirm: true }), { 
               cwd: projectRoot,
               stdio: 'inherit',
               env: process.env
@@ -590,6 +630,28 @@ async function main() {
     console.log('3. Configure environment variables in Vercel');
     console.log('4. Deploy and build your frame (Vercel will run the build automatically)\n');
 
+    options = parseOptions(projectRoot);
+    // Vercel output and errors can echo it back
+    redactFromConsole(process.env.VERCEL_TOKEN);
+    if (options.help) {
+      printUsage('deploy.js');
+      return;
+    }
+    if (options.github && options.local) {
+      throw new Error('Pass only one of --github and --local');
+    }
+
+    vercelTarget = getVercelTarget(options);
+    if (options.profile) {
+      console.log(`🎯 Deploying profile "${options.profile}" to Vercel ${vercelTarget.environment}` +
+        (vercelTarget.gitBranch ? ` (branch "${vercelTarget.gitBranch}")` : ''));
+    }
+    // Preview URLs change with every deployment, so the manifest needs a
+    // domain assigned to the branch
+    if (vercelTarget.environment === 'preview' && !options.domain) {
+      throw new Error(`Profile "${options.profile}" deploys a Vercel preview; set its "domain" to a domain assigned to branch "${vercelTarget.gitBranch}"`);
+    }
+
     // Check for required environment variables
     await checkRequiredEnvVars();
 
@@ -599,29 +661,29 @@ async function main() {
 
     if (remoteUrl) {
       console.log('\n📦 Found GitHub repository:', remoteUrl);
-      const { useGitHubDeploy } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'useGitHubDeploy',
-          message: 'Would you like to deploy from the GitHub repository?',
-          default: true
-        }
-      ]);
-      useGitHub = useGitHubDeploy;
+      useGitHub = await ask(options, {
+        option: 'github',
+        value: options.local ? false : options.github,
+        type: 'confirm',
+        message: 'Would you like to deploy from the GitHub repository?',
+        default: true
+      });
     } else {
       console.log('\n⚠️  No GitHub repository found.');
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: 'What would you like to do?',
-          choices: [
-            { name: 'Deploy local code directly', value: 'deploy' },
-            { name: 'Set up GitHub repository first', value: 'setup' }
-          ],
-          default: 'deploy'
-        }
-      ]);
+      if (options.github) {
+        throw new Error('--github was given but no git remote "origin" is configured');
+      }
+      const action = await ask(options, {
+        option: 'local',
+        value: options.local ? 'deploy' : undefined,
+        type: 'list',
+        message: 'What would you like to do?',
+        choices: [
+          { name: 'Deploy local code directly', value: 'deploy' },
+          { name: 'Set up GitHub repository first', value: 'setup' }
+        ],
+        default: 'deploy'
+      });
 
       if (action === 'setup') {
         console.log('\n👋 Please set up your GitHub repository first:');
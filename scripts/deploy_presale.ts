@@ -9,22 +9,32 @@ async function main() {
   const weth:string = "0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9"; //SEPOLIA
   const uniswapRouter:string = "0xC532a74256D3Db42D0Bf7a0400fEFDbad7694008";
   const token:string = "0x76E53d4b44d749fD59449c32643DEF979A378a5f";
-  const pool = {
-    tokenDeposit: ethers.parseUnits("10000000", 18), // 1B tokens
+  const factoryAddress:string = process.env.PRESALE_FACTORY_ADDRESS ?? "";
+  const now = Math.floor(Date.now() / 1000);
+  const options = {
+    tokenDeposit: ethers.parseUnits("10000000", 18), // 10M tokens
     hardCap: ethers.parseUnits("0.1", 18),
     softCap: ethers.parseUnits("0.05", 18),
     max: ethers.parseUnits("0.1", 18),
     min: ethers.parseUnits("0.01", 18),
-    start: 1714474199,
-    end: 1714475199,
-    liquidityBps: 5000
-};
+    start: now + 600,
+    end: now + 3600,
+    liquidityBps: 5100,
+    slippageBps: 200,
+    presaleRate: 1_000_000n,
+    listingRate: 500_000n,
+    lockupDuration: 30 * 24 * 60 * 60,
+    currency: ethers.ZeroAddress, // ETH
+  };
 
-  const Presale = await ethers.getContractFactory("Presale");
-  const presale = await Presale.deploy(weth,token, uniswapRouter, pool);
-  await presale.waitForDeployment();
+  // Presales are deployed through the factory, which also owns the LP locker
+  const factory = await ethers.getContractAt("PresaleFactory", factoryAddress);
+  const creationFee = await factory.creationFee();
+  const tx = await factory.createPresale(options, token, weth, uniswapRouter, { value: creationFee });
+  await tx.wait();
+  const presale = await factory.presales((await factory.getPresaleCount()) - 1n);
 
-  console.log(`Presale succesfully deployed: ${presale.target}`);
+  console.log(`Presale succesfully deployed: ${presale}`);
   
 }
 
@@ -33,4 +43,4 @@ async function main() {
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { isAddress } from 'viem';
+
+// Named deployment profiles (dev, staging, production...) are entries under
+// "profiles" in the config file, merged over its top-level options by
+// parseOptions(). What build.js generates for a profile is kept in its own
+// env file, so building one profile never touches another's values.
+
+/**
+ * Where generated values are written: `.env.profile.<name>` for a profile,
+ * `.env` otherwise. Not `.env.<name>`, since Next.js loads `.env.production`
+ * into every build.
+ */
+export function getEnvPath(projectRoot, profile) {
+  return path.join(projectRoot, profile ? `.env.profile.${profile}` : '.env');
+}
+
+/**
+ * Loads a profile's env file over the values already loaded from .env.
+ */
+export function loadProfileEnv(projectRoot, profile) {
+  const envPath = getEnvPath(projectRoot, profile);
+  if (profile && fs.existsSync(envPath)) {
+    console.log(`Loading values from ${path.basename(envPath)}...`);
+    dotenv.config({ path: envPath, override: true });
+  }
+}
+
+function formatEnvValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : `"${value}"`;
+}
+
+/**
+ * Sets each of `values` in the env file at `envPath`, replacing the line that
+ * defines the key or appending one. Other lines are left as they are, and
+ * empty values are skipped.
+ */
+export function updateEnvFile(envPath, values) {
+  const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8').split('\n') : [];
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null || value === '') continue;
+
+    const line = `${key}=${formatEnvValue(value)}`;
+    const index = lines.findIndex((existing) => new RegExp(`^\\s*(export\\s+)?${key}\\s*=`).test(existing));
+    if (index === -1) {
+      lines.push(line);
+    } else {
+      lines[index] = line;
+    }
+  }
+  fs.writeFileSync(envPath, lines.join('\n'));
+}
+
+/**
+ * The chain and factory the frame talks to, from --chain-id and
+ * --factory-address, as the env vars src/lib/contracts.ts reads.
+ */
+export function getDeploymentEnv(options) {
+  const env = {};
+  if (options.chainId !== undefined) {
+    const chainId = Number(options.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Invalid --chain-id: ${options.chainId}`);
+    }
+    env.NEXT_PUBLIC_CHAIN_ID = String(chainId);
+  }
+  if (options.factoryAddress !== undefined) {
+    if (!isAddress(options.factoryAddress)) {
+      throw new Error(`Invalid --factory-address: ${options.factoryAddress}`);
+    }
+    env.NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS = options.factoryAddress;
+  }
+  return env;
+}
+
+/**
+ * The Vercel environment a deploy targets. The "production" profile, or no
+ * profile, deploys to production. Any other profile deploys a preview, with
+ * its env vars scoped to a git branch (--preview-branch, defaulting to the
+ * profile name) so two preview profiles don't overwrite each other.
+ */
+export function getVercelTarget(options) {
+  if (!options.profile || options.profile === 'production') {
+    return { environment: 'production', gitBranch: null };
+  }
+  return { environment: 'preview', gitBranch: options.previewBranch ?? options.profile };
+}
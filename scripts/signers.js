@@ -0,0 +1,204 @@
+import { spawnSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import { concat, isAddress, keccak256, verifyMessage } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { ask, redactFromConsole } from './cli.js';
+
+// Ways to sign the frame manifest without the custody seed phrase on this
+// machine. Each returns a ManifestSigner (see src/lib/manifest.js).
+
+// ANSI color codes
+const bold = '\x1b[1m';
+const reset = '\x1b[0m';
+
+const SIGNATURE_PATTERN = /^0x[0-9a-fA-F]{130}$/;
+
+/**
+ * Decrypts a Web3 Secret Storage (v3) keystore, as written by geth, Foundry's
+ * `cast wallet import` or most wallets, to its private key.
+ */
+export function decryptKeystore(keystore, passphrase) {
+  const params = keystore.crypto ?? keystore.Crypto;
+  if (keystore.version !== 3 || !params) {
+    throw new Error('Not a version 3 keystore');
+  }
+  if (params.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher: ${params.cipher}`);
+  }
+
+  const { kdf, kdfparams } = params;
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+  let derivedKey;
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = kdfparams;
+    derivedKey = crypto.scryptSync(passphrase, salt, dklen, { N: n, r, p, maxmem: 256 * n * r * p });
+  } else if (kdf === 'pbkdf2' && kdfparams.prf === 'hmac-sha256') {
+    derivedKey = crypto.pbkdf2Sync(passphrase, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+  } else {
+    throw new Error(`Unsupported keystore KDF: ${kdf}`);
+  }
+
+  const ciphertext = Buffer.from(params.ciphertext, 'hex');
+  const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+  if (mac !== params.mac.toLowerCase()) {
+    throw new Error('Wrong keystore passphrase');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(params.cipherparams.iv, 'hex'));
+  const privateKey = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return `0x${privateKey.toString('hex')}`;
+}
+
+function parseSignature(text) {
+  const signature = text.trim().replace(/^(0x)?/, '0x');
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    throw new Error('Expected a 65-byte hex signature, e.g. 0x1234...');
+  }
+  return signature;
+}
+
+// A signature from outside this process is checked before it goes into the
+// manifest, so a wrong key fails here rather than in a Farcaster client.
+async function checkSignature(address, message, signature) {
+  if (!(await verifyMessage({ address, message, signature }))) {
+    throw new Error(`Signature was not made by ${address}`);
+  }
+  return signature;
+}
+
+async function askSignerAddress(options) {
+  const address = await ask(options, {
+    option: 'signerAddress',
+    value: options.signerAddress,
+    required: true,
+    type: 'input',
+    message: 'Custody address that will sign the manifest:',
+    validate: (input) => isAddress(input.trim()) || 'Not a valid address',
+  });
+  return address.trim();
+}
+
+async function keystoreSigner(options) {
+  const keystore = JSON.parse(fs.readFileSync(options.keystore, 'utf8'));
+  let passphrase = options.keystorePassphraseFile
+    ? fs.readFileSync(options.keystorePassphraseFile, 'utf8').replace(/\r?\n$/, '')
+    : process.env.KEYSTORE_PASSPHRASE;
+  passphrase = await ask(options, {
+    option: 'keystorePassphraseFile',
+    value: passphrase,
+    required: true,
+    type: 'password',
+    message: `Passphrase for ${options.keystore}:`,
+  });
+  redactFromConsole(passphrase);
+
+  const account = privateKeyToAccount(decryptKeystore(keystore, passphrase));
+  console.log(`✅ Unlocked keystore for ${account.address}`);
+  return account;
+}
+
+// Runs `command` in a shell with the message on stdin (and in
+// FRAME_MANIFEST_MESSAGE), and reads the hex signature from stdout.
+function commandSigner(command, address) {
+  return {
+    address,
+    signMessage: async ({ message }) => {
+      console.log(`🔏 Asking \`${command}\` to sign the manifest...`);
+      const result = spawnSync(command, {
+        shell: true,
+        input: message,
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'inherit'],
+        env: { ...process.env, FRAME_MANIFEST_MESSAGE: message },
+      });
+      if (result.error) {
+        throw new Error(`Signer command failed to start: ${result.error.message}`);
+      }
+      if (result.status !== 0) {
+        throw new Error(`Signer command exited with status ${result.status}`);
+      }
+      return checkSignature(address, message, parseSignature(result.stdout));
+    },
+  };
+}
+
+// Prints the message to sign elsewhere, e.g. on an offline machine or a
+// hardware wallet, and waits for the signature to be pasted back.
+function pasteSigner(options, address) {
+  return {
+    address,
+    signMessage: async ({ message }) => {
+      if (options.yes) {
+        throw new Error('--paste-signature needs a terminal; use --signer-command with --yes');
+      }
+      console.log(`\n📋 Sign this exact message with ${address} as an EIP-191 personal message:\n`);
+      console.log(`${bold}${message}${reset}\n`);
+      console.log(`With Foundry, for example: cast wallet sign '${message}'\n`);
+      const signature = await ask(options, {
+        option: 'pasteSignature',
+        type: 'input',
+        message: 'Signature:',
+        validate: async (input) => {
+          try {
+            await checkSignature(address, message, parseSignature(input));
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+      });
+      return parseSignature(signature);
+    },
+  };
+}
+
+/**
+ * The manifest signer chosen with --keystore, --signer-command or
+ * --paste-signature. With none of those and no seed phrase available, asks
+ * which to use unless --yes is set. Returns null to use the seed phrase.
+ */
+export async function getManifestSigner(options, { hasSeedPhrase = false } = {}) {
+  let method = options.keystore ? 'keystore' : options.signerCommand ? 'command' : options.pasteSignature ? 'paste' : null;
+  if (!method && !hasSeedPhrase && !options.yes) {
+    method = await ask(options, {
+      option: 'signingMethod',
+      type: 'list',
+      message: 'How would you like to sign the frame manifest?',
+      choices: [
+        { name: 'Custody seed phrase', value: 'seedPhrase' },
+        { name: 'Encrypted keystore file', value: 'keystore' },
+        { name: 'External signer command', value: 'command' },
+        { name: 'Sign elsewhere and paste the signature', value: 'paste' },
+      ],
+      default: 'seedPhrase',
+    });
+  }
+
+  switch (method) {
+    case 'keystore':
+      options.keystore = await ask(options, {
+        option: 'keystore',
+        value: options.keystore,
+        required: true,
+        type: 'input',
+        message: 'Path to the keystore file:',
+        validate: (input) => fs.existsSync(input) || `${input} not found`,
+      });
+      return keystoreSigner(options);
+    case 'command': {
+      const command = await ask(options, {
+        option: 'signerCommand',
+        value: options.signerCommand,
+        required: true,
+        type: 'input',
+        message: 'Command that reads the message on stdin and prints the signature:',
+      });
+      return commandSigner(command, await askSignerAddress(options));
+    }
+    case 'paste':
+      return pasteSigner(options, await askSignerAddress(options));
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,78 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { validateFrameMetadata } from '../src/lib/manifestValidation.js';
+import { parseOptions, printUsage } from './cli.js';
+import { loadProfileEnv } from './profiles.js';
+
+// ANSI color codes
+const red = '\x1b[31m';
+const yellow = '\x1b[33m';
+const reset = '\x1b[0m';
+
+dotenv.config({ path: '.env' });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+// With --domain, the manifest that domain actually serves. Otherwise the
+// FRAME_METADATA written to .env (or the profile's env file) by the build
+// script.
+async function loadManifest(options) {
+  if (options.domain) {
+    const domain = options.domain.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const manifestUrl = `https://${domain}/.well-known/farcaster.json`;
+    console.log(`Fetching ${manifestUrl}...`);
+    const response = await fetch(manifestUrl, { signal: AbortSignal.timeout(10_000) });
+    if (!response.ok) {
+      throw new Error(`${manifestUrl} returned HTTP ${response.status}`);
+    }
+    return { manifest: await response.json(), domain };
+  }
+
+  if (!process.env.FRAME_METADATA) {
+    throw new Error('No FRAME_METADATA in .env - run `npm run build` first, or pass --domain to check a deployment');
+  }
+  console.log('Validating FRAME_METADATA from .env...');
+  const manifest = JSON.parse(process.env.FRAME_METADATA);
+  const domain = process.env.NEXT_PUBLIC_URL ? new URL(process.env.NEXT_PUBLIC_URL).hostname : null;
+  return { manifest, domain };
+}
+
+async function main() {
+  const options = parseOptions(projectRoot);
+  if (options.help) {
+    printUsage('validate.js');
+    return;
+  }
+  loadProfileEnv(projectRoot, options.profile);
+
+  const { manifest, domain } = await loadManifest(options);
+  const homeHostname = URL.canParse(manifest.frame?.homeUrl) ? new URL(manifest.frame.homeUrl).hostname : null;
+
+  const { valid, issues } = await validateFrameMetadata(manifest, {
+    fid: process.env.FID ? parseInt(process.env.FID) : undefined,
+    neynarApiKey: options.neynarApiKey ?? process.env.NEYNAR_API_KEY,
+    neynarClientId: options.neynarClientId ?? process.env.NEYNAR_CLIENT_ID,
+  });
+  if (domain && homeHostname && domain !== homeHostname) {
+    issues.push({ level: 'error', field: 'frame.homeUrl', message: `Points at ${homeHostname}, but the app is served from ${domain}` });
+  }
+
+  for (const { level, field, message } of issues) {
+    const color = level === 'error' ? red : yellow;
+    console.log(`${color}${level === 'error' ? '✗' : '!'} ${field}${reset}: ${message}`);
+  }
+
+  const errorCount = issues.filter((issue) => issue.level === 'error').length;
+  if (!valid || errorCount > 0) {
+    console.error(`\n❌ Manifest has ${errorCount} error(s)`);
+    process.exit(1);
+  }
+  console.log(`\n✅ Manifest is valid${issues.length ? ` (${issues.length} warning(s))` : ''}`);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Validation failed:', error.message);
+  process.exit(1);
+});
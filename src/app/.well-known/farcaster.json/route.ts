@@ -1,10 +1,33 @@
-import { NextResponse } from 'next/server';
+import { NextRequest, NextResponse } from 'next/server';
 import { getFarcasterMetadata } from '../../../lib/utils';
+import { validateFrameMetadata } from '../../../lib/manifestValidation';
+
+// Outside development, ?debug=1 requires ADMIN_API_KEY as a bearer token.
+function canDebug(request: NextRequest) {
+  if (process.env.NODE_ENV !== 'production') return true;
+  const adminApiKey = process.env.ADMIN_API_KEY;
+  return !!adminApiKey && request.headers.get('authorization') === `Bearer ${adminApiKey}`;
+}
+
+export async function GET(request: NextRequest) {
+  const debug = request.nextUrl.searchParams.get('debug') === '1';
+  if (debug && !canDebug(request)) {
+    return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
 
-export async function GET() {
   try {
     const config = await getFarcasterMetadata();
-    return NextResponse.json(config);
+    if (!debug) {
+      return NextResponse.json(config);
+    }
+
+    // The manifest alongside everything a Farcaster client would reject
+    const validation = await validateFrameMetadata(config, {
+      fid: process.env.FID ? parseInt(process.env.FID) : undefined,
+      neynarApiKey: process.env.NEYNAR_API_KEY,
+      neynarClientId: process.env.NEYNAR_CLIENT_ID,
+    });
+    return NextResponse.json({ manifest: config, validation });
   } catch (error) {
     console.error('Error generating metadata:', error);
     return NextResponse.json({ error: error.message }, { status: 500 });
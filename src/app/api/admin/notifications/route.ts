@@ -0,0 +1,25 @@
+import { NextRequest } from "next/server";
+import { z } from "zod";
+import { getOutboxEntriesForFid } from "~/lib/outbox";
+import { paginationQuerySchema } from "~/lib/presaleApi";
+
+const querySchema = paginationQuerySchema.extend({
+  fid: z.coerce.number().int().positive(),
+});
+
+// Delivery history for one FID. Requires ADMIN_API_KEY as a bearer token.
+export async function GET(request: NextRequest) {
+  const adminApiKey = process.env.ADMIN_API_KEY;
+  if (!adminApiKey || request.headers.get("authorization") !== `Bearer ${adminApiKey}`) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  const query = querySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+
+  const { fid, offset, limit } = query.data;
+  const { entries, total } = await getOutboxEntriesForFid(fid, { offset, limit });
+  return Response.json({ success: true, fid, entries, total, offset, limit });
+}
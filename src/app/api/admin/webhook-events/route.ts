@@ -0,0 +1,24 @@
+import { NextRequest } from "next/server";
+import { z } from "zod";
+import { getWebhookEvents } from "~/lib/subscribers";
+import { paginationQuerySchema } from "~/lib/presaleApi";
+
+const querySchema = paginationQuerySchema.extend({
+  fid: z.coerce.number().int().positive().optional(),
+});
+
+// Audit trail of frame webhook events. Requires ADMIN_API_KEY as a bearer token.
+export async function GET(request: NextRequest) {
+  const adminApiKey = process.env.ADMIN_API_KEY;
+  if (!adminApiKey || request.headers.get("authorization") !== `Bearer ${adminApiKey}`) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  const query = querySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+
+  const { events, total } = await getWebhookEvents(query.data);
+  return Response.json({ success: true, events, total, ...query.data });
+}
@@ -0,0 +1,28 @@
+import { NextRequest } from "next/server";
+import { isAuthorizedJobRequest, isJobName, jobNames, runJobs } from "~/lib/jobs";
+
+export const maxDuration = 60;
+
+// Runs the scheduled jobs, or just the one named by ?job=. The request must
+// carry CRON_SECRET as a bearer token; Vercel Cron does this for us.
+//
+// vercel.json runs it daily, the most Vercel's Hobby plan allows. On Pro,
+// change the schedule to e.g. "*/5 * * * *"; on Hobby, call this route more
+// often from any external scheduler with the bearer token.
+export async function GET(request: NextRequest) {
+  if (!isAuthorizedJobRequest(request)) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  const job = request.nextUrl.searchParams.get("job");
+  if (job !== null && !isJobName(job)) {
+    return Response.json(
+      { success: false, error: `Unknown job, expected one of: ${jobNames.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  const results = await runJobs(job ? [job] : jobNames);
+  const success = results.every((result) => result.status !== "failed");
+  return Response.json({ success, results }, { status: success ? 200 : 500 });
+}
@@ -0,0 +1,23 @@
+import { NextRequest } from "next/server";
+import { isAuthorizedJobRequest, runJob } from "~/lib/jobs";
+
+// Catching up from the deploy block can take a while on a fresh store
+export const maxDuration = 60;
+
+// Runs one indexer pass. Call it from a cron job; the request must carry
+// CRON_SECRET as a bearer token (Vercel Cron does this for us).
+export async function GET(request: NextRequest) {
+  if (!isAuthorizedJobRequest(request)) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  // Shares the cron job's lock, so the two can't index the same blocks at once
+  const result = await runJob("indexer");
+  if (result.status === "failed") {
+    return Response.json({ success: false, error: result.error }, { status: 500 });
+  }
+  if (result.status === "skipped") {
+    return Response.json({ success: true, skipped: true });
+  }
+  return Response.json({ success: true, ...(result.result as object) });
+}
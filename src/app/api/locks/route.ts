@@ -0,0 +1,21 @@
+import { getLockPresales } from "~/lib/indexerStore";
+import { serializeLiquidityLock } from "~/lib/presaleApi";
+import { getLiquidityLocks } from "~/lib/presaleReader";
+
+export async function GET() {
+  try {
+    const { locker, locks } = await getLiquidityLocks();
+    const presales = await getLockPresales(locks);
+    return Response.json(
+      {
+        success: true,
+        locker,
+        locks: locks.map((lock, i) => serializeLiquidityLock(lock, presales[i])),
+      },
+      { headers: { "Cache-Control": "s-maxage=15, stale-while-revalidate=60" } }
+    );
+  } catch (error) {
+    console.error("Failed to read liquidity locks:", error);
+    return Response.json({ success: false, error: "Failed to read liquidity locks" }, { status: 502 });
+  }
+}
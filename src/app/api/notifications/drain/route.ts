@@ -0,0 +1,24 @@
+import { NextRequest } from "next/server";
+import { isAuthorizedJobRequest } from "~/lib/jobs";
+import { drainOutbox } from "~/lib/outbox";
+
+export const maxDuration = 60;
+
+// Delivers queued notifications and retries failed ones. Call it from a cron
+// job; the request must carry CRON_SECRET as a bearer token.
+export async function GET(request: NextRequest) {
+  if (!isAuthorizedJobRequest(request)) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const result = await drainOutbox();
+    return Response.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Outbox drain failed:", error);
+    return Response.json(
+      { success: false, error: error instanceof Error ? error.message : String(error) },
+      { status: 500 }
+    );
+  }
+}
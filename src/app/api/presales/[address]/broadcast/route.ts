@@ -0,0 +1,111 @@
+import { NextRequest } from "next/server";
+import { isAddress } from "viem";
+import { z } from "zod";
+import { getSession } from "~/auth";
+import { getPublicClient } from "~/lib/chain";
+import { presaleAbi } from "~/lib/contracts";
+import { sendQueuedNotification } from "~/lib/outbox";
+import { getPresaleContributors } from "~/lib/presaleReader";
+import { checkRateLimit } from "~/lib/rateLimit";
+import { resolveFids, syncVerifiedAddresses } from "~/lib/wallets";
+
+// Each owner FID may broadcast this many times per window
+const BROADCAST_LIMIT = 3;
+const BROADCAST_WINDOW_SECONDS = 60 * 60;
+
+const requestSchema = z.object({
+  title: z.string().trim().min(1).max(32),
+  body: z.string().trim().min(1).max(128),
+});
+
+// Lets a presale's owner send an update to everyone who contributed
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ address: string }> }
+) {
+  const { address } = await params;
+  if (!isAddress(address)) {
+    return Response.json({ success: false, error: "Invalid presale address" }, { status: 400 });
+  }
+
+  const session = await getSession();
+  const fid = session?.user?.fid;
+  if (!fid) {
+    return Response.json({ success: false, error: "Sign in with Farcaster first" }, { status: 401 });
+  }
+
+  const requestJson = await request.json();
+  const requestBody = requestSchema.safeParse(requestJson);
+  if (requestBody.success === false) {
+    return Response.json(
+      { success: false, errors: requestBody.error.errors },
+      { status: 400 }
+    );
+  }
+
+  const client = getPublicClient();
+  let owner, contributors;
+  try {
+    [owner, contributors] = await Promise.all([
+      client.readContract({ address, abi: presaleAbi, functionName: "owner" }),
+      getPresaleContributors(address),
+    ]);
+  } catch (error) {
+    console.error(`Failed to read presale ${address}:`, error);
+    return Response.json({ success: false, error: "Failed to read presale" }, { status: 502 });
+  }
+
+  // Only verified addresses count; a wallet merely linked in the frame doesn't
+  let verifiedAddresses;
+  try {
+    verifiedAddresses = await syncVerifiedAddresses(fid);
+  } catch (error) {
+    console.error(`Failed to look up verified addresses for FID ${fid}:`, error);
+    return Response.json(
+      { success: false, error: "Could not check your verified addresses" },
+      { status: 503 }
+    );
+  }
+  if (!verifiedAddresses.includes(owner.toLowerCase())) {
+    return Response.json(
+      { success: false, error: "None of your verified addresses owns this presale" },
+      { status: 403 }
+    );
+  }
+
+  // Checked before the rate limit so a broadcast that reaches nobody doesn't use it up
+  const fidsByAddress = await resolveFids(contributors.map((contributor) => contributor.address));
+  const fids = [...fidsByAddress.values()].flat();
+  if (fids.length === 0) {
+    return Response.json(
+      {
+        success: false,
+        error: "None of this presale's contributors has a linked Farcaster account",
+        contributors: contributors.length,
+      },
+      { status: 404 }
+    );
+  }
+
+  const rateLimit = await checkRateLimit(`broadcast:${fid}`, BROADCAST_LIMIT, BROADCAST_WINDOW_SECONDS);
+  if (!rateLimit.allowed) {
+    return Response.json(
+      { success: false, error: "Too many broadcasts, try again later" },
+      { status: 429, headers: { "Retry-After": String(rateLimit.retryAfter) } }
+    );
+  }
+
+  const entries = await sendQueuedNotification({
+    fids,
+    title: requestBody.data.title,
+    body: requestBody.data.body,
+    targetUrl: `${process.env.NEXT_PUBLIC_URL}/presale/${address}`,
+  });
+
+  return Response.json({
+    success: true,
+    contributors: contributors.length,
+    queued: entries.length,
+    sent: entries.filter((entry) => entry.status === "sent").length,
+  });
+}
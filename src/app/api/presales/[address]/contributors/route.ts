@@ -0,0 +1,35 @@
+import { NextRequest } from "next/server";
+import { isAddress, isAddressEqual } from "viem";
+import { paginate, paginationQuerySchema, serializeContributor } from "~/lib/presaleApi";
+import { getPresaleAddresses, getPresaleContributors } from "~/lib/presaleReader";
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ address: string }> }
+) {
+  const { address } = await params;
+  if (!isAddress(address)) {
+    return Response.json({ success: false, error: "Invalid presale address" }, { status: 400 });
+  }
+
+  const query = paginationQuerySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+
+  try {
+    const addresses = await getPresaleAddresses();
+    if (!addresses.some((presale) => isAddressEqual(presale, address))) {
+      return Response.json({ success: false, error: "Presale not found" }, { status: 404 });
+    }
+
+    const contributors = await getPresaleContributors(address);
+    return Response.json(
+      { success: true, ...paginate(contributors.map(serializeContributor), query.data) },
+      { headers: { "Cache-Control": "s-maxage=15, stale-while-revalidate=60" } }
+    );
+  } catch (error) {
+    console.error(`Failed to read contributors of ${address}:`, error);
+    return Response.json({ success: false, error: "Failed to read contributors" }, { status: 502 });
+  }
+}
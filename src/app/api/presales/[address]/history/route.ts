@@ -0,0 +1,22 @@
+import { NextRequest } from "next/server";
+import { isAddress } from "viem";
+import { getPresaleEvents } from "~/lib/indexerStore";
+import { paginationQuerySchema } from "~/lib/presaleApi";
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ address: string }> }
+) {
+  const { address } = await params;
+  if (!isAddress(address)) {
+    return Response.json({ success: false, error: "Invalid presale address" }, { status: 400 });
+  }
+
+  const query = paginationQuerySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+
+  const { events, total } = await getPresaleEvents(address, query.data);
+  return Response.json({ success: true, events, total });
+}
@@ -0,0 +1,30 @@
+import { NextRequest } from "next/server";
+import { isAddress, isAddressEqual } from "viem";
+import { serializePresale } from "~/lib/presaleApi";
+import { getPresale, getPresaleAddresses } from "~/lib/presaleReader";
+
+export async function GET(
+  _request: NextRequest,
+  { params }: { params: Promise<{ address: string }> }
+) {
+  const { address } = await params;
+  if (!isAddress(address)) {
+    return Response.json({ success: false, error: "Invalid presale address" }, { status: 400 });
+  }
+
+  try {
+    const addresses = await getPresaleAddresses();
+    if (!addresses.some((presale) => isAddressEqual(presale, address))) {
+      return Response.json({ success: false, error: "Presale not found" }, { status: 404 });
+    }
+
+    const presale = await getPresale(address);
+    return Response.json(
+      { success: true, presale: serializePresale(presale) },
+      { headers: { "Cache-Control": "s-maxage=15, stale-while-revalidate=60" } }
+    );
+  } catch (error) {
+    console.error(`Failed to read presale ${address}:`, error);
+    return Response.json({ success: false, error: "Failed to read presale" }, { status: 502 });
+  }
+}
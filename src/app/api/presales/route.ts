@@ -0,0 +1,45 @@
+import { NextRequest } from "next/server";
+import {
+  matchesCurrency,
+  paginate,
+  presaleListQuerySchema,
+  presaleStateNames,
+  serializePresale,
+} from "~/lib/presaleApi";
+import { getPresale, getPresaleAddresses } from "~/lib/presaleReader";
+
+export async function GET(request: NextRequest) {
+  const query = presaleListQuerySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+  const { state, currency, offset, limit } = query.data;
+
+  try {
+    // Newest first, like the in-frame browser
+    const addresses = [...(await getPresaleAddresses())].reverse();
+    let page;
+    if (!state && !currency) {
+      // Only the requested page needs reading
+      const presales = await Promise.all(addresses.slice(offset, offset + limit).map(getPresale));
+      page = { items: presales, total: addresses.length, offset, limit };
+    } else {
+      // Filtering on state or currency needs every presale read
+      const presales = await Promise.all(addresses.map(getPresale));
+      const filtered = presales.filter(
+        (presale) =>
+          (!state || presale.pool.state === presaleStateNames[state]) &&
+          (!currency || matchesCurrency(presale.currency, currency))
+      );
+      page = paginate(filtered, { offset, limit });
+    }
+
+    return Response.json(
+      { success: true, ...page, items: page.items.map(serializePresale) },
+      { headers: { "Cache-Control": "s-maxage=15, stale-while-revalidate=60" } }
+    );
+  } catch (error) {
+    console.error("Failed to read presales:", error);
+    return Response.json({ success: false, error: "Failed to read presales" }, { status: 502 });
+  }
+}
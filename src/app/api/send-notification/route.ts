@@ -1,13 +1,23 @@
 import { notificationDetailsSchema } from "@farcaster/frame-sdk";
 import { NextRequest } from "next/server";
+import { isHex } from "viem";
 import { z } from "zod";
+import { getSession, verifyFrameSignIn } from "~/auth";
+import { getCallerFidError } from "~/lib/callerAuth";
 import { setUserNotificationDetails } from "~/lib/kv";
-import { sendFrameNotification } from "~/lib/notifs";
-import { sendNeynarFrameNotification } from "~/lib/neynar";
+import { renderNotification } from "~/lib/notificationTemplates";
+import { sendQueuedNotification } from "~/lib/outbox";
 
 const requestSchema = z.object({
   fid: z.number(),
   notificationDetails: notificationDetailsSchema,
+  // Result of sdk.actions.signIn, for callers without a session
+  signIn: z
+    .object({
+      message: z.string(),
+      signature: z.string().refine((value) => isHex(value), "Invalid signature"),
+    })
+    .optional(),
 });
 
 export async function POST(request: NextRequest) {
@@ -25,6 +35,22 @@ export async function POST(request: NextRequest) {
     );
   }
 
+  // The caller must prove who they are, and can only register and notify themselves
+  const session = await getSession();
+  const { signIn } = requestBody.data;
+  const callerFid =
+    session?.user?.fid ||
+    (signIn
+      ? await verifyFrameSignIn({
+          message: signIn.message,
+          signature: signIn.signature as `0x${string}`,
+        })
+      : null);
+  const callerError = getCallerFidError(callerFid, requestBody.data.fid);
+  if (callerError) {
+    return callerError;
+  }
+
   // Only store notification details if not using Neynar
   if (!neynarEnabled) {
     await setUserNotificationDetails(
@@ -33,22 +59,20 @@ export async function POST(request: NextRequest) {
     );
   }
 
-  // Use appropriate notification function based on Neynar status
-  const sendNotification = neynarEnabled ? sendNeynarFrameNotification : sendFrameNotification;
-  const sendResult = await sendNotification({
-    fid: Number(requestBody.data.fid),
-    title: "Test notification",
-    body: "Sent at " + new Date().toISOString(),
+  // Goes through the outbox so failures are recorded and retried
+  const [entry] = await sendQueuedNotification({
+    fids: [Number(requestBody.data.fid)],
+    ...renderNotification("test", { sentAt: new Date().toISOString() }),
   });
 
-  if (sendResult.state === "error") {
+  if (entry.status === "failed") {
     return Response.json(
-      { success: false, error: sendResult.error },
+      { success: false, error: entry.lastError, notificationId: entry.notificationId },
       { status: 500 }
     );
-  } else if (sendResult.state === "rate_limit") {
+  } else if (entry.status === "rate_limited") {
     return Response.json(
-      { success: false, error: "Rate limited" },
+      { success: false, error: "Rate limited", notificationId: entry.notificationId },
       { status: 429 }
     );
   }
@@ -0,0 +1,7 @@
+import { getSubscriberCounts } from "~/lib/subscribers";
+
+// How many users have added the frame and enabled notifications
+export async function GET() {
+  const counts = await getSubscriberCounts();
+  return Response.json({ success: true, ...counts });
+}
@@ -0,0 +1,32 @@
+import { NextRequest } from "next/server";
+import { isAuthorizedJobRequest } from "~/lib/jobs";
+import { syncNeynarSubscribers } from "~/lib/subscribers";
+
+export const maxDuration = 60;
+
+// Pulls subscriber state from Neynar when it manages notifications. Call it
+// from a cron job; the request must carry CRON_SECRET as a bearer token.
+export async function GET(request: NextRequest) {
+  if (!isAuthorizedJobRequest(request)) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  const neynarEnabled = process.env.NEYNAR_API_KEY && process.env.NEYNAR_CLIENT_ID;
+  if (!neynarEnabled) {
+    return Response.json(
+      { success: false, error: "Subscribers are tracked by the webhook when Neynar is not enabled" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const result = await syncNeynarSubscribers();
+    return Response.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Subscriber sync failed:", error);
+    return Response.json(
+      { success: false, error: error instanceof Error ? error.message : String(error) },
+      { status: 500 }
+    );
+  }
+}
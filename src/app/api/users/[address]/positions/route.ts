@@ -0,0 +1,51 @@
+import { NextRequest } from "next/server";
+import { isAddress } from "viem";
+import {
+  matchesCurrency,
+  paginate,
+  presaleListQuerySchema,
+  presaleStateNames,
+  serializePosition,
+} from "~/lib/presaleApi";
+import { getUserPositions } from "~/lib/presaleReader";
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ address: string }> }
+) {
+  const { address } = await params;
+  if (!isAddress(address)) {
+    return Response.json({ success: false, error: "Invalid account address" }, { status: 400 });
+  }
+
+  const query = presaleListQuerySchema.safeParse(Object.fromEntries(request.nextUrl.searchParams));
+  if (query.success === false) {
+    return Response.json({ success: false, errors: query.error.errors }, { status: 400 });
+  }
+  const { state, currency, offset, limit } = query.data;
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const positions = (await getUserPositions(address))
+      .filter(
+        ({ presale }) =>
+          (!state || presale.pool.state === presaleStateNames[state]) &&
+          (!currency || matchesCurrency(presale.currency, currency))
+      )
+      .reverse();
+
+    return Response.json(
+      {
+        success: true,
+        ...paginate(
+          positions.map((position) => serializePosition(position, now)),
+          { offset, limit }
+        ),
+      },
+      { headers: { "Cache-Control": "s-maxage=15, stale-while-revalidate=60" } }
+    );
+  } catch (error) {
+    console.error(`Failed to read positions of ${address}:`, error);
+    return Response.json({ success: false, error: "Failed to read positions" }, { status: 502 });
+  }
+}
@@ -0,0 +1,91 @@
+import { NextRequest } from "next/server";
+import { isAddress, isHex } from "viem";
+import { z } from "zod";
+import { getSession, verifyFrameSignIn } from "~/auth";
+import { getCallerFidError } from "~/lib/callerAuth";
+import { getWalletLinksForFid, linkSignedWallet } from "~/lib/wallets";
+
+const requestSchema = z.object({
+  fid: z.number().int().positive(),
+  address: z.string().refine((value) => isAddress(value), "Invalid address"),
+  issuedAt: z.number().int(),
+  signature: z.string().refine((value) => isHex(value), "Invalid signature"),
+  // Result of sdk.actions.signIn, for callers without a session
+  signIn: z
+    .object({
+      message: z.string(),
+      signature: z.string().refine((value) => isHex(value), "Invalid signature"),
+    })
+    .optional(),
+});
+
+// Wallets linked to the signed-in user's FID
+export async function GET(request: NextRequest) {
+  const session = await getSession();
+  const fid = session?.user?.fid;
+  if (!fid) {
+    return Response.json(
+      { success: false, error: "Sign in with Farcaster first" },
+      { status: 401 }
+    );
+  }
+  const requestedFid = request.nextUrl.searchParams.get("fid");
+  if (requestedFid && Number(requestedFid) !== fid) {
+    return Response.json(
+      { success: false, error: "FID does not match signed-in user" },
+      { status: 403 }
+    );
+  }
+
+  const links = await getWalletLinksForFid(fid);
+  return Response.json({
+    success: true,
+    wallets: links.map(({ address, source, linkedAt }) => ({ address, source, linkedAt })),
+  });
+}
+
+// Links the wallet connected in the frame to the user's FID
+export async function POST(request: NextRequest) {
+  const requestJson = await request.json();
+  const requestBody = requestSchema.safeParse(requestJson);
+
+  if (requestBody.success === false) {
+    return Response.json(
+      { success: false, errors: requestBody.error.errors },
+      { status: 400 }
+    );
+  }
+
+  // The caller must prove who they are, and can only link wallets to their
+  // own FID
+  const session = await getSession();
+  const { signIn } = requestBody.data;
+  const callerFid =
+    session?.user?.fid ||
+    (signIn
+      ? await verifyFrameSignIn({
+          message: signIn.message,
+          signature: signIn.signature as `0x${string}`,
+        })
+      : null);
+  const callerError = getCallerFidError(callerFid, requestBody.data.fid);
+  if (callerError) {
+    return callerError;
+  }
+
+  const { fid, address, issuedAt, signature } = requestBody.data;
+  const linked = await linkSignedWallet({
+    fid,
+    address: address as `0x${string}`,
+    issuedAt,
+    signature: signature as `0x${string}`,
+  });
+  if (!linked) {
+    return Response.json(
+      { success: false, error: "Invalid or expired signature" },
+      { status: 401 }
+    );
+  }
+
+  return Response.json({ success: true });
+}
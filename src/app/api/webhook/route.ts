@@ -8,11 +8,14 @@ import {
   deleteUserNotificationDetails,
   setUserNotificationDetails,
 } from "~/lib/kv";
-import { sendFrameNotification } from "~/lib/notifs";
+import { renderNotification } from "~/lib/notificationTemplates";
+import { sendQueuedNotification } from "~/lib/outbox";
+import { applyWebhookEvent, getWebhookAppKey } from "~/lib/subscribers";
 
 export async function POST(request: NextRequest) {
   // If Neynar is enabled, we don't need to handle webhooks here
-  // as they will be handled by Neynar's webhook endpoint
+  // as they will be handled by Neynar's webhook endpoint. Subscriber
+  // state is pulled from Neynar by /api/subscribers/sync instead.
   const neynarEnabled = process.env.NEYNAR_API_KEY && process.env.NEYNAR_CLIENT_ID;
   if (neynarEnabled) {
     return Response.json({ success: true });
@@ -52,16 +55,23 @@ export async function POST(request: NextRequest) {
   const fid = data.fid;
   const event = data.event;
 
+  await applyWebhookEvent({
+    fid,
+    appFid: data.appFid,
+    appKey: getWebhookAppKey(requestJson),
+    event: event.event,
+    hasNotificationDetails: "notificationDetails" in event && !!event.notificationDetails,
+  });
+
   // Only handle notifications if Neynar is not enabled
   // When Neynar is enabled, notifications are handled through their webhook
   switch (event.event) {
     case "frame_added":
       if (event.notificationDetails) {
         await setUserNotificationDetails(fid, event.notificationDetails);
-        await sendFrameNotification({
-          fid,
-          title: "Welcome to Frames v2",
-          body: "Frame is now added to your client",
+        await sendQueuedNotification({
+          fids: [fid],
+          ...renderNotification("welcome"),
         });
       } else {
         await deleteUserNotificationDetails(fid);
@@ -74,10 +84,9 @@ export async function POST(request: NextRequest) {
 
     case "notifications_enabled":
       await setUserNotificationDetails(fid, event.notificationDetails);
-      await sendFrameNotification({
-        fid,
-        title: "Ding ding ding",
-        body: "Notifications are now enabled",
+      await sendQueuedNotification({
+        fids: [fid],
+        ...renderNotification("notificationsEnabled"),
       });
       break;
 
@@ -1,15 +1,20 @@
 "use client";
 
 import dynamic from "next/dynamic";
+import { type Address } from "viem";
 
 
 // note: dynamic import is required for components that use the Frame SDK
-const Demo = dynamic(() => import("~/components/Demo"), {
+const Farsale = dynamic(() => import("~/components/Farsale"), {
   ssr: false,
 });
 
-export default function App(
-  { title }: { title?: string } = { title: process.env.NEXT_PUBLIC_FRAME_NAME || "Frames v2 Demo" }
-) {
-  return <Demo title={title} />;
+export default function App({
+  title = process.env.NEXT_PUBLIC_FRAME_NAME || "Farsale",
+  presaleAddress,
+}: {
+  title?: string;
+  presaleAddress?: Address;
+}) {
+  return <Farsale title={title} presaleAddress={presaleAddress} />;
 }
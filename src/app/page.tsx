@@ -1,28 +1,16 @@
 import { Metadata } from "next";
+import { getFrameEmbedMetadata } from "~/lib/utils";
 import App from "./app";
 
 const appUrl = process.env.NEXT_PUBLIC_URL;
 
 // frame preview metadata
 const appName = process.env.NEXT_PUBLIC_FRAME_NAME;
-const splashImageUrl = `${appUrl}/splash.png`;
-const iconUrl = `${appUrl}/icon.png`;
-
-const framePreviewMetadata = {
-  version: "next",
+const framePreviewMetadata = getFrameEmbedMetadata({
   imageUrl: `${appUrl}/opengraph-image`,
-  button: {
-    title: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT,
-    action: {
-      type: "launch_frame",
-      name: appName,
-      url: appUrl,
-      splashImageUrl,
-      iconUrl,
-      splashBackgroundColor: "#f7f7f7",
-    },
-  },
-};
+  buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT,
+  url: appUrl!,
+});
 
 export const revalidate = 300;
 
@@ -0,0 +1,21 @@
+import { isAddress } from "viem";
+import { renderPresaleImage } from "~/components/presale/PresaleImage";
+import { getPresale } from "~/lib/presaleReader";
+
+export const alt = "Presale status";
+export const size = {
+  width: 600,
+  height: 400,
+};
+
+export const contentType = "image/png";
+
+// Keep the progress in feed embeds reasonably fresh
+export const revalidate = 60;
+
+// dynamically generated OG image showing a presale's live progress
+export default async function Image({ params }: { params: Promise<{ address: string }> }) {
+  const { address } = await params;
+  const presale = isAddress(address) ? await getPresale(address).catch(() => null) : null;
+  return renderPresaleImage(presale, { now: Math.floor(Date.now() / 1000), size });
+}
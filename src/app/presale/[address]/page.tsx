@@ -0,0 +1,46 @@
+import { Metadata } from "next";
+import { notFound } from "next/navigation";
+import { isAddress } from "viem";
+import { getPresale } from "~/lib/presaleReader";
+import { getFrameEmbedMetadata } from "~/lib/utils";
+import App from "../../app";
+
+const appUrl = process.env.NEXT_PUBLIC_URL;
+const appName = process.env.NEXT_PUBLIC_FRAME_NAME;
+
+export const revalidate = 60;
+
+type Props = { params: Promise<{ address: string }> };
+
+export async function generateMetadata({ params }: Props): Promise<Metadata> {
+  const { address } = await params;
+  if (!isAddress(address)) return { title: appName };
+
+  const presale = await getPresale(address).catch(() => null);
+  const symbol = presale?.token.symbol;
+  const title = symbol ? `$${symbol} presale` : appName;
+  // Opens the frame on this sale, where the contribute form lives
+  const framePreviewMetadata = getFrameEmbedMetadata({
+    imageUrl: `${appUrl}/presale/${address}/opengraph-image`,
+    buttonTitle: symbol ? `Buy $${symbol}`.slice(0, 32) : process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT,
+    url: `${appUrl}/presale/${address}`,
+  });
+
+  return {
+    title,
+    openGraph: {
+      title,
+      description: process.env.NEXT_PUBLIC_FRAME_DESCRIPTION,
+    },
+    other: {
+      "fc:frame": JSON.stringify(framePreviewMetadata),
+    },
+  };
+}
+
+export default async function PresalePage({ params }: Props) {
+  const { address } = await params;
+  if (!isAddress(address)) notFound();
+
+  return (<App presaleAddress={address} />);
+}
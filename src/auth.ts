@@ -1,6 +1,9 @@
 import { AuthOptions, getServerSession } from "next-auth"
 import CredentialsProvider from "next-auth/providers/credentials";
 import { createAppClient, viemConnector } from "@farcaster/auth-client";
+import { parseSiweMessage } from "viem/siwe";
+import { getStorage } from "~/lib/storage";
+import { setWalletLink, syncVerifiedAddresses } from "~/lib/wallets";
 
 declare module "next-auth" {
   interface Session {
@@ -25,6 +28,69 @@ function getDomainFromUrl(urlString: string | undefined): string {
   }
 }
 
+// A frame sign-in sent along with a request is only accepted this long after it was issued
+const FRAME_SIGN_IN_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Marks a sign-in nonce as used for `ttlSeconds`. Returns false if it was
+ * already used.
+ */
+async function claimSignInNonce(nonce: string, ttlSeconds: number): Promise<boolean> {
+  const storage = await getStorage();
+  return await storage.set(`signin:nonce:${nonce}`, Date.now(), { ttlSeconds, nx: true });
+}
+
+/**
+ * Verifies a Sign In With Farcaster message against this app's domain.
+ */
+async function verifySignIn(message: string, signature: `0x${string}`, nonce: string) {
+  const appClient = createAppClient({
+    ethereum: viemConnector(),
+  });
+
+  return appClient.verifySignInMessage({
+    message,
+    signature,
+    domain: getDomainFromUrl(process.env.NEXTAUTH_URL),
+    nonce,
+  });
+}
+
+/**
+ * Checks a message signed in the frame with `sdk.actions.signIn`, for
+ * requests made without a session. The message must be recent and each one
+ * is accepted once, so a captured message can't be replayed. Returns the
+ * signer's FID, or null.
+ */
+export async function verifyFrameSignIn({
+  message,
+  signature,
+}: {
+  message: string;
+  signature: `0x${string}`;
+}): Promise<number | null> {
+  const { nonce, issuedAt, expirationTime } = parseSiweMessage(message);
+  const now = Date.now();
+  if (
+    !nonce ||
+    !issuedAt ||
+    now - issuedAt.getTime() > FRAME_SIGN_IN_MAX_AGE_MS ||
+    (expirationTime && expirationTime.getTime() <= now)
+  ) {
+    return null;
+  }
+
+  try {
+    const { success, fid } = await verifySignIn(message, signature, nonce);
+    if (!success) return null;
+    const claimed = await claimSignInNonce(nonce, FRAME_SIGN_IN_MAX_AGE_MS / 1000);
+    return claimed ? fid : null;
+  } catch (error) {
+    console.error('Failed to verify frame sign-in:', error);
+    return null;
+  }
+}
+
 export const authOptions: AuthOptions = {
     // Configure one or more authentication providers
   providers: [
@@ -58,24 +124,29 @@ export const authOptions: AuthOptions = {
       },
       async authorize(credentials, req) {
         const csrfToken = req?.body?.csrfToken;
-        const appClient = createAppClient({
-          ethereum: viemConnector(),
-        });
-
-        const domain = getDomainFromUrl(process.env.NEXTAUTH_URL);
-
-        const verifyResponse = await appClient.verifySignInMessage({
-          message: credentials?.message as string,
-          signature: credentials?.signature as `0x${string}`,
-          domain,
-          nonce: csrfToken,
-        });
+        const verifyResponse = await verifySignIn(
+          credentials?.message as string,
+          credentials?.signature as `0x${string}`,
+          csrfToken
+        );
         const { success, fid } = verifyResponse;
 
         if (!success) {
           return null;
         }
 
+        // Remember which wallets belong to this FID so on-chain activity can
+        // be routed back to it: the address that signed in, plus its
+        // verified addresses when Neynar is configured.
+        try {
+          await setWalletLink(fid, verifyResponse.data.address, "siwf");
+          if (process.env.NEYNAR_API_KEY) {
+            await syncVerifiedAddresses(fid);
+          }
+        } catch (error) {
+          console.error('Failed to link wallets for FID', fid, error);
+        }
+
         return {
           id: fid.toString(),
         };
@@ -35,6 +35,7 @@ export default function Demo(
   const [txHash, setTxHash] = useState<string | null>(null);
 
   const [sendNotificationResult, setSendNotificationResult] = useState("");
+  const { data: session } = useSession();
 
   const { address, isConnected } = useAccount();
   const chainId = useChainId();
@@ -105,6 +106,11 @@ export default function Demo(
     }
 
     try {
+      // Without a session the server needs a fresh signed message instead
+      const signIn = session
+        ? undefined
+        : await sdk.actions.signIn({ nonce: crypto.randomUUID().replaceAll("-", "") });
+
       const response = await fetch("/api/send-notification", {
         method: "POST",
         mode: "same-origin",
@@ -112,6 +118,7 @@ export default function Demo(
         body: JSON.stringify({
           fid: context.user.fid,
           notificationDetails,
+          signIn,
         }),
       });
 
@@ -128,7 +135,7 @@ export default function Demo(
     } catch (error) {
       setSendNotificationResult(`Error: ${error}`);
     }
-  }, [context, notificationDetails]);
+  }, [context, notificationDetails, session]);
 
   const sendTx = useCallback(() => {
     sendTransaction(
@@ -0,0 +1,131 @@
+"use client";
+
+import { useState } from "react";
+import { type Address } from "viem";
+import { useAccount, useConnect, useDisconnect } from "wagmi";
+
+import { config } from "~/components/providers/WagmiProvider";
+import { useFrame } from "~/components/providers/FrameProvider";
+import { Button } from "~/components/ui/Button";
+import { CreatePresale } from "~/components/presale/CreatePresale";
+import { LockExplorer } from "~/components/presale/LockExplorer";
+import { MyContributions } from "~/components/presale/MyContributions";
+import { PresaleBrowser } from "~/components/presale/PresaleBrowser";
+import { PresaleDetail } from "~/components/presale/PresaleDetail";
+import { WalletLink } from "~/components/presale/WalletLink";
+import { truncateAddress } from "~/lib/truncateAddress";
+
+type Screen =
+  | { name: "browse" }
+  | { name: "create" }
+  | { name: "contributions" }
+  | { name: "locks" }
+  | { name: "presale"; address: Address };
+
+export default function Farsale({
+  title = "Farsale",
+  presaleAddress,
+}: {
+  title?: string;
+  // Opens straight onto this sale, e.g. when launched from a shared embed
+  presaleAddress?: Address;
+}) {
+  const { isSDKLoaded, context } = useFrame();
+  const { address, isConnected } = useAccount();
+  const { connect } = useConnect();
+  const { disconnect } = useDisconnect();
+  const [screen, setScreen] = useState<Screen>(
+    presaleAddress ? { name: "presale", address: presaleAddress } : { name: "browse" }
+  );
+
+  if (!isSDKLoaded) {
+    return <div>Loading...</div>;
+  }
+
+  return (
+    <div
+      style={{
+        paddingTop: context?.client.safeAreaInsets?.top ?? 0,
+        paddingBottom: context?.client.safeAreaInsets?.bottom ?? 0,
+        paddingLeft: context?.client.safeAreaInsets?.left ?? 0,
+        paddingRight: context?.client.safeAreaInsets?.right ?? 0,
+      }}
+    >
+      <div className="w-[300px] mx-auto py-2 px-2">
+        <h1 className="text-2xl font-bold text-center mb-4">{title}</h1>
+
+        <div className="mb-4">
+          {address && (
+            <div className="my-2 text-xs text-center">
+              Connected: <pre className="inline">{truncateAddress(address)}</pre>
+            </div>
+          )}
+          <Button
+            onClick={() =>
+              isConnected
+                ? disconnect()
+                : connect({ connector: config.connectors[0] })
+            }
+          >
+            {isConnected ? "Disconnect" : "Connect wallet"}
+          </Button>
+          <WalletLink />
+        </div>
+
+        {screen.name === "browse" && (
+          <>
+            <div className="mb-4">
+              <Button onClick={() => setScreen({ name: "create" })}>Create a presale</Button>
+            </div>
+            <div className="mb-4">
+              <Button onClick={() => setScreen({ name: "contributions" })}>My contributions</Button>
+            </div>
+            <div className="mb-4">
+              <Button onClick={() => setScreen({ name: "locks" })}>Liquidity locks</Button>
+            </div>
+            <h2 className="font-2xl font-bold mb-2">Presales</h2>
+            <PresaleBrowser onSelect={(address) => setScreen({ name: "presale", address })} />
+          </>
+        )}
+
+        {screen.name === "create" && (
+          <>
+            <BackButton onClick={() => setScreen({ name: "browse" })} />
+            <CreatePresale onCreated={(address) => setScreen({ name: "presale", address })} />
+          </>
+        )}
+
+        {screen.name === "contributions" && (
+          <>
+            <BackButton onClick={() => setScreen({ name: "browse" })} />
+            <h2 className="font-2xl font-bold mb-2">My contributions</h2>
+            <MyContributions onSelect={(address) => setScreen({ name: "presale", address })} />
+          </>
+        )}
+
+        {screen.name === "locks" && (
+          <>
+            <BackButton onClick={() => setScreen({ name: "browse" })} />
+            <h2 className="font-2xl font-bold mb-2">Liquidity locks</h2>
+            <LockExplorer onSelect={(address) => setScreen({ name: "presale", address })} />
+          </>
+        )}
+
+        {screen.name === "presale" && (
+          <>
+            <BackButton onClick={() => setScreen({ name: "browse" })} />
+            <PresaleDetail address={screen.address} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BackButton({ onClick }: { onClick: () => void }) {
+  return (
+    <button onClick={onClick} className="text-sm mb-2">
+      ← All presales
+    </button>
+  );
+}
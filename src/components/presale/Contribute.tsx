@@ -0,0 +1,180 @@
+import { useCallback, useMemo, useState } from "react";
+import { erc20Abi, parseUnits } from "viem";
+import { useAccount, useWriteContract } from "wagmi";
+
+import { Button } from "~/components/ui/Button";
+import { Input } from "~/components/ui/input";
+import { Label } from "~/components/ui/label";
+import { presaleAbi, presaleChainId } from "~/lib/contracts";
+import {
+  formatAmount,
+  getPresaleErrorMessage,
+  getTokensForContribution,
+  isNativeCurrency,
+  validateContribution,
+} from "~/lib/presale";
+import { type PresaleInfo, useContributorStatus, useNow, useTransaction } from "./hooks";
+import { TransactionError } from "./TransactionError";
+
+function parseAmount(value: string, decimals: number): bigint | null {
+  try {
+    const amount = parseUnits(value.trim(), decimals);
+    return amount > 0n ? amount : null;
+  } catch {
+    return null;
+  }
+}
+
+export function Contribute({
+  presale,
+  onContributed,
+}: {
+  presale: PresaleInfo;
+  onContributed?: () => void;
+}) {
+  const { address: account } = useAccount();
+  const { pool, token, currency } = presale;
+  const { options } = pool;
+  const isNative = isNativeCurrency(options.currency);
+
+  const [value, setValue] = useState("");
+  const [step, setStep] = useState<"idle" | "approving" | "contributing" | "done">("idle");
+  const now = useNow();
+  const { contributed, isWhitelisted, allowance, refresh } = useContributorStatus(presale, account);
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+
+  const amount = useMemo(() => parseAmount(value, currency.decimals), [value, currency.decimals]);
+
+  const validationError = useMemo(() => {
+    if (!amount) return null;
+    return validateContribution({
+      pool,
+      paused: presale.paused,
+      whitelistEnabled: presale.whitelistEnabled,
+      // before the wallet is connected we can't know, let the contract decide
+      isWhitelisted: isWhitelisted ?? !account,
+      contributed: contributed ?? 0n,
+      amount,
+      now,
+    });
+  }, [amount, pool, presale.paused, presale.whitelistEnabled, isWhitelisted, account, contributed, now]);
+
+  const handleContribute = useCallback(async () => {
+    if (!amount || validationError) return;
+
+    let ok: boolean;
+    if (isNative) {
+      setStep("contributing");
+      ok = !!(await run(() =>
+        writeContractAsync({
+          address: presale.address,
+          abi: presaleAbi,
+          functionName: "contribute",
+          value: amount,
+          chainId: presaleChainId,
+        })
+      ));
+    } else {
+      ok = true;
+      if ((allowance ?? 0n) < amount) {
+        setStep("approving");
+        ok = !!(await run(() =>
+          writeContractAsync({
+            address: options.currency,
+            abi: erc20Abi,
+            functionName: "approve",
+            args: [presale.address, amount],
+            chainId: presaleChainId,
+          })
+        ));
+      }
+      if (ok) {
+        setStep("contributing");
+        ok = !!(await run(() =>
+          writeContractAsync({
+            address: presale.address,
+            abi: presaleAbi,
+            functionName: "contributeStablecoin",
+            args: [amount],
+            chainId: presaleChainId,
+          })
+        ));
+      }
+    }
+
+    await refresh();
+    if (ok) {
+      setStep("done");
+      setValue("");
+      onContributed?.();
+    } else {
+      setStep("idle");
+    }
+  }, [amount, validationError, isNative, run, writeContractAsync, presale.address, allowance, options.currency, refresh, onContributed]);
+
+  const remaining = options.max - (contributed ?? 0n);
+
+  return (
+    <div className="mb-4">
+      <h2 className="font-2xl font-bold mb-2">Contribute</h2>
+
+      <div className="text-xs mb-2">
+        <div>Min: {formatAmount(options.min, currency.decimals)} {currency.symbol}</div>
+        <div>Max per wallet: {formatAmount(options.max, currency.decimals)} {currency.symbol}</div>
+        {contributed !== undefined && (
+          <div>
+            Your contribution: {formatAmount(contributed, currency.decimals)} {currency.symbol}
+            {remaining > 0n && ` (${formatAmount(remaining, currency.decimals)} left)`}
+          </div>
+        )}
+        {presale.whitelistEnabled && (
+          <div>
+            Whitelist only
+            {isWhitelisted !== undefined && (isWhitelisted ? " - you're on it" : " - you're not on it")}
+          </div>
+        )}
+      </div>
+
+      <Label className="text-xs font-semibold text-gray-500 mb-1" htmlFor="contribute-amount">
+        Amount ({currency.symbol})
+      </Label>
+      <Input
+        id="contribute-amount"
+        type="text"
+        inputMode="decimal"
+        placeholder="0.0"
+        value={value}
+        className="mb-2"
+        onChange={(e) => {
+          setValue(e.target.value);
+          setStep("idle");
+        }}
+      />
+      {amount && !validationError && (
+        <div className="text-xs mb-2">
+          You receive ~{formatAmount(getTokensForContribution(amount, pool, token.decimals, currency.decimals), token.decimals)}{" "}
+          {token.symbol}
+        </div>
+      )}
+      {validationError && (
+        <div className="text-red-500 text-xs mb-2">{getPresaleErrorMessage(validationError)}</div>
+      )}
+
+      <Button
+        onClick={handleContribute}
+        disabled={!amount || !!validationError || isPending}
+        isLoading={isPending}
+      >
+        {!isNative && (allowance ?? 0n) < (amount ?? 0n) ? `Approve & contribute` : "Contribute"}
+      </Button>
+      {isPending && (
+        <div className="text-xs mt-1 text-center">
+          {step === "approving" ? `Approving ${currency.symbol}...` : "Contributing..."}
+        </div>
+      )}
+      {step === "done" && <div className="text-xs mt-1 text-center">Contribution confirmed!</div>}
+      <TransactionError error={error} />
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+import { useCallback, useMemo, useState } from "react";
+import { type Address, erc20Abi, isAddress, parseEventLogs, parseUnits, zeroAddress } from "viem";
+import { useAccount, useReadContract, useWriteContract } from "wagmi";
+
+import { Button } from "~/components/ui/Button";
+import { Input } from "~/components/ui/input";
+import { Label } from "~/components/ui/label";
+import {
+  presaleChainId,
+  presaleFactoryAbi,
+  presaleFactoryAddress,
+  uniswapV2RouterAddress,
+  wethAddress,
+} from "~/lib/contracts";
+import {
+  calculateTotalTokensNeeded,
+  formatAmount,
+  formatTimestamp,
+  nativeCurrency,
+  type PresaleOptions,
+  validatePresaleOptions,
+} from "~/lib/presale";
+import { useNow, usePresaleFactory, useTokenInfo, useTransaction } from "./hooks";
+import { TransactionError } from "./TransactionError";
+
+interface PresaleForm {
+  token: string;
+  currency: string;
+  hardCap: string;
+  softCap: string;
+  min: string;
+  max: string;
+  start: string;
+  end: string;
+  lockupDays: string;
+  presaleRate: string;
+  listingRate: string;
+  liquidityPercent: string;
+  slippagePercent: string;
+  tokenDeposit: string;
+}
+
+type FormField = keyof PresaleForm;
+
+const initialForm: PresaleForm = {
+  token: "",
+  currency: "",
+  hardCap: "",
+  softCap: "",
+  min: "",
+  max: "",
+  start: "",
+  end: "",
+  lockupDays: "30",
+  presaleRate: "",
+  listingRate: "",
+  liquidityPercent: "51",
+  slippagePercent: "2",
+  tokenDeposit: "",
+};
+
+const fieldLabels: Record<FormField, string> = {
+  token: "Token address",
+  currency: "Currency token address (blank for ETH)",
+  hardCap: "Hard cap",
+  softCap: "Soft cap",
+  min: "Minimum contribution",
+  max: "Maximum contribution",
+  start: "Start",
+  end: "End",
+  lockupDays: "LP lockup (days)",
+  presaleRate: "Presale rate (tokens per 1 currency unit)",
+  listingRate: "Listing rate (tokens per 1 currency unit)",
+  liquidityPercent: "Liquidity (% of raise)",
+  slippagePercent: "Slippage (%)",
+  tokenDeposit: "Token deposit",
+};
+
+const steps: { title: string; fields: FormField[] }[] = [
+  { title: "Token", fields: ["token", "currency"] },
+  { title: "Caps", fields: ["hardCap", "softCap", "min", "max"] },
+  { title: "Schedule", fields: ["start", "end", "lockupDays"] },
+  { title: "Rates & liquidity", fields: ["presaleRate", "listingRate", "liquidityPercent", "slippagePercent"] },
+  { title: "Review", fields: ["tokenDeposit"] },
+];
+
+// Which form field each `PresaleOptions` validation error belongs to.
+const optionFields: Record<keyof PresaleOptions, FormField> = {
+  tokenDeposit: "tokenDeposit",
+  hardCap: "hardCap",
+  softCap: "softCap",
+  max: "max",
+  min: "min",
+  start: "start",
+  end: "end",
+  liquidityBps: "liquidityPercent",
+  slippageBps: "slippagePercent",
+  presaleRate: "presaleRate",
+  listingRate: "listingRate",
+  lockupDuration: "lockupDays",
+  currency: "currency",
+};
+
+function parseUnitsOrNull(value: string, decimals: number): bigint | null {
+  if (!value.trim()) return null;
+  try {
+    return parseUnits(value.trim(), decimals);
+  } catch {
+    return null;
+  }
+}
+
+function parseDateTime(value: string): bigint | null {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : BigInt(Math.floor(time / 1000));
+}
+
+/**
+ * Turns the raw form into `PresaleOptions`. Fields that don't parse are
+ * reported in `errors` and left as zero so the rest can still be checked.
+ */
+function buildOptions(form: PresaleForm, tokenDecimals: number, currencyDecimals: number, currency: Address) {
+  const errors: Partial<Record<FormField, string>> = {};
+  const amount = (field: FormField, decimals: number) => {
+    const value = parseUnitsOrNull(form[field], decimals);
+    if (value === null) errors[field] = `Enter a valid ${fieldLabels[field].toLowerCase()}.`;
+    return value ?? 0n;
+  };
+  const time = (field: FormField) => {
+    const value = parseDateTime(form[field]);
+    if (value === null) errors[field] = `Pick a ${fieldLabels[field].toLowerCase()} time.`;
+    return value ?? 0n;
+  };
+
+  const options: PresaleOptions = {
+    tokenDeposit: 0n,
+    hardCap: amount("hardCap", currencyDecimals),
+    softCap: amount("softCap", currencyDecimals),
+    max: amount("max", currencyDecimals),
+    min: amount("min", currencyDecimals),
+    start: time("start"),
+    end: time("end"),
+    liquidityBps: amount("liquidityPercent", 2),
+    slippageBps: amount("slippagePercent", 2),
+    presaleRate: amount("presaleRate", 0),
+    listingRate: amount("listingRate", 0),
+    lockupDuration: amount("lockupDays", 0) * 24n * 60n * 60n,
+    currency,
+  };
+
+  // an empty deposit means "exactly what the hard cap needs"
+  const needed = calculateTotalTokensNeeded(options, tokenDecimals, currencyDecimals);
+  options.tokenDeposit = form.tokenDeposit.trim() ? amount("tokenDeposit", tokenDecimals) : needed;
+
+  return { options, needed, errors };
+}
+
+export function CreatePresale({ onCreated }: { onCreated?: (address: Address) => void }) {
+  const { address: account } = useAccount();
+  const [form, setForm] = useState<PresaleForm>(initialForm);
+  const [stepIndex, setStepIndex] = useState(0);
+  const now = useNow(10_000);
+
+  const tokenAddress = isAddress(form.token) ? form.token : undefined;
+  const currencyAddress = form.currency.trim() ? (isAddress(form.currency) ? form.currency : undefined) : zeroAddress;
+  const token = useTokenInfo(tokenAddress);
+  const currency = useTokenInfo(currencyAddress);
+
+  const { creationFee, feeToken } = usePresaleFactory();
+  const feeInToken = !!feeToken && feeToken !== zeroAddress;
+  const feeTokenInfo = useTokenInfo(feeToken);
+  const { data: feeAllowance } = useReadContract({
+    address: feeToken,
+    abi: erc20Abi,
+    functionName: "allowance",
+    args: [account!, presaleFactoryAddress!],
+    chainId: presaleChainId,
+    query: { enabled: feeInToken && !!account && !!presaleFactoryAddress },
+  });
+
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+
+  const built = useMemo(
+    () =>
+      token && currency
+        ? buildOptions(form, token.decimals, currency.decimals, currency.address)
+        : undefined,
+    [form, token, currency]
+  );
+
+  const errors = useMemo(() => {
+    const result: Partial<Record<FormField, string>> = {};
+    if (!tokenAddress) result.token = "Enter the address of the token you are selling.";
+    else if (!token) result.token = "Could not read this token on the presale chain.";
+    if (!currencyAddress) result.currency = "Enter a valid currency token address, or leave it blank for ETH.";
+    else if (!currency) result.currency = "Could not read this currency token on the presale chain.";
+    if (!built) return result;
+
+    for (const [key, message] of Object.entries(validatePresaleOptions(built.options, now))) {
+      result[optionFields[key as keyof PresaleOptions]] = message;
+    }
+    return { ...result, ...built.errors };
+  }, [tokenAddress, token, currencyAddress, currency, built, now]);
+
+  const step = steps[stepIndex];
+  const isReview = stepIndex === steps.length - 1;
+  const stepHasErrors = step.fields.some((field) => errors[field]);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const setField = useCallback((field: FormField, value: string) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const handleCreate = useCallback(async () => {
+    if (!built || hasErrors || !presaleFactoryAddress || !tokenAddress || !wethAddress || !uniswapV2RouterAddress) {
+      return;
+    }
+    const fee = creationFee ?? 0n;
+
+    if (feeInToken && (feeAllowance ?? 0n) < fee) {
+      const approved = await run(() =>
+        writeContractAsync({
+          address: feeToken,
+          abi: erc20Abi,
+          functionName: "approve",
+          args: [presaleFactoryAddress!, fee],
+          chainId: presaleChainId,
+        })
+      );
+      if (!approved) return;
+    }
+
+    const receipt = await run(() =>
+      writeContractAsync({
+        address: presaleFactoryAddress!,
+        abi: presaleFactoryAbi,
+        functionName: "createPresale",
+        args: [built.options, tokenAddress, wethAddress!, uniswapV2RouterAddress!],
+        value: feeInToken ? 0n : fee,
+        chainId: presaleChainId,
+      })
+    );
+    if (!receipt) return;
+
+    const [created] = parseEventLogs({
+      abi: presaleFactoryAbi,
+      eventName: "PresaleCreated",
+      logs: receipt.logs,
+    });
+    if (created) {
+      setForm(initialForm);
+      setStepIndex(0);
+      onCreated?.(created.args.presale);
+    }
+  }, [built, hasErrors, tokenAddress, creationFee, feeInToken, feeAllowance, feeToken, run, writeContractAsync, onCreated]);
+
+  if (!presaleFactoryAddress || !wethAddress || !uniswapV2RouterAddress) {
+    return (
+      <div className="text-sm text-red-500">
+        Creating presales needs NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS, NEXT_PUBLIC_WETH_ADDRESS and
+        NEXT_PUBLIC_UNISWAP_V2_ROUTER_ADDRESS to be configured.
+      </div>
+    );
+  }
+
+  const fieldType = (field: FormField) => (field === "start" || field === "end" ? "datetime-local" : "text");
+  const unitFor = (field: FormField) => {
+    if (field === "tokenDeposit") return token?.symbol;
+    if (field === "hardCap" || field === "softCap" || field === "min" || field === "max") return currency?.symbol;
+    return undefined;
+  };
+
+  return (
+    <div className="mb-4">
+      <h2 className="font-2xl font-bold mb-1">Create presale</h2>
+      <div className="text-xs text-gray-500 mb-2">
+        Step {stepIndex + 1} of {steps.length}: {step.title}
+      </div>
+
+      {step.fields.map((field) => (
+        <div key={field} className="mb-2">
+          <Label className="text-xs font-semibold text-gray-500 mb-1" htmlFor={`create-${field}`}>
+            {fieldLabels[field]}
+            {unitFor(field) && ` (${unitFor(field)})`}
+          </Label>
+          <Input
+            id={`create-${field}`}
+            type={fieldType(field)}
+            value={form[field]}
+            placeholder={
+              field === "tokenDeposit" && built && token ? formatAmount(built.needed, token.decimals) : undefined
+            }
+            onChange={(e) => setField(field, e.target.value)}
+          />
+          {errors[field] && <div className="text-red-500 text-xs mt-1">{errors[field]}</div>}
+        </div>
+      ))}
+
+      {stepIndex === 0 && token && currency && (
+        <div className="text-xs mb-2">
+          Selling {token.symbol} for {currency.symbol}
+        </div>
+      )}
+
+      {isReview && built && token && currency && (
+        <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+          <div>
+            Tokens needed (calculateTotalTokensNeeded): {formatAmount(built.needed, token.decimals)} {token.symbol}
+          </div>
+          {built.options.tokenDeposit < built.needed && (
+            <div className="text-yellow-600">
+              Your deposit is below what the hard cap needs; buyers may not be able to claim.
+            </div>
+          )}
+          <div>
+            Raise {formatAmount(built.options.softCap, currency.decimals)}-{formatAmount(built.options.hardCap, currency.decimals)}{" "}
+            {currency.symbol}
+          </div>
+          <div>
+            {formatTimestamp(built.options.start)} → {formatTimestamp(built.options.end)}
+          </div>
+          {creationFee !== undefined && (
+            <div>
+              Creation fee: {formatAmount(creationFee, (feeInToken ? feeTokenInfo : nativeCurrency)?.decimals ?? 18)}{" "}
+              {(feeInToken ? feeTokenInfo : nativeCurrency)?.symbol}
+            </div>
+          )}
+          {hasErrors && <div className="text-red-500 mt-1">Fix the errors in earlier steps before creating.</div>}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        {stepIndex > 0 && (
+          <Button onClick={() => setStepIndex((prev) => prev - 1)} disabled={isPending}>
+            Back
+          </Button>
+        )}
+        {isReview ? (
+          <Button onClick={handleCreate} disabled={hasErrors || isPending} isLoading={isPending}>
+            {feeInToken && (feeAllowance ?? 0n) < (creationFee ?? 0n) ? "Approve fee & create" : "Create presale"}
+          </Button>
+        ) : (
+          <Button onClick={() => setStepIndex((prev) => prev + 1)} disabled={stepHasErrors}>
+            Next
+          </Button>
+        )}
+      </div>
+      <TransactionError error={error} />
+    </div>
+  );
+}
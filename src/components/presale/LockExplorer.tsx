@@ -0,0 +1,131 @@
+import { useCallback } from "react";
+import { type Address, isAddressEqual } from "viem";
+import { useAccount, useWriteContract } from "wagmi";
+
+import { Button } from "~/components/ui/Button";
+import { liquidityLockerAbi, presaleChainId } from "~/lib/contracts";
+import { formatAmount, formatDuration, formatTimestamp, type LiquidityLock } from "~/lib/presale";
+import { truncateAddress } from "~/lib/truncateAddress";
+import { useLiquidityLocks, useNow, usePresale, useTransaction } from "./hooks";
+import { TransactionError } from "./TransactionError";
+
+// Uniswap V2 LP tokens always use 18 decimals
+const LP_DECIMALS = 18;
+
+export function LockExplorer({ onSelect }: { onSelect?: (address: Address) => void }) {
+  const { lockerAddress, locks, lockPresales, isLoading, error, refetch } = useLiquidityLocks();
+
+  if (isLoading) {
+    return <div className="text-sm">Loading liquidity locks...</div>;
+  }
+
+  if (error) {
+    return <div className="text-sm text-red-500">Failed to load locks: {error.message}</div>;
+  }
+
+  if (!lockerAddress || locks.length === 0) {
+    return <div className="text-sm">No liquidity has been locked yet.</div>;
+  }
+
+  return (
+    <div>
+      <div className="text-xs text-gray-500 mb-2">
+        Locker: <span className="font-mono">{truncateAddress(lockerAddress)}</span>
+      </div>
+      {[...locks].reverse().map((lock) => (
+        <LockCard
+          key={lock.id.toString()}
+          lock={lock}
+          lockerAddress={lockerAddress}
+          presaleAddress={lockPresales[Number(lock.id)] ?? undefined}
+          onSelect={onSelect}
+          onWithdrawn={() => refetch()}
+        />
+      ))}
+    </div>
+  );
+}
+
+function LockCard({
+  lock,
+  lockerAddress,
+  presaleAddress,
+  onSelect,
+  onWithdrawn,
+}: {
+  lock: LiquidityLock;
+  lockerAddress: Address;
+  presaleAddress?: Address;
+  onSelect?: (address: Address) => void;
+  onWithdrawn?: () => void;
+}) {
+  const { address: account } = useAccount();
+  const { presale } = usePresale(presaleAddress);
+  const now = useNow();
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+
+  const remaining = Number(lock.unlockTime) - now;
+  const withdrawn = lock.amount === 0n;
+  const isOwner = !!account && isAddressEqual(account, lock.owner);
+
+  const handleWithdraw = useCallback(async () => {
+    const receipt = await run(() =>
+      writeContractAsync({
+        address: lockerAddress,
+        abi: liquidityLockerAbi,
+        functionName: "withdraw",
+        args: [lock.id],
+        chainId: presaleChainId,
+      })
+    );
+    if (receipt) onWithdrawn?.();
+  }, [run, writeContractAsync, lockerAddress, lock.id, onWithdrawn]);
+
+  return (
+    <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-bold">
+          Lock #{lock.id.toString()}
+          {presale && ` · ${presale.token.symbol} / ${presale.currency.symbol}`}
+        </span>
+        <span className="px-2 py-0.5 rounded-full bg-[#7C65C1] text-white">
+          {withdrawn ? "Withdrawn" : remaining > 0 ? "Locked" : "Unlocked"}
+        </span>
+      </div>
+      <div>
+        LP token: <span className="font-mono">{truncateAddress(lock.token)}</span>
+      </div>
+      <div>Amount: {formatAmount(lock.amount, LP_DECIMALS)} LP</div>
+      <div>Unlocks: {formatTimestamp(lock.unlockTime)}</div>
+      {!withdrawn && remaining > 0 && <div>Time remaining: {formatDuration(remaining)}</div>}
+      <div>
+        Owner: <span className="font-mono">{truncateAddress(lock.owner)}</span>
+      </div>
+      {presaleAddress && (
+        <div>
+          Presale:{" "}
+          {onSelect ? (
+            <button className="font-mono underline" onClick={() => onSelect(presaleAddress)}>
+              {truncateAddress(presaleAddress)}
+            </button>
+          ) : (
+            <span className="font-mono">{truncateAddress(presaleAddress)}</span>
+          )}
+        </div>
+      )}
+
+      {isOwner && !withdrawn && (
+        <Button
+          className="mt-2"
+          onClick={handleWithdraw}
+          disabled={remaining > 0 || isPending}
+          isLoading={isPending}
+        >
+          {remaining > 0 ? `Unlocks in ${formatDuration(remaining)}` : "Withdraw LP tokens"}
+        </Button>
+      )}
+      <TransactionError error={error} />
+    </div>
+  );
+}
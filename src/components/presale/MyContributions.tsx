@@ -0,0 +1,160 @@
+import { useCallback, useState } from "react";
+import { type Address } from "viem";
+import { useAccount, useWriteContract } from "wagmi";
+
+import { Button } from "~/components/ui/Button";
+import { presaleAbi, presaleChainId } from "~/lib/contracts";
+import {
+  CLAIM_DEADLINE_WARNING_SECONDS,
+  formatAmount,
+  formatDuration,
+  formatTimestamp,
+  getPresaleStateLabel,
+  isClaimable,
+  isClaimWindowOpen,
+  isRefundable,
+  PresaleState,
+} from "~/lib/presale";
+import { truncateAddress } from "~/lib/truncateAddress";
+import { useContributedPresales, useContributorStatus, useNow, usePresale, useTransaction } from "./hooks";
+import { TransactionError } from "./TransactionError";
+
+export function MyContributions({ onSelect }: { onSelect?: (address: Address) => void }) {
+  const { address: account } = useAccount();
+  const { addresses, isLoading, error, refetch } = useContributedPresales(account);
+
+  if (!account) {
+    return <div className="text-sm">Connect your wallet to see your contributions.</div>;
+  }
+
+  if (isLoading) {
+    return <div className="text-sm">Scanning presales...</div>;
+  }
+
+  if (error) {
+    return <div className="text-sm text-red-500">Failed to load contributions: {error.message}</div>;
+  }
+
+  if (addresses.length === 0) {
+    return <div className="text-sm">You have nothing to claim or refund.</div>;
+  }
+
+  return (
+    <div>
+      {[...addresses].reverse().map((address) => (
+        <ContributionCard key={address} address={address} onSelect={onSelect} onSettled={() => refetch()} />
+      ))}
+    </div>
+  );
+}
+
+function ContributionCard({
+  address,
+  onSelect,
+  onSettled,
+}: {
+  address: Address;
+  onSelect?: (address: Address) => void;
+  onSettled?: () => void;
+}) {
+  const { address: account } = useAccount();
+  const { presale, refetch } = usePresale(address);
+  const { contributed, tokens, refresh } = useContributorStatus(presale, account);
+  const now = useNow();
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+  const [done, setDone] = useState<string>();
+
+  const handleSettle = useCallback(
+    async (functionName: "claim" | "refund") => {
+      const receipt = await run(() =>
+        writeContractAsync({
+          address,
+          abi: presaleAbi,
+          functionName,
+          chainId: presaleChainId,
+        })
+      );
+      if (receipt) {
+        setDone(functionName === "claim" ? "Tokens claimed!" : "Refund sent!");
+        await Promise.all([refresh(), refetch()]);
+        onSettled?.();
+      }
+    },
+    [address, run, writeContractAsync, refresh, refetch, onSettled]
+  );
+
+  if (!presale || contributed === undefined) {
+    return (
+      <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+        <div className="font-mono">{truncateAddress(address)}</div>
+        <div className="mt-1 text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  const { pool, token, currency, claimDeadline } = presale;
+  const claimWindowOpen = isClaimWindowOpen(pool, claimDeadline, now);
+  const claimable = isClaimable(presale, now);
+  const refundable = isRefundable(pool, now);
+  const untilDeadline = Number(claimDeadline) - now;
+  const claimExpired = pool.state === PresaleState.Finalized && untilDeadline < 0;
+
+  return (
+    <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-bold">
+          {token.symbol} / {currency.symbol}
+        </span>
+        <span className="px-2 py-0.5 rounded-full bg-[#7C65C1] text-white">{getPresaleStateLabel(pool.state)}</span>
+      </div>
+      <div className="font-mono text-gray-500 mb-2">{truncateAddress(address)}</div>
+
+      <div>
+        Contributed: {formatAmount(contributed, currency.decimals)} {currency.symbol}
+      </div>
+      {tokens !== undefined && (
+        <div>
+          Tokens: {formatAmount(tokens, token.decimals)} {token.symbol}
+        </div>
+      )}
+
+      {claimWindowOpen && (
+        <div className={untilDeadline <= CLAIM_DEADLINE_WARNING_SECONDS ? "text-red-500 mt-1" : "mt-1"}>
+          Claim closes in {formatDuration(untilDeadline)} ({formatTimestamp(claimDeadline)})
+          {untilDeadline <= CLAIM_DEADLINE_WARNING_SECONDS && " - claim soon or lose your tokens!"}
+        </div>
+      )}
+      {claimExpired && <div className="text-red-500 mt-1">The claim window closed on {formatTimestamp(claimDeadline)}.</div>}
+      {claimWindowOpen && presale.paused && (
+        <div className="text-gray-500 mt-1">Claims are paused by the presale owner.</div>
+      )}
+      {!claimWindowOpen && !refundable && !claimExpired && (
+        <div className="text-gray-500 mt-1">Nothing to do yet - check back when the sale closes.</div>
+      )}
+
+      {claimWindowOpen && (
+        <Button
+          className="mt-2"
+          onClick={() => handleSettle("claim")}
+          disabled={!claimable || isPending}
+          isLoading={isPending}
+        >
+          Claim {token.symbol}
+        </Button>
+      )}
+      {refundable && (
+        <Button className="mt-2" onClick={() => handleSettle("refund")} disabled={isPending} isLoading={isPending}>
+          Refund {formatAmount(contributed, currency.decimals)} {currency.symbol}
+        </Button>
+      )}
+      {onSelect && (
+        <button className="mt-2 text-xs underline" onClick={() => onSelect(address)}>
+          View sale
+        </button>
+      )}
+      {done && <div className="mt-1 text-center">{done}</div>}
+      <TransactionError error={error} />
+    </div>
+  );
+}
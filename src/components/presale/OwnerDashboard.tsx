@@ -0,0 +1,242 @@
+import { useCallback, useMemo, useState } from "react";
+import { erc20Abi, isAddress, parseUnits } from "viem";
+import { useAccount, useReadContracts, useWriteContract } from "wagmi";
+
+import { Button } from "~/components/ui/Button";
+import { Input } from "~/components/ui/input";
+import { Label } from "~/components/ui/label";
+import { presaleAbi, presaleChainId } from "~/lib/contracts";
+import {
+  canRescueToken,
+  formatAmount,
+  getOwnerActionBlockers,
+  type OwnerAction,
+  PresaleState,
+} from "~/lib/presale";
+import { type PresaleInfo, useTokenInfo, useTransaction } from "./hooks";
+import { TransactionError } from "./TransactionError";
+
+const actionLabels: Record<OwnerAction, string> = {
+  deposit: "Deposit tokens",
+  finalize: "Finalize & add liquidity",
+  cancel: "Cancel presale",
+  withdraw: "Withdraw raised funds",
+  pause: "Pause",
+  unpause: "Unpause",
+};
+
+export function OwnerDashboard({
+  presale,
+  onChanged,
+}: {
+  presale: PresaleInfo;
+  onChanged?: () => void;
+}) {
+  const { address: account } = useAccount();
+  const { pool, token, currency } = presale;
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+  const [pendingAction, setPendingAction] = useState<OwnerAction | "rescue">();
+
+  const { data: tokenState, refetch: refetchTokenState } = useReadContracts({
+    allowFailure: false,
+    contracts: [
+      {
+        address: pool.token,
+        abi: erc20Abi,
+        functionName: "allowance",
+        args: [account!, presale.address],
+        chainId: presaleChainId,
+      },
+      {
+        address: pool.token,
+        abi: erc20Abi,
+        functionName: "balanceOf",
+        args: [account!],
+        chainId: presaleChainId,
+      },
+    ],
+    query: { enabled: !!account && pool.state === PresaleState.PendingDeposit },
+  });
+  const [allowance, balance] = tokenState ?? [];
+
+  const blockers = useMemo(() => {
+    const result = getOwnerActionBlockers({
+      pool,
+      paused: presale.paused,
+      ownerBalance: presale.ownerBalance,
+    });
+    if (!result.deposit && balance !== undefined && balance < pool.options.tokenDeposit) {
+      result.deposit = `You need ${formatAmount(pool.options.tokenDeposit, token.decimals)} ${token.symbol} to deposit.`;
+    }
+    return result;
+  }, [pool, presale.paused, presale.ownerBalance, balance, token]);
+
+  const handleAction = useCallback(
+    async (action: OwnerAction) => {
+      if (blockers[action]) return;
+      setPendingAction(action);
+
+      if (action === "deposit" && (allowance ?? 0n) < pool.options.tokenDeposit) {
+        const approved = await run(() =>
+          writeContractAsync({
+            address: pool.token,
+            abi: erc20Abi,
+            functionName: "approve",
+            args: [presale.address, pool.options.tokenDeposit],
+            chainId: presaleChainId,
+          })
+        );
+        if (!approved) {
+          setPendingAction(undefined);
+          return;
+        }
+      }
+
+      const receipt = await run(() =>
+        writeContractAsync({
+          address: presale.address,
+          abi: presaleAbi,
+          functionName: action,
+          chainId: presaleChainId,
+        })
+      );
+      setPendingAction(undefined);
+      if (receipt) {
+        await refetchTokenState();
+        onChanged?.();
+      }
+    },
+    [blockers, allowance, pool, presale.address, run, writeContractAsync, refetchTokenState, onChanged]
+  );
+
+  const actions: OwnerAction[] = [
+    "deposit",
+    "finalize",
+    "cancel",
+    "withdraw",
+    presale.paused ? "unpause" : "pause",
+  ];
+
+  return (
+    <div className="mb-4">
+      <h2 className="font-2xl font-bold mb-2">Owner dashboard</h2>
+
+      <div className="text-xs mb-2">
+        <div>
+          Deposit required: {formatAmount(pool.options.tokenDeposit, token.decimals)} {token.symbol}
+        </div>
+        <div>
+          Token balance in sale: {formatAmount(pool.tokenBalance, token.decimals)} {token.symbol}
+        </div>
+        <div>
+          Withdrawable: {formatAmount(presale.ownerBalance, currency.decimals)} {currency.symbol}
+        </div>
+      </div>
+
+      {actions.map((action) => (
+        <div key={action} className="mb-2">
+          <Button
+            onClick={() => handleAction(action)}
+            disabled={!!blockers[action] || isPending}
+            isLoading={isPending && pendingAction === action}
+          >
+            {action === "deposit" && !blockers.deposit && (allowance ?? 0n) < pool.options.tokenDeposit
+              ? "Approve & deposit tokens"
+              : actionLabels[action]}
+          </Button>
+          {blockers[action] && <div className="text-xs text-gray-500 mt-1 text-center">{blockers[action]}</div>}
+        </div>
+      ))}
+
+      <RescueTokens presale={presale} disabled={isPending} onRescued={onChanged} />
+      <TransactionError error={error} />
+    </div>
+  );
+}
+
+function RescueTokens({
+  presale,
+  disabled,
+  onRescued,
+}: {
+  presale: PresaleInfo;
+  disabled: boolean;
+  onRescued?: () => void;
+}) {
+  const { address: account } = useAccount();
+  const [tokenAddress, setTokenAddress] = useState("");
+  const [to, setTo] = useState("");
+  const [value, setValue] = useState("");
+  const { writeContractAsync } = useWriteContract();
+  const { run, isPending, error } = useTransaction();
+
+  const token = useTokenInfo(isAddress(tokenAddress) ? tokenAddress : undefined);
+  const recipient = to.trim() || account || "";
+
+  const blocker = useMemo(() => {
+    if (!isAddress(tokenAddress)) return "Enter the token address to rescue.";
+    if (!token) return "Could not read this token.";
+    if (!canRescueToken(presale.pool, tokenAddress)) {
+      return "The sale token can only be rescued after the presale is cancelled or finalized.";
+    }
+    if (!isAddress(recipient)) return "Enter a valid recipient address.";
+    try {
+      if (parseUnits(value.trim(), token.decimals) <= 0n) return "Enter an amount.";
+    } catch {
+      return "Enter an amount.";
+    }
+    return null;
+  }, [tokenAddress, token, presale.pool, recipient, value]);
+
+  const handleRescue = useCallback(async () => {
+    if (blocker || !token || !isAddress(recipient)) return;
+    const receipt = await run(() =>
+      writeContractAsync({
+        address: presale.address,
+        abi: presaleAbi,
+        functionName: "rescueTokens",
+        args: [token.address, recipient, parseUnits(value.trim(), token.decimals)],
+        chainId: presaleChainId,
+      })
+    );
+    if (receipt) {
+      setValue("");
+      onRescued?.();
+    }
+  }, [blocker, token, recipient, run, writeContractAsync, presale.address, value, onRescued]);
+
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-bold mb-2">Rescue tokens</h3>
+      <Label className="text-xs font-semibold text-gray-500 mb-1" htmlFor="rescue-token">
+        Token address
+      </Label>
+      <Input
+        id="rescue-token"
+        value={tokenAddress}
+        className="mb-2"
+        onChange={(e) => setTokenAddress(e.target.value)}
+      />
+      <Label className="text-xs font-semibold text-gray-500 mb-1" htmlFor="rescue-to">
+        Recipient (defaults to you)
+      </Label>
+      <Input id="rescue-to" value={to} className="mb-2" onChange={(e) => setTo(e.target.value)} />
+      <Label className="text-xs font-semibold text-gray-500 mb-1" htmlFor="rescue-amount">
+        Amount{token ? ` (${token.symbol})` : ""}
+      </Label>
+      <Input
+        id="rescue-amount"
+        inputMode="decimal"
+        value={value}
+        className="mb-2"
+        onChange={(e) => setValue(e.target.value)}
+      />
+      {blocker && (tokenAddress || value) && <div className="text-xs text-gray-500 mb-2">{blocker}</div>}
+      <Button onClick={handleRescue} disabled={!!blocker || disabled || isPending} isLoading={isPending}>
+        Rescue tokens
+      </Button>
+      <TransactionError error={error} />
+    </div>
+  );
+}
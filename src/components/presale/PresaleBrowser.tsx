@@ -0,0 +1,48 @@
+import { useMemo, useState } from "react";
+import { type Address } from "viem";
+
+import { Button } from "~/components/ui/Button";
+import { presaleFactoryAddress } from "~/lib/contracts";
+import { usePresaleAddresses } from "./hooks";
+import { PresaleCard } from "./PresaleCard";
+
+const PAGE_SIZE = 10;
+
+export function PresaleBrowser({ onSelect }: { onSelect?: (address: Address) => void }) {
+  const { addresses, isLoading, error } = usePresaleAddresses();
+  const [visible, setVisible] = useState(PAGE_SIZE);
+
+  // newest sales first
+  const ordered = useMemo(() => [...addresses].reverse(), [addresses]);
+
+  if (!presaleFactoryAddress) {
+    return (
+      <div className="text-sm text-red-500">
+        NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS is not configured.
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return <div className="text-sm">Loading presales...</div>;
+  }
+
+  if (error) {
+    return <div className="text-sm text-red-500">Failed to load presales: {error.message}</div>;
+  }
+
+  if (ordered.length === 0) {
+    return <div className="text-sm">No presales have been created yet.</div>;
+  }
+
+  return (
+    <div>
+      {ordered.slice(0, visible).map((address) => (
+        <PresaleCard key={address} address={address} onSelect={onSelect} />
+      ))}
+      {visible < ordered.length && (
+        <Button onClick={() => setVisible((prev) => prev + PAGE_SIZE)}>Show more</Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { type Address } from "viem";
+
+import { truncateAddress } from "~/lib/truncateAddress";
+import {
+  formatAmount,
+  formatTimestamp,
+  getPresaleStateLabel,
+  getRaisedPercent,
+} from "~/lib/presale";
+import { Button } from "~/components/ui/Button";
+import { type PresaleInfo, usePresale } from "./hooks";
+
+export function PresaleCard({
+  address,
+  onSelect,
+}: {
+  address: Address;
+  onSelect?: (address: Address) => void;
+}) {
+  const { presale, error } = usePresale(address);
+
+  if (error) {
+    return (
+      <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+        <div className="font-mono">{truncateAddress(address)}</div>
+        <div className="text-red-500 mt-1">Failed to load presale.</div>
+      </div>
+    );
+  }
+
+  if (!presale) {
+    return (
+      <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+        <div className="font-mono">{truncateAddress(address)}</div>
+        <div className="mt-1 text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  return (
+    <PresaleSummary presale={presale}>
+      {onSelect && (
+        <Button className="mt-2" onClick={() => onSelect(address)}>
+          View sale
+        </Button>
+      )}
+    </PresaleSummary>
+  );
+}
+
+export function PresaleSummary({
+  presale,
+  children,
+}: {
+  presale: PresaleInfo;
+  children?: React.ReactNode;
+}) {
+  const { address, pool, token, currency } = presale;
+  const { options } = pool;
+  const percent = getRaisedPercent(pool);
+
+  return (
+    <div className="p-3 mb-2 bg-gray-100 dark:bg-gray-800 rounded-lg text-xs">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-bold">
+          {token.symbol} / {currency.symbol}
+        </span>
+        <span className="px-2 py-0.5 rounded-full bg-[#7C65C1] text-white">
+          {getPresaleStateLabel(pool.state)}
+          {presale.paused ? " (paused)" : ""}
+        </span>
+      </div>
+      <div className="font-mono text-gray-500 mb-2">{truncateAddress(address)}</div>
+
+      <div className="h-2 w-full bg-gray-300 dark:bg-gray-700 rounded-full overflow-hidden mb-1">
+        <div className="h-full bg-[#7C65C1]" style={{ width: `${percent}%` }} />
+      </div>
+      <div className="mb-2">
+        Raised {formatAmount(pool.weiRaised, currency.decimals)} {currency.symbol} ({percent}%)
+      </div>
+
+      <div>Soft cap: {formatAmount(options.softCap, currency.decimals)} {currency.symbol}</div>
+      <div>Hard cap: {formatAmount(options.hardCap, currency.decimals)} {currency.symbol}</div>
+      <div>Start: {formatTimestamp(options.start)}</div>
+      <div>End: {formatTimestamp(options.end)}</div>
+      {children}
+    </div>
+  );
+}
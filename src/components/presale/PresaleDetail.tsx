@@ -0,0 +1,33 @@
+import { type Address, isAddressEqual } from "viem";
+import { useAccount } from "wagmi";
+
+import { PresaleState } from "~/lib/presale";
+import { Contribute } from "./Contribute";
+import { usePresale } from "./hooks";
+import { OwnerDashboard } from "./OwnerDashboard";
+import { PresaleSummary } from "./PresaleCard";
+
+export function PresaleDetail({ address }: { address: Address }) {
+  const { address: account } = useAccount();
+  const { presale, isLoading, error, refetch } = usePresale(address);
+
+  if (error) {
+    return <div className="text-sm text-red-500">Failed to load presale: {error.message}</div>;
+  }
+
+  if (isLoading || !presale) {
+    return <div className="text-sm">Loading presale...</div>;
+  }
+
+  const isOwner = !!account && isAddressEqual(account, presale.owner);
+
+  return (
+    <div>
+      <PresaleSummary presale={presale} />
+      {presale.pool.state === PresaleState.Active && (
+        <Contribute presale={presale} onContributed={() => refetch()} />
+      )}
+      {isOwner && <OwnerDashboard presale={presale} onChanged={() => refetch()} />}
+    </div>
+  );
+}
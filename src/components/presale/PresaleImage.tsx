@@ -0,0 +1,102 @@
+import { ImageResponse } from "next/og";
+import {
+  formatAmount,
+  formatDuration,
+  getPresaleStateLabel,
+  getRaisedPercent,
+  PresaleState,
+  type PresaleInfo,
+} from "~/lib/presale";
+
+const stateColors: Record<number, string> = {
+  [PresaleState.PendingDeposit]: "#9ca3af",
+  [PresaleState.Active]: "#7C65C1",
+  [PresaleState.Cancelled]: "#ef4444",
+  [PresaleState.Finalized]: "#22c55e",
+};
+
+function getTimeLabel(presale: PresaleInfo, now: number): string {
+  const { pool } = presale;
+  if (pool.state === PresaleState.Cancelled) return "Sale cancelled";
+  if (pool.state === PresaleState.Finalized) return "Sale finalized";
+  if (now < Number(pool.options.start)) {
+    return `Starts in ${formatDuration(Number(pool.options.start) - now)}`;
+  }
+  if (now < Number(pool.options.end)) {
+    return `Ends in ${formatDuration(Number(pool.options.end) - now)}`;
+  }
+  return "Sale ended";
+}
+
+/**
+ * The feed image for `presale`, or a "not found" card when it is null. Kept
+ * apart from the route so it can be rendered without reading the chain.
+ */
+export function renderPresaleImage(
+  presale: PresaleInfo | null,
+  { now, size }: { now: number; size: { width: number; height: number } }
+): ImageResponse {
+  if (!presale) {
+    return new ImageResponse(
+      (
+        <div tw="h-full w-full flex flex-col justify-center items-center relative bg-white">
+          <h1 tw="text-6xl">{process.env.NEXT_PUBLIC_FRAME_NAME || "Farsale"}</h1>
+          <div tw="text-2xl text-gray-500">Presale not found</div>
+        </div>
+      ),
+      {
+        ...size,
+      }
+    );
+  }
+
+  const { pool, token, currency } = presale;
+  const raisedPercent = getRaisedPercent(pool);
+  const softCapPercent = pool.options.hardCap > 0n
+    ? Number((pool.options.softCap * 10_000n) / pool.options.hardCap) / 100
+    : 0;
+
+  return new ImageResponse(
+    (
+      <div tw="h-full w-full flex flex-col justify-between relative bg-white p-10">
+        <div tw="flex justify-between items-center">
+          <div tw="text-6xl font-bold">{`$${token.symbol}`}</div>
+          <div
+            tw="flex px-4 py-2 rounded-full text-2xl text-white"
+            style={{ backgroundColor: stateColors[pool.state] ?? "#9ca3af" }}
+          >
+            {presale.paused ? "Paused" : getPresaleStateLabel(pool.state)}
+          </div>
+        </div>
+
+        <div tw="flex flex-col">
+          <div tw="flex justify-between text-2xl mb-3">
+            <span>
+              {formatAmount(pool.weiRaised, currency.decimals)} / {formatAmount(pool.options.hardCap, currency.decimals)}{" "}
+              {currency.symbol}
+            </span>
+            <span>{Math.floor(raisedPercent)}%</span>
+          </div>
+          <div tw="flex relative w-full h-8 rounded-full bg-gray-200">
+            <div tw="flex h-8 rounded-full" style={{ width: `${raisedPercent}%`, backgroundColor: "#7C65C1" }} />
+            <div
+              tw="flex absolute -top-2 w-1 h-12 bg-gray-800"
+              style={{ left: `${softCapPercent}%` }}
+            />
+          </div>
+          <div tw="flex text-xl text-gray-500 mt-3">
+            Soft cap {formatAmount(pool.options.softCap, currency.decimals)} {currency.symbol}
+          </div>
+        </div>
+
+        <div tw="flex justify-between text-2xl text-gray-700">
+          <span>{getTimeLabel(presale, now)}</span>
+          <span>{process.env.NEXT_PUBLIC_FRAME_NAME}</span>
+        </div>
+      </div>
+    ),
+    {
+      ...size,
+    }
+  );
+}
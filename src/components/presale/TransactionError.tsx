@@ -0,0 +1,28 @@
+import { BaseError, ContractFunctionRevertedError, UserRejectedRequestError } from "viem";
+
+import { getPresaleErrorMessage } from "~/lib/presale";
+
+function getErrorMessage(error: Error): string {
+  if (error instanceof BaseError) {
+    if (error.walk((e) => e instanceof UserRejectedRequestError)) {
+      return "Rejected by user.";
+    }
+
+    const reverted = error.walk((e) => e instanceof ContractFunctionRevertedError);
+    if (reverted instanceof ContractFunctionRevertedError) {
+      const errorName = reverted.data?.errorName;
+      if (errorName) {
+        return getPresaleErrorMessage(errorName) ?? `Transaction reverted: ${errorName}`;
+      }
+    }
+
+    return error.shortMessage;
+  }
+
+  return error.message;
+}
+
+export function TransactionError({ error }: { error: Error | null }) {
+  if (!error) return null;
+  return <div className="text-red-500 text-xs mt-1">{getErrorMessage(error)}</div>;
+}
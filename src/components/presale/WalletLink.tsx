@@ -0,0 +1,90 @@
+import { useCallback, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import sdk from "@farcaster/frame-sdk";
+import { getCsrfToken, signIn, useSession } from "next-auth/react";
+import { useAccount, useSignMessage } from "wagmi";
+
+import { useFrame } from "~/components/providers/FrameProvider";
+import { Button } from "~/components/ui/Button";
+import { getWalletLinkMessage } from "~/lib/walletLink";
+import { TransactionError } from "./TransactionError";
+
+/**
+ * Lets the user prove the connected wallet is theirs, so notifications about
+ * presales it contributed to reach their Farcaster account.
+ */
+export function WalletLink() {
+  const { context } = useFrame();
+  const { address } = useAccount();
+  const { signMessageAsync } = useSignMessage();
+  const [isPending, setIsPending] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const { data: session, update: updateSession } = useSession();
+  const fid = context?.user.fid;
+  const signedIn = !!fid && session?.user?.fid === fid;
+
+  // Linked wallets are only listed to their owner, so this waits for a session
+  const { data: linkedAddresses, refetch } = useQuery({
+    queryKey: ["walletLinks", fid],
+    queryFn: async () => {
+      const response = await fetch(`/api/wallets?fid=${fid}`);
+      if (!response.ok) throw new Error(`Failed to load linked wallets: ${response.status}`);
+      const { wallets } = (await response.json()) as { wallets: { address: string }[] };
+      return wallets.map((wallet) => wallet.address);
+    },
+    enabled: signedIn,
+  });
+
+  const handleLink = useCallback(async () => {
+    if (!fid || !address) return;
+    setIsPending(true);
+    setError(null);
+    try {
+      // The server only links wallets to the signed-in user's own FID
+      if (!signedIn) {
+        const nonce = await getCsrfToken();
+        if (!nonce) throw new Error("Unable to generate nonce");
+        const result = await sdk.actions.signIn({ nonce });
+        const response = await signIn("credentials", {
+          message: result.message,
+          signature: result.signature,
+          redirect: false,
+        });
+        if (response?.error) throw new Error("Sign in failed");
+        await updateSession();
+      }
+
+      const issuedAt = Date.now();
+      const signature = await signMessageAsync({
+        message: getWalletLinkMessage({ fid, address, issuedAt }),
+      });
+      const response = await fetch("/api/wallets", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ fid, address, issuedAt, signature }),
+      });
+      if (!response.ok) {
+        const { error } = await response.json();
+        throw new Error(error ?? `Failed to link wallet: ${response.status}`);
+      }
+      await refetch();
+    } catch (e) {
+      setError(e instanceof Error ? e : new Error(String(e)));
+    } finally {
+      setIsPending(false);
+    }
+  }, [fid, address, signedIn, signMessageAsync, refetch, updateSession]);
+
+  if (!fid || !address || (signedIn && !linkedAddresses) || linkedAddresses?.includes(address.toLowerCase())) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2">
+      <Button onClick={handleLink} disabled={isPending} isLoading={isPending}>
+        Get notified about this wallet&apos;s presales
+      </Button>
+      <TransactionError error={error} />
+    </div>
+  );
+}
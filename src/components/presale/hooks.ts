@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { type Address, type Hash, type TransactionReceipt, erc20Abi } from "viem";
+import { useQuery } from "@tanstack/react-query";
+import {
+  useConfig,
+  useConnect,
+  useReadContract,
+  useReadContracts,
+  useSwitchChain,
+} from "wagmi";
+import { getAccount, waitForTransactionReceipt } from "wagmi/actions";
+
+import {
+  liquidityLockerAbi,
+  presaleAbi,
+  presaleChainId,
+  presaleFactoryAbi,
+  presaleFactoryAddress,
+} from "~/lib/contracts";
+import {
+  isNativeCurrency,
+  type LiquidityLock,
+  nativeCurrency,
+  parsePool,
+  type PresaleInfo,
+  type TokenInfo,
+} from "~/lib/presale";
+
+export type { PresaleInfo };
+
+export function usePresaleAddresses() {
+  const {
+    data: count,
+    isLoading: isCountLoading,
+    error: countError,
+  } = useReadContract({
+    address: presaleFactoryAddress,
+    abi: presaleFactoryAbi,
+    functionName: "getPresaleCount",
+    chainId: presaleChainId,
+    query: { enabled: !!presaleFactoryAddress },
+  });
+
+  const total = Number(count ?? 0n);
+  const {
+    data: addresses,
+    isLoading: isAddressesLoading,
+    error: addressesError,
+  } = useReadContracts({
+    allowFailure: false,
+    contracts: Array.from({ length: total }, (_, i) => ({
+      address: presaleFactoryAddress,
+      abi: presaleFactoryAbi,
+      functionName: "presales",
+      args: [BigInt(i)],
+      chainId: presaleChainId,
+    }) as const),
+    query: { enabled: total > 0 },
+  });
+
+  return {
+    addresses: (addresses ?? []) as Address[],
+    isLoading: isCountLoading || isAddressesLoading,
+    error: countError ?? addressesError,
+  };
+}
+
+export function useTokenInfo(address: Address | undefined) {
+  const isNative = !!address && isNativeCurrency(address);
+  const { data } = useReadContracts({
+    allowFailure: false,
+    contracts: [
+      { address, abi: erc20Abi, functionName: "symbol", chainId: presaleChainId },
+      { address, abi: erc20Abi, functionName: "decimals", chainId: presaleChainId },
+    ],
+    query: { enabled: !!address && !isNative },
+  });
+
+  return useMemo<TokenInfo | undefined>(() => {
+    if (!address) return undefined;
+    if (isNative) return nativeCurrency;
+    if (!data) return undefined;
+    return { address, symbol: data[0], decimals: data[1] };
+  }, [address, isNative, data]);
+}
+
+export function usePresaleFactory() {
+  const { data } = useReadContracts({
+    allowFailure: false,
+    contracts: [
+      { address: presaleFactoryAddress, abi: presaleFactoryAbi, functionName: "creationFee", chainId: presaleChainId },
+      { address: presaleFactoryAddress, abi: presaleFactoryAbi, functionName: "feeToken", chainId: presaleChainId },
+    ],
+    query: { enabled: !!presaleFactoryAddress },
+  });
+
+  return { creationFee: data?.[0], feeToken: data?.[1] };
+}
+
+export function usePresale(address: Address | undefined) {
+  const { data, isLoading, error, refetch } = useReadContracts({
+    allowFailure: false,
+    contracts: [
+      { address, abi: presaleAbi, functionName: "pool", chainId: presaleChainId },
+      { address, abi: presaleAbi, functionName: "paused", chainId: presaleChainId },
+      { address, abi: presaleAbi, functionName: "whitelistEnabled", chainId: presaleChainId },
+      { address, abi: presaleAbi, functionName: "owner", chainId: presaleChainId },
+      { address, abi: presaleAbi, functionName: "ownerBalance", chainId: presaleChainId },
+      { address, abi: presaleAbi, functionName: "claimDeadline", chainId: presaleChainId },
+    ],
+    query: { enabled: !!address },
+  });
+
+  const pool = useMemo(() => (data ? parsePool(data[0]) : undefined), [data]);
+  const token = useTokenInfo(pool?.token);
+  const currency = useTokenInfo(pool?.options.currency);
+
+  const presale = useMemo<PresaleInfo | undefined>(() => {
+    if (!address || !data || !pool || !token || !currency) return undefined;
+    return {
+      address,
+      pool,
+      paused: data[1],
+      whitelistEnabled: data[2],
+      owner: data[3],
+      ownerBalance: data[4],
+      claimDeadline: data[5],
+      token,
+      currency,
+    };
+  }, [address, data, pool, token, currency]);
+
+  return { presale, isLoading, error, refetch };
+}
+
+/**
+ * What `account` has put into a presale, whether it may contribute under the
+ * whitelist, and how much of the sale's ERC20 currency it has approved.
+ */
+export function useContributorStatus(presale: PresaleInfo | undefined, account: Address | undefined) {
+  const enabled = !!presale && !!account;
+  const { data, refetch } = useReadContracts({
+    allowFailure: false,
+    contracts: [
+      {
+        address: presale?.address,
+        abi: presaleAbi,
+        functionName: "getContribution",
+        args: [account!],
+        chainId: presaleChainId,
+      },
+      {
+        address: presale?.address,
+        abi: presaleAbi,
+        functionName: "whitelist",
+        args: [account!],
+        chainId: presaleChainId,
+      },
+      {
+        address: presale?.address,
+        abi: presaleAbi,
+        functionName: "userTokens",
+        args: [account!],
+        chainId: presaleChainId,
+      },
+    ],
+    query: { enabled },
+  });
+
+  const isNative = !presale || isNativeCurrency(presale.pool.options.currency);
+  const { data: allowance, refetch: refetchAllowance } = useReadContract({
+    address: presale?.pool.options.currency,
+    abi: erc20Abi,
+    functionName: "allowance",
+    args: [account!, presale?.address as Address],
+    chainId: presaleChainId,
+    query: { enabled: enabled && !isNative },
+  });
+
+  const refresh = useCallback(async () => {
+    await Promise.all([refetch(), isNative ? undefined : refetchAllowance()]);
+  }, [refetch, refetchAllowance, isNative]);
+
+  return {
+    contributed: data?.[0],
+    isWhitelisted: data?.[1],
+    tokens: data?.[2],
+    allowance,
+    refresh,
+  };
+}
+
+/**
+ * Current unix time in seconds, re-rendering every `intervalMs`.
+ */
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
+
+/**
+ * Sends transactions against the presale chain: connects the frame wallet and
+ * switches chains when needed, then waits for the receipt. `run` resolves to
+ * the receipt, or to null and exposes `error` when the wallet rejects or the
+ * transaction fails.
+ */
+export function useTransaction() {
+  const wagmiConfig = useConfig();
+  const { connectAsync } = useConnect();
+  const { switchChainAsync } = useSwitchChain();
+  const [isPending, setIsPending] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const [hash, setHash] = useState<Hash>();
+
+  const run = useCallback(
+    async (send: () => Promise<Hash>): Promise<TransactionReceipt | null> => {
+      setError(null);
+      setIsPending(true);
+      try {
+        const account = getAccount(wagmiConfig);
+        if (!account.isConnected) {
+          await connectAsync({ connector: wagmiConfig.connectors[0], chainId: presaleChainId });
+        } else if (account.chainId !== presaleChainId) {
+          await switchChainAsync({ chainId: presaleChainId });
+        }
+
+        const txHash = await send();
+        setHash(txHash);
+        const receipt = await waitForTransactionReceipt(wagmiConfig, {
+          hash: txHash,
+          chainId: presaleChainId,
+        });
+        if (receipt.status === "reverted") {
+          throw new Error("Transaction reverted");
+        }
+        return receipt;
+      } catch (e) {
+        setError(e as Error);
+        return null;
+      } finally {
+        setIsPending(false);
+      }
+    },
+    [wagmiConfig, connectAsync, switchChainAsync]
+  );
+
+  return { run, isPending, error, hash };
+}
+
+/**
+ * Factory presales in which `account` still has a contribution on record.
+ */
+export function useContributedPresales(account: Address | undefined) {
+  const { addresses, isLoading: isAddressesLoading, error: addressesError } = usePresaleAddresses();
+  const { data, isLoading, error, refetch } = useReadContracts({
+    allowFailure: false,
+    contracts: addresses.map((address) => ({
+      address,
+      abi: presaleAbi,
+      functionName: "getContribution",
+      args: [account!],
+      chainId: presaleChainId,
+    }) as const),
+    query: { enabled: !!account && addresses.length > 0 },
+  });
+
+  const contributed = useMemo(
+    () => (data ? addresses.filter((_, i) => (data[i] as bigint) > 0n) : []),
+    [addresses, data]
+  );
+
+  return {
+    addresses: contributed,
+    isLoading: isAddressesLoading || isLoading,
+    error: addressesError ?? error,
+    refetch,
+  };
+}
+
+/**
+ * Every lock held by the factory's LiquidityLocker, plus the presale whose
+ * finalization created it. Locks are read from the chain so a withdrawal
+ * shows up straight away; which presale made each one comes from the
+ * server's event index, as matching it here would mean scanning logs.
+ */
+export function useLiquidityLocks() {
+  const { data: lockerAddress } = useReadContract({
+    address: presaleFactoryAddress,
+    abi: presaleFactoryAbi,
+    functionName: "liquidityLocker",
+    chainId: presaleChainId,
+    query: { enabled: !!presaleFactoryAddress },
+  });
+
+  const { data: count, isLoading: isCountLoading, error: countError } = useReadContract({
+    address: lockerAddress,
+    abi: liquidityLockerAbi,
+    functionName: "lockCount",
+    chainId: presaleChainId,
+    query: { enabled: !!lockerAddress },
+  });
+
+  const total = Number(count ?? 0n);
+  const { data, isLoading, error, refetch } = useReadContracts({
+    allowFailure: false,
+    contracts: Array.from({ length: total }, (_, i) => ({
+      address: lockerAddress,
+      abi: liquidityLockerAbi,
+      functionName: "getLock",
+      args: [BigInt(i)],
+      chainId: presaleChainId,
+    }) as const),
+    query: { enabled: !!lockerAddress && total > 0 },
+  });
+
+  const locks = useMemo<LiquidityLock[]>(
+    () =>
+      (data ?? []).map((result, i) => {
+        const [token, amount, unlockTime, owner] = result as readonly [Address, bigint, bigint, Address];
+        return { id: BigInt(i), token, amount, unlockTime, owner };
+      }),
+    [data]
+  );
+
+  const { data: lockPresales } = useQuery({
+    queryKey: ["lockPresales", presaleChainId, lockerAddress, total],
+    enabled: !!lockerAddress && total > 0,
+    queryFn: async () => {
+      const response = await fetch("/api/locks");
+      if (!response.ok) throw new Error(`Failed to load lock presales: ${response.status}`);
+      const { locks } = (await response.json()) as { locks: { id: string; presale: Address | null }[] };
+      const presales: (Address | null)[] = [];
+      for (const lock of locks) presales[Number(lock.id)] = lock.presale;
+      return presales;
+    },
+  });
+
+  return {
+    lockerAddress,
+    locks,
+    lockPresales: lockPresales ?? [],
+    isLoading: isCountLoading || isLoading,
+    error: countError ?? error,
+    refetch,
+  };
+}
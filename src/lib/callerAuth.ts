@@ -0,0 +1,20 @@
+/**
+ * The response for a request acting for `fid` when the caller may not: 401
+ * if they haven't signed in, 403 if they signed in as someone else. Null if
+ * they are `fid`.
+ */
+export function getCallerFidError(callerFid: number | null | undefined, fid: number): Response | null {
+  if (!callerFid) {
+    return Response.json(
+      { success: false, error: "Sign in with Farcaster first" },
+      { status: 401 }
+    );
+  }
+  if (callerFid !== fid) {
+    return Response.json(
+      { success: false, error: "FID does not match signed-in user" },
+      { status: 403 }
+    );
+  }
+  return null;
+}
@@ -0,0 +1,24 @@
+import { createPublicClient, http, type PublicClient } from "viem";
+import { base, baseSepolia, degen, mainnet, optimism, unichain } from "viem/chains";
+
+import { presaleChainId } from "./contracts";
+
+const chains = [base, baseSepolia, optimism, mainnet, degen, unichain];
+
+let publicClient: PublicClient | null = null;
+
+// Server-side client for the presale chain. Set RPC_URL to avoid the
+// public endpoint's rate limits.
+export function getPublicClient(): PublicClient {
+  if (!publicClient) {
+    const chain = chains.find((chain) => chain.id === presaleChainId);
+    if (!chain) {
+      throw new Error(`Unsupported chain id ${presaleChainId}`);
+    }
+    publicClient = createPublicClient({
+      chain,
+      transport: http(process.env.RPC_URL),
+    }) as PublicClient;
+  }
+  return publicClient;
+}
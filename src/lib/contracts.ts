@@ -0,0 +1,131 @@
+import { type Address, parseAbi } from "viem";
+import { base } from "wagmi/chains";
+
+// Deployment the frame talks to. Both are inlined at build time so they
+// can be read from client components as well as route handlers.
+export const presaleFactoryAddress = process.env
+  .NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS as Address | undefined;
+export const presaleChainId = Number(
+  process.env.NEXT_PUBLIC_CHAIN_ID || base.id
+);
+// First block worth scanning for factory, presale and locker events.
+export const presaleFactoryDeployBlock = BigInt(
+  process.env.NEXT_PUBLIC_PRESALE_FACTORY_DEPLOY_BLOCK || 0
+);
+// Passed to `createPresale` for every new sale.
+export const wethAddress = process.env.NEXT_PUBLIC_WETH_ADDRESS as
+  | Address
+  | undefined;
+export const uniswapV2RouterAddress = process.env
+  .NEXT_PUBLIC_UNISWAP_V2_ROUTER_ADDRESS as Address | undefined;
+
+const presaleOptionsStruct =
+  "struct PresaleOptions { uint256 tokenDeposit; uint256 hardCap; uint256 softCap; uint256 max; uint256 min; uint256 start; uint256 end; uint256 liquidityBps; uint256 slippageBps; uint256 presaleRate; uint256 listingRate; uint256 lockupDuration; address currency; }";
+
+export const presaleFactoryAbi = parseAbi([
+  presaleOptionsStruct,
+  "function creationFee() view returns (uint256)",
+  "function feeToken() view returns (address)",
+  "function presales(uint256) view returns (address)",
+  "function liquidityLocker() view returns (address)",
+  "function owner() view returns (address)",
+  "function getPresaleCount() view returns (uint256)",
+  "function createPresale(PresaleOptions _options, address _token, address _weth, address _router) payable",
+  "function setCreationFee(uint256 _fee)",
+  "function withdrawFees()",
+  "event PresaleCreated(address indexed creator, address indexed presale)",
+  "error InsufficientFee()",
+  "error ZeroFee()",
+]);
+
+export const presaleAbi = parseAbi([
+  presaleOptionsStruct,
+  "function BASIS_POINTS() view returns (uint256)",
+  "function paused() view returns (bool)",
+  "function whitelistEnabled() view returns (bool)",
+  "function whitelist(address) view returns (bool)",
+  "function claimDeadline() view returns (uint256)",
+  "function ownerBalance() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function liquidityLocker() view returns (address)",
+  "function contributions(address) view returns (uint256)",
+  "function contributors(uint256) view returns (address)",
+  "function pool() view returns (address token, address uniswapV2Router02, address factory, uint256 tokenBalance, uint256 tokensClaimable, uint256 tokensLiquidity, uint256 weiRaised, address weth, uint8 state, PresaleOptions options)",
+  "function getContributorCount() view returns (uint256)",
+  "function getContributors() view returns (address[])",
+  "function getTotalContributed() view returns (uint256)",
+  "function getContribution(address _contributor) view returns (uint256)",
+  "function userTokens(address _contributor) view returns (uint256)",
+  "function calculateTotalTokensNeeded() view returns (uint256)",
+  "function contribute() payable",
+  "function contributeStablecoin(uint256 _amount)",
+  "function deposit() returns (uint256)",
+  "function finalize() returns (bool)",
+  "function cancel() returns (bool)",
+  "function claim() returns (uint256)",
+  "function refund() returns (uint256)",
+  "function withdraw()",
+  "function rescueTokens(address _token, address _to, uint256 _amount)",
+  "function toggleWhitelist(bool _enabled)",
+  "function updateWhitelist(address[] _addresses, bool _add)",
+  "function pause()",
+  "function unpause()",
+  "event Deposit(address indexed sender, uint256 amount, uint256 timestamp)",
+  "event Purchase(address indexed buyer, uint256 amount)",
+  "event Finalized(address indexed owner, uint256 amountRaised, uint256 timestamp)",
+  "event Refund(address indexed contributor, uint256 amount, uint256 timestamp)",
+  "event TokenClaim(address indexed claimer, uint256 amount, uint256 timestamp)",
+  "event Cancel(address indexed owner, uint256 timestamp)",
+  "event Contribution(address indexed contributor, uint256 amount, bool isETH)",
+  "event Paused(address indexed account)",
+  "event Unpaused(address indexed account)",
+  "event TokensRescued(address indexed token, address indexed to, uint256 amount)",
+  "event Withdrawn(address indexed owner, uint256 amount)",
+  "event WhitelistToggled(bool enabled)",
+  "event WhitelistUpdated(address indexed contributor, bool added)",
+  "error Unauthorized()",
+  "error InvalidState(uint8 currentState)",
+  "error SoftCapNotReached()",
+  "error NotInPurchasePeriod()",
+  "error NotRefundable()",
+  "error LiquificationFailed()",
+  "error ContractPaused()",
+  "error ETHNotAccepted()",
+  "error StablecoinNotAccepted()",
+  "error NotActive()",
+  "error ClaimPeriodExpired()",
+  "error NoTokensToClaim()",
+  "error InsufficientTokenBalance()",
+  "error NoFundsToRefund()",
+  "error InsufficientContractBalance()",
+  "error InvalidContributorAddress()",
+  "error HardCapExceeded()",
+  "error BelowMinimumContribution()",
+  "error ExceedsMaximumContribution()",
+  "error NotWhitelisted()",
+  "error InvalidAddress()",
+  "error CannotRescuePresaleTokens()",
+  "error AlreadyPaused()",
+  "error NotPaused()",
+  "error ZeroTokensForContribution()",
+  "error InvalidInitialization()",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error SafeERC20FailedOperation(address token)",
+]);
+
+export const liquidityLockerAbi = parseAbi([
+  "function locks(uint256) view returns (address token, uint256 amount, uint256 unlockTime, address owner)",
+  "function getLock(uint256 _lockId) view returns (address, uint256, uint256, address)",
+  "function lockCount() view returns (uint256)",
+  "function withdraw(uint256 _lockId)",
+  "event LiquidityLocked(address indexed token, uint256 amount, uint256 unlockTime, address indexed owner)",
+  "event LiquidityWithdrawn(address indexed token, uint256 amount, address indexed owner)",
+  "error InvalidTokenAddress()",
+  "error ZeroAmount()",
+  "error InvalidUnlockTime()",
+  "error InvalidOwnerAddress()",
+  "error InvalidLockId()",
+  "error NotLockOwner()",
+  "error TokensStillLocked()",
+  "error NoTokensToWithdraw()",
+]);
@@ -0,0 +1,292 @@
+import { type AbiEvent, type Address, type Log } from "viem";
+
+import { getPublicClient } from "./chain";
+import {
+  liquidityLockerAbi,
+  presaleAbi,
+  presaleFactoryAbi,
+  presaleFactoryAddress,
+  presaleFactoryDeployBlock,
+} from "./contracts";
+import {
+  addIndexedEvents,
+  getIndexedPresales,
+  getIndexerCursor,
+  type IndexedEvent,
+  type IndexedEventType,
+  type IndexerCursor,
+  rollbackIndexedEvents,
+  setIndexerCursor,
+} from "./indexerStore";
+
+// How far back we rewind when the last indexed block is no longer canonical.
+const REORG_DEPTH = 64;
+// Keeps `eth_getLogs` requests under typical RPC address-filter limits.
+const ADDRESS_BATCH_SIZE = 500;
+
+const presaleEventNames = [
+  "Contribution",
+  "Purchase",
+  "Deposit",
+  "Finalized",
+  "Cancel",
+  "TokenClaim",
+  "Refund",
+] as const;
+
+const presaleEvents = presaleAbi.filter(
+  (item): item is Extract<(typeof presaleAbi)[number], { type: "event" }> =>
+    item.type === "event" && (presaleEventNames as readonly string[]).includes(item.name)
+) as AbiEvent[];
+
+// Which event arg holds the account and the amount for each event type.
+const accountArgs: Record<IndexedEventType, string> = {
+  PresaleCreated: "creator",
+  Contribution: "contributor",
+  Purchase: "buyer",
+  Deposit: "sender",
+  Finalized: "owner",
+  Cancel: "owner",
+  TokenClaim: "claimer",
+  Refund: "contributor",
+  LiquidityLocked: "owner",
+};
+const amountArgs: Record<IndexedEventType, string | null> = {
+  PresaleCreated: null,
+  Contribution: "amount",
+  Purchase: "amount",
+  Deposit: "amount",
+  Finalized: "amountRaised",
+  Cancel: null,
+  TokenClaim: "amount",
+  Refund: "amount",
+  LiquidityLocked: "amount",
+};
+
+type DecodedLog = Log<bigint, number, false> & {
+  eventName: string;
+  args: Record<string, unknown>;
+};
+
+const min = (a: bigint, b: bigint) => (a < b ? a : b);
+
+function serializeArgs(args: Record<string, unknown>): Record<string, string | boolean> {
+  return Object.fromEntries(
+    Object.entries(args).map(([key, value]) => [
+      key,
+      typeof value === "boolean" ? value : String(value),
+    ])
+  );
+}
+
+function normalizeLog(
+  log: DecodedLog,
+  presale: Address | null,
+  timestamp: number,
+  extraArgs: Record<string, string> = {}
+): IndexedEvent {
+  const type = log.eventName as IndexedEventType;
+  const amountArg = amountArgs[type];
+  return {
+    id: `${log.transactionHash}:${log.logIndex}`,
+    type,
+    presale,
+    account: (log.args[accountArgs[type]] as Address | undefined) ?? null,
+    amount: amountArg ? String(log.args[amountArg]) : null,
+    args: { ...serializeArgs(log.args), ...extraArgs },
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    timestamp,
+  };
+}
+
+/**
+ * Rewinds the store if the block we last indexed has been reorged out.
+ * Returns the cursor to resume from.
+ */
+async function checkForReorg(cursor: IndexerCursor): Promise<IndexerCursor> {
+  const client = getPublicClient();
+  const block = await client.getBlock({ blockNumber: BigInt(cursor.blockNumber) });
+  if (block.hash === cursor.blockHash) return cursor;
+
+  const blockNumber = Math.max(cursor.blockNumber - REORG_DEPTH, Number(presaleFactoryDeployBlock));
+  const removed = await rollbackIndexedEvents(blockNumber);
+  const safeBlock = await client.getBlock({ blockNumber: BigInt(blockNumber) });
+  const rewound = {
+    blockNumber,
+    blockHash: safeBlock.hash,
+    lockCount: cursor.lockCount - removed.filter((event) => event.type === "LiquidityLocked").length,
+  };
+  await setIndexerCursor(rewound);
+  console.warn(`Reorg detected at block ${cursor.blockNumber}, rewound to ${blockNumber}`);
+  return rewound;
+}
+
+async function getPresaleLogs(presales: Address[], fromBlock: bigint, toBlock: bigint) {
+  const client = getPublicClient();
+  const logs: DecodedLog[] = [];
+  for (let i = 0; i < presales.length; i += ADDRESS_BATCH_SIZE) {
+    const batch = await client.getLogs({
+      address: presales.slice(i, i + ADDRESS_BATCH_SIZE),
+      events: presaleEvents,
+      fromBlock,
+      toBlock,
+    });
+    logs.push(...(batch as unknown as DecodedLog[]));
+  }
+  return logs;
+}
+
+async function getBlockTimestamps(blockNumbers: bigint[]): Promise<Map<bigint, number>> {
+  const client = getPublicClient();
+  const timestamps = new Map<bigint, number>();
+  for (const blockNumber of new Set(blockNumbers)) {
+    const block = await client.getBlock({ blockNumber });
+    timestamps.set(blockNumber, Number(block.timestamp));
+  }
+  return timestamps;
+}
+
+/**
+ * Indexes one block range. The factory is read first so presales created
+ * inside the range have their own events picked up in the same pass.
+ */
+async function indexRange(
+  lockerAddress: Address,
+  fromBlock: bigint,
+  toBlock: bigint,
+  lockCount: number
+): Promise<{ events: IndexedEvent[]; lockCount: number }> {
+  const client = getPublicClient();
+
+  const created = (await client.getContractEvents({
+    address: presaleFactoryAddress!,
+    abi: presaleFactoryAbi,
+    eventName: "PresaleCreated",
+    fromBlock,
+    toBlock,
+  })) as unknown as DecodedLog[];
+  const presales = [
+    ...(await getIndexedPresales()),
+    ...created.map((log) => log.args.presale as Address),
+  ];
+
+  const presaleLogs = await getPresaleLogs(presales, fromBlock, toBlock);
+  const lockLogs = (await client.getContractEvents({
+    address: lockerAddress,
+    abi: liquidityLockerAbi,
+    eventName: "LiquidityLocked",
+    fromBlock,
+    toBlock,
+  })) as unknown as DecodedLog[];
+
+  const timestamps = await getBlockTimestamps(
+    [...created, ...presaleLogs, ...lockLogs].map((log) => log.blockNumber)
+  );
+  const timestampOf = (log: DecodedLog) => timestamps.get(log.blockNumber)!;
+
+  const events = [
+    ...created.map((log) => normalizeLog(log, log.args.presale as Address, timestampOf(log))),
+    ...presaleLogs.map((log) => normalizeLog(log, log.address, timestampOf(log))),
+  ];
+
+  // Locks are created inside `finalize`, so the Finalized log in the same
+  // transaction tells us which presale a lock belongs to.
+  const sortedLockLogs = [...lockLogs].sort(
+    (a, b) => Number(a.blockNumber - b.blockNumber) || a.logIndex - b.logIndex
+  );
+  for (const log of sortedLockLogs) {
+    const finalized = presaleLogs.find(
+      (presaleLog) =>
+        presaleLog.eventName === "Finalized" && presaleLog.transactionHash === log.transactionHash
+    );
+    events.push(
+      normalizeLog(log, finalized?.address ?? null, timestampOf(log), { lockId: String(lockCount) })
+    );
+    lockCount++;
+  }
+
+  return { events, lockCount };
+}
+
+/**
+ * Indexes presale events from the last indexed block (or the factory deploy
+ * block) up to the chain head, `chunkSize` blocks per `getLogs` range. The
+ * cursor is saved after every chunk, so an interrupted run resumes where it
+ * stopped. `maxBlocks` and `maxDurationMs` bound one run; whatever is left is
+ * picked up by the next. Returns the last indexed block.
+ */
+export async function runIndexer({
+  chunkSize = 2_000,
+  maxBlocks,
+  maxDurationMs,
+  confirmations = 0,
+}: {
+  chunkSize?: number;
+  maxBlocks?: number;
+  maxDurationMs?: number;
+  confirmations?: number;
+} = {}): Promise<{ blockNumber: number; indexed: number }> {
+  const deadline = maxDurationMs === undefined ? Infinity : Date.now() + maxDurationMs;
+  if (!presaleFactoryAddress) {
+    throw new Error("NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS not configured");
+  }
+
+  const client = getPublicClient();
+  const storedCursor = await getIndexerCursor();
+  let cursor = storedCursor ? await checkForReorg(storedCursor) : null;
+
+  const lockerAddress = await client.readContract({
+    address: presaleFactoryAddress,
+    abi: presaleFactoryAbi,
+    functionName: "liquidityLocker",
+  });
+
+  const head = (await client.getBlockNumber()) - BigInt(confirmations);
+  let fromBlock = cursor ? BigInt(cursor.blockNumber + 1) : presaleFactoryDeployBlock;
+  const lastBlock = maxBlocks === undefined ? head : min(head, fromBlock + BigInt(maxBlocks) - 1n);
+  let lockCount = cursor?.lockCount ?? 0;
+  let indexed = 0;
+
+  while (fromBlock <= lastBlock && Date.now() < deadline) {
+    const toBlock = min(lastBlock, fromBlock + BigInt(chunkSize) - 1n);
+    const result = await indexRange(lockerAddress, fromBlock, toBlock, lockCount);
+    await addIndexedEvents(result.events);
+
+    const block = await client.getBlock({ blockNumber: toBlock });
+    lockCount = result.lockCount;
+    cursor = { blockNumber: Number(toBlock), blockHash: block.hash, lockCount };
+    await setIndexerCursor(cursor);
+
+    indexed += result.events.length;
+    fromBlock = toBlock + 1n;
+  }
+
+  return { blockNumber: cursor?.blockNumber ?? Number(fromBlock) - 1, indexed };
+}
+
+/**
+ * Keeps the index up to date from a long-running process, e.g.
+ * `followPresaleEvents({ intervalMs: 10_000 })` in a worker.
+ */
+export async function followPresaleEvents({
+  intervalMs = 15_000,
+  signal,
+  ...options
+}: {
+  intervalMs?: number;
+  signal?: AbortSignal;
+  chunkSize?: number;
+  confirmations?: number;
+} = {}): Promise<void> {
+  while (!signal?.aborted) {
+    try {
+      await runIndexer(options);
+    } catch (error) {
+      console.error("Indexer run failed:", error);
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
@@ -0,0 +1,189 @@
+import { type Address, type Hash } from "viem";
+
+import { getStorage } from "./storage";
+
+export type IndexedEventType =
+  | "PresaleCreated"
+  | "Contribution"
+  | "Purchase"
+  | "Deposit"
+  | "Finalized"
+  | "Cancel"
+  | "TokenClaim"
+  | "Refund"
+  | "LiquidityLocked";
+
+export interface IndexedEvent {
+  // `${transactionHash}:${logIndex}`
+  id: string;
+  type: IndexedEventType;
+  // null only for a LiquidityLocked event we couldn't match to a Finalized one
+  presale: Address | null;
+  // the contributor, buyer, claimer, owner or creator the event is about
+  account: Address | null;
+  // raw token/currency amount as a decimal string
+  amount: string | null;
+  // every decoded event arg, bigints as decimal strings
+  args: Record<string, string | boolean>;
+  blockNumber: number;
+  blockHash: Hash;
+  transactionHash: Hash;
+  logIndex: number;
+  timestamp: number;
+}
+
+export interface IndexerCursor {
+  blockNumber: number;
+  blockHash: Hash;
+  // LiquidityLocker ids are positional, so we count locks as we index them
+  lockCount: number;
+}
+
+function getKey(...parts: (string | number)[]): string {
+  return ["indexer", ...parts].join(":");
+}
+
+const cursorKey = () => getKey("cursor");
+const eventsKey = () => getKey("events");
+const eventKey = (id: string) => getKey("event", id);
+const presalesKey = () => getKey("presales");
+const presaleEventsKey = (presale: Address) => getKey("presale", presale.toLowerCase());
+const accountEventsKey = (account: Address) => getKey("account", account.toLowerCase());
+
+// Orders events within the chain and lets a reorg drop everything past a block.
+function getEventScore(blockNumber: number, logIndex: number): number {
+  return blockNumber * 100_000 + logIndex;
+}
+
+async function getEvents(ids: string[]): Promise<IndexedEvent[]> {
+  const storage = await getStorage();
+  const rows = await storage.mget<IndexedEvent>(ids.map(eventKey));
+  return rows.filter((row): row is IndexedEvent => !!row);
+}
+
+export async function getIndexerCursor(): Promise<IndexerCursor | null> {
+  const storage = await getStorage();
+  return await storage.get<IndexerCursor>(cursorKey());
+}
+
+export async function setIndexerCursor(cursor: IndexerCursor): Promise<void> {
+  const storage = await getStorage();
+  await storage.set(cursorKey(), cursor);
+}
+
+/**
+ * Stores a batch of events along with the per-presale and per-account
+ * indexes. Writing the same event twice is harmless.
+ */
+export async function addIndexedEvents(events: IndexedEvent[]): Promise<void> {
+  const storage = await getStorage();
+  for (const event of events) {
+    await storage.set(eventKey(event.id), event);
+  }
+
+  const entry = (event: IndexedEvent) => ({
+    score: getEventScore(event.blockNumber, event.logIndex),
+    member: event.id,
+  });
+  await storage.zadd(eventsKey(), events.map(entry));
+  await storage.zadd(
+    presalesKey(),
+    events
+      .filter((event) => event.type === "PresaleCreated" && event.presale)
+      .map((event) => ({ ...entry(event), member: event.presale!.toLowerCase() }))
+  );
+  for (const event of events) {
+    if (event.presale) await storage.zadd(presaleEventsKey(event.presale), [entry(event)]);
+    if (event.account) await storage.zadd(accountEventsKey(event.account), [entry(event)]);
+  }
+}
+
+/**
+ * Drops every event above `blockNumber`, e.g. after a reorg. Returns the
+ * removed events.
+ */
+export async function rollbackIndexedEvents(blockNumber: number): Promise<IndexedEvent[]> {
+  const storage = await getStorage();
+  const minScore = getEventScore(blockNumber, 99_999);
+  const events = await getEvents(
+    await storage.zrangeByScore(eventsKey(), minScore, Infinity, { exclusiveMin: true })
+  );
+
+  for (const event of events) {
+    if (event.presale) await storage.zrem(presaleEventsKey(event.presale), [event.id]);
+    if (event.account) await storage.zrem(accountEventsKey(event.account), [event.id]);
+    if (event.type === "PresaleCreated" && event.presale) {
+      await storage.zrem(presalesKey(), [event.presale.toLowerCase()]);
+    }
+    await storage.del(eventKey(event.id));
+  }
+  await storage.zrem(eventsKey(), events.map((event) => event.id));
+  return events;
+}
+
+export async function getIndexedPresales(): Promise<Address[]> {
+  const storage = await getStorage();
+  return (await storage.zrange(presalesKey(), 0, -1)) as Address[];
+}
+
+// Newest first, by rank.
+async function getEventPage(
+  key: string,
+  { offset = 0, limit = 50 }: { offset?: number; limit?: number }
+): Promise<{ events: IndexedEvent[]; total: number }> {
+  const storage = await getStorage();
+  const [ids, total] = await Promise.all([
+    storage.zrange(key, offset, offset + limit - 1, { rev: true }),
+    storage.zcard(key),
+  ]);
+  return { events: await getEvents(ids), total };
+}
+
+export async function getPresaleEvents(
+  presale: Address,
+  options: { offset?: number; limit?: number } = {}
+): Promise<{ events: IndexedEvent[]; total: number }> {
+  return getEventPage(presaleEventsKey(presale), options);
+}
+
+export async function getAccountEvents(
+  account: Address,
+  options: { offset?: number; limit?: number } = {}
+): Promise<{ events: IndexedEvent[]; total: number }> {
+  return getEventPage(accountEventsKey(account), options);
+}
+
+/**
+ * Every account with a Contribution or Purchase event on `presale`, in the
+ * order they first contributed. The presale's own `getContributors()` list
+ * isn't reliably filled, so these events are the record of who took part.
+ */
+export async function getIndexedContributors(presale: Address): Promise<Address[]> {
+  const storage = await getStorage();
+  const events = await getEvents(await storage.zrange(presaleEventsKey(presale), 0, -1));
+  const contributors = new Map<string, Address>();
+  for (const event of events) {
+    if ((event.type === "Contribution" || event.type === "Purchase") && event.account) {
+      contributors.set(event.account.toLowerCase(), event.account);
+    }
+  }
+  return [...contributors.values()];
+}
+
+/**
+ * The presale whose finalization created each of `locks`, from the indexed
+ * LiquidityLocked events, or null for a lock that hasn't been indexed.
+ */
+export async function getLockPresales(
+  locks: { id: bigint; owner: Address }[]
+): Promise<(Address | null)[]> {
+  const storage = await getStorage();
+  const presales = new Map<string, Address | null>();
+  for (const owner of new Set(locks.map((lock) => lock.owner.toLowerCase()))) {
+    const events = await getEvents(await storage.zrange(accountEventsKey(owner as Address), 0, -1));
+    for (const event of events) {
+      if (event.type === "LiquidityLocked") presales.set(event.args.lockId as string, event.presale);
+    }
+  }
+  return locks.map((lock) => presales.get(String(lock.id)) ?? null);
+}
@@ -0,0 +1,111 @@
+import { runIndexer } from "./indexer";
+import { sendLifecycleNotices, sendLiquidityUnlockNotices } from "./lifecycle";
+import { drainOutbox } from "./outbox";
+import { getStorage } from "./storage";
+
+// A job's lock outlives the longest cron invocation, so a crashed run
+// can't hold it forever.
+const JOB_LOCK_TTL_SECONDS = 5 * 60;
+// One indexer pass stops after this many blocks or this long, whichever comes
+// first, leaving the rest of a cron request's time to the jobs after it
+const INDEXER_MAX_BLOCKS = 50_000;
+const INDEXER_MAX_DURATION_MS = 20_000;
+
+/**
+ * Everything that runs on the cron schedule, in order. Each job only sends
+ * what has come due and hasn't been sent before, so running one again is
+ * harmless.
+ */
+const jobs = {
+  // New contributions and locks, which the notices below are sent from
+  indexer: () => runIndexer({ maxBlocks: INDEXER_MAX_BLOCKS, maxDurationMs: INDEXER_MAX_DURATION_MS }),
+  // Presale starts, near sell-outs, ends below the soft cap, cancellations,
+  // finalization and claim deadlines
+  lifecycle: () => sendLifecycleNotices(),
+  // LP locks reaching their unlock time
+  liquidityUnlocks: () => sendLiquidityUnlockNotices(),
+  // Retries for anything the jobs above couldn't deliver right away
+  outbox: () => drainOutbox(),
+} satisfies Record<string, () => Promise<unknown>>;
+
+export type JobName = keyof typeof jobs;
+
+export const jobNames = Object.keys(jobs) as JobName[];
+
+export function isJobName(name: string): name is JobName {
+  return name in jobs;
+}
+
+export type JobResult =
+  | { job: JobName; status: "completed"; result: unknown }
+  | { job: JobName; status: "skipped" }
+  | { job: JobName; status: "failed"; error: string };
+
+/**
+ * Whether `request` may run jobs: it must carry CRON_SECRET as a bearer token
+ * (Vercel Cron sends it). Without a CRON_SECRET only development servers run
+ * jobs, so a public deployment can't be made to index or send on demand.
+ */
+export function isAuthorizedJobRequest(request: Request): boolean {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) return process.env.NODE_ENV !== "production";
+  return request.headers.get("authorization") === `Bearer ${cronSecret}`;
+}
+
+function getJobLockKey(name: string): string {
+  return `jobs:lock:${name}`;
+}
+
+/**
+ * Takes the lock for scheduled job `name` for up to `ttlSeconds`, so
+ * overlapping cron runs don't do the same work. Returns a token for
+ * `releaseJobLock`, or null if another run holds the lock.
+ */
+async function acquireJobLock(name: string, ttlSeconds: number): Promise<string | null> {
+  const storage = await getStorage();
+  const token = crypto.randomUUID();
+  const acquired = await storage.set(getJobLockKey(name), token, { ttlSeconds, nx: true });
+  return acquired ? token : null;
+}
+
+/**
+ * Releases a job lock, unless it expired and was taken by another run.
+ */
+async function releaseJobLock(name: string, token: string): Promise<void> {
+  const storage = await getStorage();
+  const key = getJobLockKey(name);
+  if ((await storage.get<string>(key)) === token) {
+    await storage.del(key);
+  }
+}
+
+/**
+ * Runs `name` unless another run already holds its lock, in which case it is
+ * skipped.
+ */
+export async function runJob(name: JobName): Promise<JobResult> {
+  const token = await acquireJobLock(name, JOB_LOCK_TTL_SECONDS);
+  if (!token) {
+    return { job: name, status: "skipped" };
+  }
+
+  try {
+    return { job: name, status: "completed", result: await jobs[name]() };
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    return { job: name, status: "failed", error: error instanceof Error ? error.message : String(error) };
+  } finally {
+    await releaseJobLock(name, token);
+  }
+}
+
+/**
+ * Runs each job in turn. One failing doesn't stop the rest.
+ */
+export async function runJobs(names: JobName[] = jobNames): Promise<JobResult[]> {
+  const results = [];
+  for (const name of names) {
+    results.push(await runJob(name));
+  }
+  return results;
+}
@@ -1,49 +1,46 @@
 import { FrameNotificationDetails } from "@farcaster/frame-sdk";
-import { Redis } from "@upstash/redis";
 
-// In-memory fallback storage
-const localStore = new Map<string, FrameNotificationDetails>();
-
-// Use Redis if KV env vars are present, otherwise use in-memory
-const useRedis = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN;
-const redis = useRedis ? new Redis({
-  url: process.env.KV_REST_API_URL!,
-  token: process.env.KV_REST_API_TOKEN!,
-}) : null;
+import { getStorage } from "./storage";
 
 function getUserNotificationDetailsKey(fid: number): string {
-  return `${process.env.NEXT_PUBLIC_FRAME_NAME}:user:${fid}`;
+  return `user:${fid}`;
 }
 
 export async function getUserNotificationDetails(
   fid: number
 ): Promise<FrameNotificationDetails | null> {
-  const key = getUserNotificationDetailsKey(fid);
-  if (redis) {
-    return await redis.get<FrameNotificationDetails>(key);
-  }
-  return localStore.get(key) || null;
+  const storage = await getStorage();
+  return await storage.get<FrameNotificationDetails>(getUserNotificationDetailsKey(fid));
 }
 
 export async function setUserNotificationDetails(
   fid: number,
   notificationDetails: FrameNotificationDetails
 ): Promise<void> {
-  const key = getUserNotificationDetailsKey(fid);
-  if (redis) {
-    await redis.set(key, notificationDetails);
-  } else {
-    localStore.set(key, notificationDetails);
-  }
+  const storage = await getStorage();
+  await storage.set(getUserNotificationDetailsKey(fid), notificationDetails);
 }
 
 export async function deleteUserNotificationDetails(
   fid: number
 ): Promise<void> {
-  const key = getUserNotificationDetailsKey(fid);
-  if (redis) {
-    await redis.del(key);
-  } else {
-    localStore.delete(key);
+  const storage = await getStorage();
+  await storage.del(getUserNotificationDetailsKey(fid));
+}
+
+/**
+ * Deletes `fid`'s notification details if they are still `rejected`. A client
+ * that reported a token invalid may have issued a new one since, e.g. when
+ * the user re-adds the frame while a send is in flight.
+ */
+export async function deleteRejectedNotificationDetails(
+  fid: number,
+  rejected: FrameNotificationDetails
+): Promise<boolean> {
+  const current = await getUserNotificationDetails(fid);
+  if (!current || current.token !== rejected.token || current.url !== rejected.url) {
+    return false;
   }
+  await deleteUserNotificationDetails(fid);
+  return true;
 }
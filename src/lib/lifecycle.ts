@@ -0,0 +1,228 @@
+import { type Address } from "viem";
+
+import { getLockPresales } from "./indexerStore";
+import { getNotificationId } from "./notifs";
+import { sendQueuedNotification } from "./outbox";
+import {
+  getPresaleVariables,
+  type NotificationTemplateName,
+  renderNotification,
+} from "./notificationTemplates";
+import {
+  CLAIM_DEADLINE_WARNING_SECONDS,
+  formatAmount,
+  getRaisedPercent,
+  PresaleState,
+  type PresaleInfo,
+} from "./presale";
+import {
+  getLiquidityLocks,
+  getPresale,
+  getPresaleAddresses,
+  getPresaleContributors,
+} from "./presaleReader";
+import { getStorage } from "./storage";
+import { resolveFids } from "./wallets";
+
+export type LifecycleNotice =
+  | "started"
+  | "nearHardCap"
+  | "refundable"
+  | "finalized"
+  | "cancelled"
+  | "claimDeadline";
+
+// Contributors hear about the hard cap once this much of it is raised.
+const NEAR_HARD_CAP_PERCENT = 90;
+// Refund and cancellation notices are only sent this long after the sale's end.
+const LATE_NOTICE_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * The notices whose condition currently holds for `presale`. Each window is
+ * bounded so a presale that is long past a stage doesn't announce it late.
+ */
+export function getDueLifecycleNotices(presale: PresaleInfo, now: number): LifecycleNotice[] {
+  const { pool, claimDeadline } = presale;
+  const start = Number(pool.options.start);
+  const end = Number(pool.options.end);
+  const deadline = Number(claimDeadline);
+  const notices: LifecycleNotice[] = [];
+
+  const lateNoticeEnd = end + LATE_NOTICE_WINDOW_SECONDS;
+
+  if (pool.state === PresaleState.Active && now >= start && now < end) {
+    notices.push("started");
+    if (getRaisedPercent(pool) >= NEAR_HARD_CAP_PERCENT) notices.push("nearHardCap");
+  }
+  // Nobody calls cancel once the sale ends below its soft cap; it just becomes refundable
+  if (
+    pool.state === PresaleState.Active &&
+    now > end &&
+    now <= lateNoticeEnd &&
+    pool.weiRaised < pool.options.softCap
+  ) {
+    notices.push("refundable");
+  }
+  if (pool.state === PresaleState.Finalized && now <= deadline) {
+    notices.push("finalized");
+    if (deadline - now <= CLAIM_DEADLINE_WARNING_SECONDS) notices.push("claimDeadline");
+  }
+  // A sale can be cancelled before it ends, but not announced long after
+  if (pool.state === PresaleState.Cancelled && now <= lateNoticeEnd) {
+    notices.push("cancelled");
+  }
+  return notices;
+}
+
+const noticeTemplates: Record<LifecycleNotice, NotificationTemplateName> = {
+  started: "presaleStarted",
+  nearHardCap: "presaleNearHardCap",
+  refundable: "presaleRefundable",
+  finalized: "presaleFinalized",
+  cancelled: "presaleCancelled",
+  claimDeadline: "presaleClaimDeadline",
+};
+
+interface LifecycleMessage {
+  title: string;
+  body: string;
+  notificationId: string;
+}
+
+/**
+ * Sends a notice about `presale` to every FID linked to one of `accounts`.
+ * `notificationId` should be stable for the event being announced. Returns
+ * how many were sent.
+ */
+async function notifyAccounts(
+  presale: PresaleInfo,
+  accounts: Address[],
+  { title, body, notificationId }: LifecycleMessage
+): Promise<number> {
+  if (accounts.length === 0) return 0;
+
+  const fidsByAddress = await resolveFids(accounts);
+  const fids = [...fidsByAddress.values()].flat();
+  if (fids.length === 0) return 0;
+
+  // Whatever doesn't go out now stays in the outbox for the next drain
+  const entries = await sendQueuedNotification({
+    fids,
+    title,
+    body,
+    targetUrl: `${process.env.NEXT_PUBLIC_URL}/presale/${presale.address}`,
+    notificationId,
+  });
+  return entries.filter((entry) => entry.status === "sent").length;
+}
+
+// Nobody can contribute before a sale starts, so its start goes to the owner
+// who set it up. Every other notice goes to the contributors.
+async function getNoticeAccounts(presale: PresaleInfo, notice: LifecycleNotice): Promise<Address[]> {
+  if (notice === "started") return [presale.owner];
+  const contributors = await getPresaleContributors(presale.address);
+  return contributors.map(({ address }) => address);
+}
+
+function getLifecycleNoticeKey(presale: string, notice: string): string {
+  return `lifecycle:${presale.toLowerCase()}:${notice}`;
+}
+
+/**
+ * Records that `notice` has gone out for `presale`. Returns false if it was
+ * already recorded, so each notice is only sent once.
+ */
+async function claimLifecycleNotice(
+  presale: string,
+  notice: string
+): Promise<boolean> {
+  const storage = await getStorage();
+  return await storage.set(getLifecycleNoticeKey(presale, notice), Date.now(), { nx: true });
+}
+
+/**
+ * Forgets that `notice` went out for `presale`, so a send that failed after
+ * claiming it is tried again on the next run.
+ */
+async function releaseLifecycleNotice(presale: string, notice: string): Promise<void> {
+  const storage = await getStorage();
+  await storage.del(getLifecycleNoticeKey(presale, notice));
+}
+
+/**
+ * Claims `notice` for `key`, then runs `send`. If `send` throws before the
+ * notification reaches the outbox the claim is released, so the next run
+ * tries again instead of the notice being lost.
+ */
+export async function sendOnce(
+  key: string,
+  notice: string,
+  send: () => Promise<number>
+): Promise<{ sent: number; error?: string } | null> {
+  if (!(await claimLifecycleNotice(key, notice))) return null;
+  try {
+    return { sent: await send() };
+  } catch (error) {
+    console.error(`Failed to send ${notice} notice for ${key}:`, error);
+    await releaseLifecycleNotice(key, notice);
+    return { sent: 0, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Checks every presale and sends each lifecycle notice that has come due
+ * and hasn't been sent yet. Meant to be called on a schedule.
+ */
+export async function sendLifecycleNotices(
+  now = Math.floor(Date.now() / 1000)
+): Promise<{ presale: Address; notice: LifecycleNotice; sent: number; error?: string }[]> {
+  const results = [];
+  for (const address of await getPresaleAddresses()) {
+    const presale = await getPresale(address);
+    for (const notice of getDueLifecycleNotices(presale, now)) {
+      const result = await sendOnce(address, notice, async () =>
+        notifyAccounts(presale, await getNoticeAccounts(presale, notice), {
+          ...renderNotification(noticeTemplates[notice], getPresaleVariables(presale, now)),
+          notificationId: getNotificationId("lifecycle", address.toLowerCase(), notice),
+        })
+      );
+      if (result) results.push({ presale: address, notice, ...result });
+    }
+  }
+  return results;
+}
+
+// LP tokens are Uniswap V2 pair shares
+const LP_TOKEN_DECIMALS = 18;
+
+/**
+ * Tells each lock owner once their LP tokens can be withdrawn. Locks that
+ * were already withdrawn are skipped. Meant to be called on a schedule.
+ */
+export async function sendLiquidityUnlockNotices(
+  now = Math.floor(Date.now() / 1000)
+): Promise<{ lockId: string; sent: number; error?: string }[]> {
+  const { locker, locks } = await getLiquidityLocks();
+  const results = [];
+  for (const lock of locks) {
+    if (lock.amount === 0n || lock.unlockTime > BigInt(now)) continue;
+
+    const result = await sendOnce(locker, `unlocked:${lock.id}`, async () => {
+      const owner = lock.owner.toLowerCase();
+      const fids = (await resolveFids([owner])).get(owner) ?? [];
+      const [presale] = await getLockPresales([lock]);
+      const entries = await sendQueuedNotification({
+        fids,
+        ...renderNotification("liquidityUnlocked", {
+          lockId: String(lock.id),
+          amount: formatAmount(lock.amount, LP_TOKEN_DECIMALS),
+        }),
+        targetUrl: presale ? `${process.env.NEXT_PUBLIC_URL}/presale/${presale}` : undefined,
+        notificationId: getNotificationId("unlocked", locker.toLowerCase(), String(lock.id)),
+      });
+      return entries.filter((entry) => entry.status === "sent").length;
+    });
+    if (result) results.push({ lockId: String(lock.id), ...result });
+  }
+  return results;
+}
@@ -0,0 +1,207 @@
+// Frame manifest signing and verification, shared by the Next.js app
+// (src/lib/utils.ts) and the build/deploy scripts. Plain JS with JSDoc types
+// so the scripts can import it without a compile step.
+//
+// The account association is a JSON Farcaster Signature: header and payload
+// are base64url-encoded JSON, and the signature is the base64url-encoded
+// bytes of an EIP-191 signature over `${header}.${payload}` by the key in
+// the header.
+
+import { bytesToHex, hexToBytes, verifyMessage } from 'viem';
+
+/**
+ * @typedef {{ header: string; payload: string; signature: string }} AccountAssociation
+ * @typedef {{ fid: number; type: 'custody' | 'auth'; key: `0x${string}` }} AccountAssociationHeader
+ * @typedef {{ domain: string }} AccountAssociationPayload
+ * @typedef {{
+ *   version: string;
+ *   name: string;
+ *   iconUrl: string;
+ *   homeUrl: string;
+ *   imageUrl: string;
+ *   buttonTitle: string;
+ *   splashImageUrl: string;
+ *   splashBackgroundColor: string;
+ *   webhookUrl: string;
+ * }} FrameConfig
+ * @typedef {{ accountAssociation?: AccountAssociation; frame: FrameConfig }} FrameMetadata
+ * @typedef {{ address: `0x${string}`; signMessage: (args: { message: string }) => Promise<`0x${string}`> }} ManifestSigner
+ */
+
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/** @param {unknown} value */
+function encodeJson(value) {
+  return Buffer.from(JSON.stringify(value), 'utf-8').toString('base64url');
+}
+
+/** @param {string} value */
+function decodeJson(value) {
+  return JSON.parse(Buffer.from(value, 'base64url').toString('utf-8'));
+}
+
+/**
+ * The header, payload and exact message to sign for `domain`, before any
+ * signature exists. External signers are handed `message`.
+ *
+ * @param {{ domain: string; fid: number; key: `0x${string}`; type?: 'custody' | 'auth' }} args
+ */
+export function createAccountAssociationMessage({ domain, fid, key, type = 'custody' }) {
+  const header = encodeJson({ fid, type, key });
+  const payload = encodeJson({ domain: domain.trim() });
+  return { header, payload, message: `${header}.${payload}` };
+}
+
+/**
+ * Encodes a hex signature the way the account association expects it.
+ *
+ * @param {`0x${string}`} signature
+ */
+export function encodeSignature(signature) {
+  return Buffer.from(hexToBytes(signature)).toString('base64url');
+}
+
+/**
+ * Signs an account association for `domain` with `signer`, e.g. a viem
+ * account from `mnemonicToAccount`.
+ *
+ * @param {{ domain: string; fid: number; signer: ManifestSigner }} args
+ * @returns {Promise<AccountAssociation>}
+ */
+export async function signAccountAssociation({ domain, fid, signer }) {
+  const { header, payload, message } = createAccountAssociationMessage({ domain, fid, key: signer.address });
+  const signature = await signer.signMessage({ message });
+  return { header, payload, signature: encodeSignature(signature) };
+}
+
+/**
+ * Where Farcaster clients send frame events: Neynar's endpoint when it
+ * manages notifications, otherwise our own webhook route.
+ *
+ * @param {{ appUrl: string; neynarApiKey?: string; neynarClientId?: string }} args
+ */
+export function getWebhookUrl({ appUrl, neynarApiKey, neynarClientId }) {
+  return neynarApiKey && neynarClientId
+    ? `https://api.neynar.com/f/app/${neynarClientId}/event`
+    : `${appUrl}/api/webhook`;
+}
+
+/**
+ * The `frame` section of the manifest for an app served from `appUrl`.
+ *
+ * @param {{ appUrl: string; name: string; buttonTitle: string; webhookUrl: string }} args
+ * @returns {FrameConfig}
+ */
+export function getFrameConfig({ appUrl, name, buttonTitle, webhookUrl }) {
+  return {
+    version: '1',
+    name: name.trim(),
+    iconUrl: `${appUrl}/icon.png`,
+    homeUrl: appUrl,
+    imageUrl: `${appUrl}/opengraph-image`,
+    buttonTitle: buttonTitle.trim(),
+    splashImageUrl: `${appUrl}/splash.png`,
+    splashBackgroundColor: '#f7f7f7',
+    webhookUrl: webhookUrl.trim(),
+  };
+}
+
+/**
+ * The whole manifest for an app served from `appUrl`. The account
+ * association is only included when there's a `signer` and `fid`.
+ *
+ * @param {{
+ *   appUrl: string;
+ *   fid?: number;
+ *   signer?: ManifestSigner;
+ *   name: string;
+ *   buttonTitle: string;
+ *   webhookUrl: string;
+ * }} args
+ * @returns {Promise<FrameMetadata>}
+ */
+export async function createFrameMetadata({ appUrl, fid, signer, name, buttonTitle, webhookUrl }) {
+  const domain = new URL(appUrl).hostname;
+  return {
+    accountAssociation:
+      signer && fid !== undefined ? await signAccountAssociation({ domain, fid, signer }) : undefined,
+    frame: getFrameConfig({ appUrl, name, buttonTitle, webhookUrl }),
+  };
+}
+
+/**
+ * Checks an account association: that each part is well-formed base64url,
+ * that the signature was made by the header's key, and, when given, that it
+ * is for `domain` and `fid`. An association signed for another domain or
+ * account comes back invalid rather than throwing.
+ *
+ * @param {AccountAssociation | undefined} accountAssociation
+ * @param {{ domain?: string; fid?: number }} [expected]
+ * @returns {Promise<{
+ *   valid: boolean;
+ *   errors: string[];
+ *   header: AccountAssociationHeader | null;
+ *   payload: AccountAssociationPayload | null;
+ * }>}
+ */
+export async function verifyAccountAssociation(accountAssociation, { domain, fid } = {}) {
+  /** @type {string[]} */
+  const errors = [];
+  if (!accountAssociation) {
+    return { valid: false, errors: ['Manifest has no accountAssociation'], header: null, payload: null };
+  }
+
+  for (const part of /** @type {const} */ (['header', 'payload', 'signature'])) {
+    if (typeof accountAssociation[part] !== 'string' || !BASE64URL_PATTERN.test(accountAssociation[part])) {
+      errors.push(`accountAssociation.${part} is not base64url`);
+    }
+  }
+
+  /** @type {AccountAssociationHeader | null} */
+  let header = null;
+  /** @type {AccountAssociationPayload | null} */
+  let payload = null;
+  try {
+    header = decodeJson(accountAssociation.header);
+  } catch {
+    errors.push('accountAssociation.header is not valid JSON');
+  }
+  try {
+    payload = decodeJson(accountAssociation.payload);
+  } catch {
+    errors.push('accountAssociation.payload is not valid JSON');
+  }
+
+  if (header && fid !== undefined && header.fid !== fid) {
+    errors.push(`Signed for FID ${header.fid}, expected ${fid}`);
+  }
+  if (payload && domain !== undefined && payload.domain !== domain) {
+    errors.push(`Signed for domain "${payload.domain}", expected "${domain}"`);
+  }
+
+  if (header?.key) {
+    const bytes = Buffer.from(accountAssociation.signature ?? '', 'base64url');
+    // Older builds encoded the signature's hex string instead of its bytes
+    const legacy = bytes.toString('utf-8').startsWith('0x');
+    if (legacy) {
+      errors.push('Signature encodes the hex string rather than the signature bytes; re-sign the manifest');
+    }
+    const signature = legacy
+      ? /** @type {`0x${string}`} */ (bytes.toString('utf-8'))
+      : bytesToHex(new Uint8Array(bytes));
+    try {
+      const signed = await verifyMessage({
+        address: header.key,
+        message: `${accountAssociation.header}.${accountAssociation.payload}`,
+        signature,
+      });
+      if (!signed) errors.push(`Signature was not made by ${header.key}`);
+    } catch {
+      errors.push('Signature could not be verified');
+    }
+  } else if (header) {
+    errors.push('accountAssociation.header has no key');
+  }
+
+  return { valid: errors.length === 0, errors, header, payload };
+}
@@ -0,0 +1,232 @@
+// Checks a frame manifest against the frame spec before a Farcaster client
+// does. Used by `npm run validate` and the /.well-known/farcaster.json debug
+// mode. Plain JS for the same reason as manifest.js.
+
+import { getWebhookUrl, verifyAccountAssociation } from './manifest.js';
+
+/**
+ * @typedef {import('./manifest.js').FrameMetadata} FrameMetadata
+ * @typedef {{ level: 'error' | 'warning'; field: string; message: string }} ManifestIssue
+ * @typedef {{ width: number; height: number }} ImageSize
+ */
+
+const MAX_URL_LENGTH = 512;
+const MAX_TEXT_LENGTH = 32;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10_000;
+
+// Sizes the spec asks for. Clients still show other sizes, so a mismatch is
+// only a warning.
+const imageRequirements = {
+  iconUrl: { width: 200, height: 200 },
+  splashImageUrl: { width: 200, height: 200 },
+  imageUrl: { aspectRatio: 3 / 2 },
+};
+
+/**
+ * Reads the pixel size from a PNG, GIF, JPEG or WebP header. Returns null
+ * for anything else.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {ImageSize | null}
+ */
+export function getImageSize(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes.length >= 24 && ascii(1, 4) === 'PNG') {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+  if (bytes.length >= 10 && ascii(0, 3) === 'GIF') {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+  }
+  if (bytes.length >= 16 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    // Each chunk type keeps the size at a different offset, so each checks
+    // its own length
+    const chunk = ascii(12, 16);
+    const uint24 = (offset) => view.getUint16(offset, true) | (view.getUint8(offset + 2) << 16);
+    if (chunk === 'VP8X' && bytes.length >= 30) {
+      return { width: 1 + uint24(24), height: 1 + uint24(27) };
+    }
+    if (chunk === 'VP8 ' && bytes.length >= 30) {
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && bytes.length >= 25) {
+      const bits = view.getUint32(21, true);
+      return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} field
+ * @param {unknown} value
+ * @param {ManifestIssue[]} issues
+ * @returns {URL | null}
+ */
+function checkUrl(field, value, issues) {
+  if (typeof value !== 'string' || value === '') {
+    return null;
+  }
+  if (value.length > MAX_URL_LENGTH) {
+    issues.push({ level: 'error', field, message: `Longer than ${MAX_URL_LENGTH} characters` });
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    issues.push({ level: 'error', field, message: `Not a valid URL: ${value}` });
+    return null;
+  }
+  if (url.protocol !== 'https:') {
+    const local = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    issues.push({
+      level: local ? 'warning' : 'error',
+      field,
+      message: `Must use https${local ? ' outside local development' : ''}: ${value}`,
+    });
+  }
+  return url;
+}
+
+/**
+ * @param {string} field
+ * @param {URL} url
+ * @param {ManifestIssue[]} issues
+ */
+async function checkImage(field, url, issues) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'follow' });
+  } catch (error) {
+    issues.push({ level: 'error', field: `frame.${field}`, message: `Unreachable: ${error instanceof Error ? error.message : error}` });
+    return;
+  }
+  if (!response.ok) {
+    issues.push({ level: 'error', field: `frame.${field}`, message: `${url} returned HTTP ${response.status}` });
+    return;
+  }
+
+  const contentType = response.headers.get('content-type') ?? '';
+  if (!contentType.startsWith('image/')) {
+    issues.push({ level: 'error', field: `frame.${field}`, message: `Served as "${contentType || 'no content type'}", not an image` });
+    return;
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    issues.push({ level: 'warning', field: `frame.${field}`, message: `${Math.round(bytes.length / 1024)}KB, should be under 1MB` });
+  }
+
+  const size = getImageSize(bytes);
+  if (!size) {
+    issues.push({ level: 'warning', field: `frame.${field}`, message: `Couldn't read the dimensions of a ${contentType} image` });
+    return;
+  }
+
+  const requirement = imageRequirements[/** @type {keyof typeof imageRequirements} */ (field)];
+  if ('aspectRatio' in requirement) {
+    if (Math.abs(size.width / size.height - requirement.aspectRatio) > 0.01) {
+      issues.push({ level: 'warning', field: `frame.${field}`, message: `${size.width}x${size.height}, should have a 3:2 aspect ratio` });
+    }
+  } else if (size.width !== requirement.width || size.height !== requirement.height) {
+    issues.push({
+      level: 'warning',
+      field: `frame.${field}`,
+      message: `${size.width}x${size.height}, should be ${requirement.width}x${requirement.height}`,
+    });
+  }
+}
+
+/**
+ * Checks `metadata` and returns everything wrong with it. Errors are things
+ * a client will reject; warnings are spec recommendations.
+ *
+ * - required fields and text lengths
+ * - every URL is valid https, and each image is reachable, really an image,
+ *   and the recommended size
+ * - the account association is validly signed for `homeUrl`'s hostname and,
+ *   when given, `fid`
+ * - `webhookUrl` points at Neynar when it manages notifications, and at our
+ *   own /api/webhook otherwise
+ *
+ * @param {FrameMetadata} metadata
+ * @param {{ fid?: number; neynarApiKey?: string; neynarClientId?: string; checkImages?: boolean }} [options]
+ * @returns {Promise<{ valid: boolean; issues: ManifestIssue[] }>}
+ */
+export async function validateFrameMetadata(
+  metadata,
+  { fid, neynarApiKey, neynarClientId, checkImages = true } = {}
+) {
+  /** @type {ManifestIssue[]} */
+  const issues = [];
+  const frame = metadata?.frame;
+  if (!frame || typeof frame !== 'object') {
+    issues.push({ level: 'error', field: 'frame', message: 'Missing' });
+    return { valid: false, issues };
+  }
+
+  for (const field of /** @type {const} */ (['version', 'name', 'homeUrl', 'iconUrl'])) {
+    if (typeof frame[field] !== 'string' || frame[field] === '') {
+      issues.push({ level: 'error', field: `frame.${field}`, message: 'Required' });
+    }
+  }
+  if (frame.version && frame.version !== '1') {
+    issues.push({ level: 'error', field: 'frame.version', message: `Must be "1", got "${frame.version}"` });
+  }
+  for (const field of /** @type {const} */ (['name', 'buttonTitle'])) {
+    if (typeof frame[field] === 'string' && frame[field].length > MAX_TEXT_LENGTH) {
+      issues.push({ level: 'error', field: `frame.${field}`, message: `Longer than ${MAX_TEXT_LENGTH} characters` });
+    }
+  }
+  if (frame.splashBackgroundColor && !/^#[0-9a-fA-F]{6}$/.test(frame.splashBackgroundColor)) {
+    issues.push({ level: 'error', field: 'frame.splashBackgroundColor', message: 'Must be a hex color like #f7f7f7' });
+  }
+
+  const homeUrl = checkUrl('frame.homeUrl', frame.homeUrl, issues);
+  const webhookUrl = checkUrl('frame.webhookUrl', frame.webhookUrl, issues);
+  const images = /** @type {const} */ (['iconUrl', 'splashImageUrl', 'imageUrl'])
+    .map((field) => ({ field, url: checkUrl(`frame.${field}`, frame[field], issues) }))
+    .filter(({ url }) => url !== null);
+
+  if (homeUrl) {
+    const { errors } = await verifyAccountAssociation(metadata.accountAssociation, {
+      domain: homeUrl.hostname,
+      fid,
+    });
+    for (const message of errors) {
+      issues.push({ level: 'error', field: 'accountAssociation', message });
+    }
+
+    const expectedWebhookUrl = getWebhookUrl({ appUrl: homeUrl.origin, neynarApiKey, neynarClientId });
+    const mode = neynarApiKey && neynarClientId ? 'Neynar manages notifications' : 'notifications are self-hosted';
+    if (!webhookUrl) {
+      issues.push({ level: 'warning', field: 'frame.webhookUrl', message: `Missing, so no notifications can be sent; expected ${expectedWebhookUrl}` });
+    } else if (webhookUrl.href !== new URL(expectedWebhookUrl).href) {
+      issues.push({
+        level: 'error',
+        field: 'frame.webhookUrl',
+        message: `${mode}, so it should be ${expectedWebhookUrl}, got ${frame.webhookUrl}`,
+      });
+    }
+  }
+
+  if (checkImages) {
+    await Promise.all(images.map(({ field, url }) => checkImage(field, /** @type {URL} */ (url), issues)));
+  }
+
+  return { valid: !issues.some((issue) => issue.level === 'error'), issues };
+}
@@ -1,4 +1,6 @@
-import { NeynarAPIClient, Configuration } from '@neynar/nodejs-sdk';
+import { createHash } from 'crypto';
+import { NeynarAPIClient, Configuration, isApiErrorResponse } from '@neynar/nodejs-sdk';
+import type { NotificationFanOutResult } from '~/lib/notifs';
 
 let neynarClient: NeynarAPIClient | null = null;
 
@@ -17,6 +19,57 @@ export function getNeynarClient() {
   return neynarClient;
 }
 
+// Neynar accepts up to 350 addresses per bulk lookup
+const ADDRESS_LOOKUP_BATCH_SIZE = 350;
+
+/**
+ * Maps each address (lowercased) to the FIDs that have verified it.
+ * Addresses nobody has verified are left out.
+ */
+export async function getFidsForAddresses(addresses: string[]): Promise<Map<string, number[]>> {
+  const client = getNeynarClient();
+  const fids = new Map<string, number[]>();
+  const unique = [...new Set(addresses.map((address) => address.toLowerCase()))];
+
+  for (let i = 0; i < unique.length; i += ADDRESS_LOOKUP_BATCH_SIZE) {
+    let response;
+    try {
+      response = await client.fetchBulkUsersByEthOrSolAddress({
+        addresses: unique.slice(i, i + ADDRESS_LOOKUP_BATCH_SIZE),
+        addressTypes: ['verified_address'],
+      });
+    } catch (error) {
+      // Neynar answers 404 when nobody in the batch has verified an address
+      if (isApiErrorResponse(error) && error.response.status === 404) continue;
+      throw error;
+    }
+    for (const [address, users] of Object.entries(response)) {
+      fids.set(address.toLowerCase(), users.map((user) => user.fid));
+    }
+  }
+  return fids;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Namespace for the name-based UUIDs below; any fixed UUID works
+const NOTIFICATION_UUID_NAMESPACE = Buffer.from('6f1b8d52a3c44e0f9b7d2c5e8a1f3b60', 'hex');
+
+/**
+ * Neynar's idempotency key must be a UUID, so a readable id like
+ * `lifecycle:0xabc…:finalized` is mapped to a name-based (v5) UUID. The same
+ * id always gives the same UUID, so repeats are still dropped.
+ */
+export function toNeynarNotificationUuid(notificationId: string | undefined): string | undefined {
+  if (!notificationId || UUID_PATTERN.test(notificationId)) {
+    return notificationId;
+  }
+  const hash = createHash('sha1').update(NOTIFICATION_UUID_NAMESPACE).update(notificationId).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 type SendFrameNotificationResult =
   | {
       state: "error";
@@ -30,10 +83,14 @@ export async function sendNeynarFrameNotification({
   fid,
   title,
   body,
+  targetUrl = process.env.NEXT_PUBLIC_URL!,
+  notificationId,
 }: {
   fid: number;
   title: string;
   body: string;
+  targetUrl?: string;
+  notificationId?: string;
 }): Promise<SendFrameNotificationResult> {
   try {
     const client = getNeynarClient();
@@ -41,7 +98,8 @@ export async function sendNeynarFrameNotification({
     const notification = {
       title,
       body,
-      target_url: process.env.NEXT_PUBLIC_URL!,
+      target_url: targetUrl,
+      uuid: toNeynarNotificationUuid(notificationId),
     };
 
     const result = await client.publishFrameNotifications({ 
@@ -59,4 +117,73 @@ export async function sendNeynarFrameNotification({
   } catch (error) {
     return { state: "error", error };
   }
-} 
\ No newline at end of file
+} 
+
+// Neynar accepts up to 100 target FIDs per publish call
+const NEYNAR_NOTIFICATION_BATCH_SIZE = 100;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1_000;
+
+/**
+ * Batched counterpart of `sendNeynarFrameNotification`. Neynar manages the
+ * tokens, so invalid ones only need reporting; rate-limited calls are
+ * retried with backoff.
+ */
+export async function sendNeynarFrameNotifications({
+  fids,
+  title,
+  body,
+  targetUrl = process.env.NEXT_PUBLIC_URL!,
+  notificationId,
+}: {
+  fids: number[];
+  title: string;
+  body: string;
+  targetUrl?: string;
+  notificationId?: string;
+}): Promise<NotificationFanOutResult> {
+  const result: NotificationFanOutResult = {
+    successful: [],
+    invalid: [],
+    rateLimited: [],
+    noToken: [],
+    failed: [],
+  };
+  const client = getNeynarClient();
+  const notification = { title, body, target_url: targetUrl, uuid: toNeynarNotificationUuid(notificationId) };
+  const uniqueFids = [...new Set(fids)];
+
+  for (let i = 0; i < uniqueFids.length; i += NEYNAR_NOTIFICATION_BATCH_SIZE) {
+    const targetFids = uniqueFids.slice(i, i + NEYNAR_NOTIFICATION_BATCH_SIZE);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { notification_deliveries } = await client.publishFrameNotifications({
+          targetFids,
+          notification,
+        });
+        const delivered = new Set<number>();
+        for (const delivery of notification_deliveries) {
+          delivered.add(delivery.fid);
+          if (delivery.status === 'success') result.successful.push(delivery.fid);
+          else if (delivery.status === 'token_disabled') result.invalid.push(delivery.fid);
+          else if (delivery.status === 'token_not_found') result.noToken.push(delivery.fid);
+          else result.failed.push(delivery.fid);
+        }
+        result.noToken.push(...targetFids.filter((fid) => !delivered.has(fid)));
+        break;
+      } catch (error) {
+        const rateLimited = isApiErrorResponse(error) && error.response.status === 429;
+        if (rateLimited && attempt < MAX_RETRIES) {
+          await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** attempt));
+          continue;
+        }
+        console.error('Failed to publish Neynar notifications:', error);
+        (rateLimited ? result.rateLimited : result.failed).push(...targetFids);
+        break;
+      }
+    }
+  }
+
+  return result;
+}
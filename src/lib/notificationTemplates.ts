@@ -0,0 +1,145 @@
+import {
+  formatAmount,
+  formatDuration,
+  type PresaleInfo,
+} from "./presale";
+
+// Protocol limits on notification text
+export const NOTIFICATION_TITLE_MAX_LENGTH = 32;
+export const NOTIFICATION_BODY_MAX_LENGTH = 128;
+
+export interface NotificationTemplate {
+  title: string;
+  body: string;
+}
+
+/**
+ * Every notification the app sends. `{name}` placeholders are filled from
+ * the variables passed to `renderNotification`; see `getPresaleVariables`
+ * for the presale ones. Any template can be overridden with the
+ * NOTIFICATION_TEMPLATES env var, e.g.
+ * `{"welcome":{"title":"gm","body":"Thanks for adding {frameName}"}}`.
+ */
+const defaultTemplates = {
+  welcome: {
+    title: "Welcome to {frameName}",
+    body: "We'll let you know when presales you back fill up, end or open claims.",
+  },
+  notificationsEnabled: {
+    title: "Notifications are on",
+    body: "{frameName} will keep you posted on the presales you contribute to.",
+  },
+  test: {
+    title: "Test notification",
+    body: "Sent at {sentAt}",
+  },
+  presaleStarted: {
+    title: "${symbol} presale is live",
+    body: "Your presale is open for contributions for {timeLeft}, up to a {hardCap} {currency} hard cap.",
+  },
+  presaleNearHardCap: {
+    title: "${symbol} nearly sold out",
+    body: "{raised} of {hardCap} {currency} raised with {timeLeft} to go.",
+  },
+  presaleFinalized: {
+    title: "Claim your ${symbol}",
+    body: "The presale was finalized. Claim your {symbol} before {deadline}.",
+  },
+  presaleRefundable: {
+    title: "${symbol} missed its soft cap",
+    body: "{raised} of the {softCap} {currency} soft cap was raised. Your contribution can now be refunded.",
+  },
+  presaleCancelled: {
+    title: "${symbol} presale cancelled",
+    body: "Your {currency} contribution can now be refunded.",
+  },
+  presaleClaimDeadline: {
+    title: "${symbol} claim closing",
+    body: "Claim within {timeLeft} (by {deadline}) or lose your tokens.",
+  },
+  liquidityUnlocked: {
+    title: "Liquidity unlocked",
+    body: "Lock #{lockId} of {amount} LP tokens has reached its unlock time and can be withdrawn.",
+  },
+} satisfies Record<string, NotificationTemplate>;
+
+export type NotificationTemplateName = keyof typeof defaultTemplates;
+
+export type TemplateVariables = Record<string, string | number | undefined>;
+
+function getTemplates(): Record<NotificationTemplateName, NotificationTemplate> {
+  if (!process.env.NOTIFICATION_TEMPLATES) return defaultTemplates;
+  try {
+    const overrides = JSON.parse(process.env.NOTIFICATION_TEMPLATES);
+    const templates: Record<string, NotificationTemplate> = { ...defaultTemplates };
+    for (const [name, template] of Object.entries(overrides)) {
+      if (name in templates) {
+        templates[name] = { ...templates[name], ...(template as Partial<NotificationTemplate>) };
+      }
+    }
+    return templates;
+  } catch (error) {
+    console.warn("Failed to parse NOTIFICATION_TEMPLATES, using defaults:", error);
+    return defaultTemplates;
+  }
+}
+
+function fill(template: string, variables: TemplateVariables): string {
+  return template.replace(/\{(\w+)\}/g, (match, name: string) =>
+    variables[name] !== undefined ? String(variables[name]) : match
+  );
+}
+
+function truncate(text: string, maxLength: number): string {
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1).trimEnd()}…`;
+}
+
+/**
+ * Fills a template and trims the result to the protocol's length limits.
+ * `frameName` is always available.
+ */
+export function renderNotification(
+  name: NotificationTemplateName,
+  variables: TemplateVariables = {}
+): NotificationTemplate {
+  const template = getTemplates()[name];
+  const allVariables = {
+    frameName: process.env.NEXT_PUBLIC_FRAME_NAME || "Farsale",
+    ...variables,
+  };
+  return {
+    title: truncate(fill(template.title, allVariables), NOTIFICATION_TITLE_MAX_LENGTH),
+    body: truncate(fill(template.body, allVariables), NOTIFICATION_BODY_MAX_LENGTH),
+  };
+}
+
+// e.g. "Mar 3, 14:00 UTC"
+export function formatDeadline(seconds: bigint | number): string {
+  return new Date(Number(seconds) * 1000).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: "UTC",
+    timeZoneName: "short",
+  });
+}
+
+/**
+ * Template variables describing a presale at `now`. `timeLeft` counts down
+ * to the sale's end, or to the claim deadline once it is finalized.
+ */
+export function getPresaleVariables(presale: PresaleInfo, now: number): TemplateVariables {
+  const { pool, token, currency, claimDeadline } = presale;
+  const until = claimDeadline > 0n ? Number(claimDeadline) : Number(pool.options.end);
+  return {
+    symbol: token.symbol,
+    currency: currency.symbol,
+    raised: formatAmount(pool.weiRaised, currency.decimals),
+    hardCap: formatAmount(pool.options.hardCap, currency.decimals),
+    softCap: formatAmount(pool.options.softCap, currency.decimals),
+    timeLeft: formatDuration(until - now),
+    deadline: claimDeadline > 0n ? formatDeadline(claimDeadline) : formatDeadline(pool.options.end),
+  };
+}
@@ -2,7 +2,10 @@ import {
   SendNotificationRequest,
   sendNotificationResponseSchema,
 } from "@farcaster/frame-sdk";
-import { getUserNotificationDetails } from "~/lib/kv";
+import {
+  deleteRejectedNotificationDetails,
+  getUserNotificationDetails,
+} from "~/lib/kv";
 
 const appUrl = process.env.NEXT_PUBLIC_URL || "";
 
@@ -19,10 +22,15 @@ export async function sendFrameNotification({
   fid,
   title,
   body,
+  targetUrl = appUrl,
+  notificationId = crypto.randomUUID(),
 }: {
   fid: number;
   title: string;
   body: string;
+  targetUrl?: string;
+  // Clients drop repeats of the same id for 24h
+  notificationId?: string;
 }): Promise<SendFrameNotificationResult> {
   const notificationDetails = await getUserNotificationDetails(fid);
   if (!notificationDetails) {
@@ -35,10 +43,10 @@ export async function sendFrameNotification({
       "Content-Type": "application/json",
     },
     body: JSON.stringify({
-      notificationId: crypto.randomUUID(),
+      notificationId,
       title,
       body,
-      targetUrl: appUrl,
+      targetUrl,
       tokens: [notificationDetails.token],
     } satisfies SendNotificationRequest),
   });
@@ -63,3 +71,135 @@ export async function sendFrameNotification({
     return { state: "error", error: responseJson };
   }
 }
+
+// Protocol limit on tokens per notification request
+export const NOTIFICATION_BATCH_SIZE = 100;
+// Rate-limited tokens are retried this many times, doubling the wait each time
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1_000;
+
+export interface NotificationFanOutResult {
+  successful: number[];
+  // FIDs whose token the client rejected; their details have been removed
+  invalid: number[];
+  rateLimited: number[];
+  noToken: number[];
+  failed: number[];
+}
+
+/**
+ * Stable id for a notification about one event. Clients drop repeats of an
+ * id, so re-running a send for the same event can't notify anyone twice.
+ */
+export function getNotificationId(...parts: (string | number)[]): string {
+  return parts.join(":").slice(0, 128);
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function postNotificationBatch(
+  url: string,
+  request: Omit<SendNotificationRequest, "tokens">,
+  tokens: string[]
+) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ ...request, tokens } satisfies SendNotificationRequest),
+  });
+
+  const responseJson = await response.json();
+  if (response.status !== 200) {
+    throw new Error(`Notification request failed (${response.status}): ${JSON.stringify(responseJson)}`);
+  }
+
+  const responseBody = sendNotificationResponseSchema.safeParse(responseJson);
+  if (responseBody.success === false) {
+    throw new Error(`Malformed notification response: ${responseBody.error.message}`);
+  }
+  return responseBody.data.result;
+}
+
+/**
+ * Sends one notification to many FIDs. Tokens are grouped by the client's
+ * notification url and posted in batches of up to 100. Rate-limited tokens
+ * are retried with backoff, and tokens the client reports as invalid are
+ * removed from KV unless the user has registered a new one since.
+ */
+export async function sendFrameNotifications({
+  fids,
+  title,
+  body,
+  targetUrl = appUrl,
+  notificationId = crypto.randomUUID(),
+}: {
+  fids: number[];
+  title: string;
+  body: string;
+  targetUrl?: string;
+  notificationId?: string;
+}): Promise<NotificationFanOutResult> {
+  const result: NotificationFanOutResult = {
+    successful: [],
+    invalid: [],
+    rateLimited: [],
+    noToken: [],
+    failed: [],
+  };
+
+  // url -> token -> fid
+  const tokensByUrl = new Map<string, Map<string, number>>();
+  for (const fid of new Set(fids)) {
+    const notificationDetails = await getUserNotificationDetails(fid);
+    if (!notificationDetails) {
+      result.noToken.push(fid);
+      continue;
+    }
+    const tokens = tokensByUrl.get(notificationDetails.url) ?? new Map<string, number>();
+    tokens.set(notificationDetails.token, fid);
+    tokensByUrl.set(notificationDetails.url, tokens);
+  }
+
+  const request = { notificationId, title, body, targetUrl };
+  for (const [url, fidsByToken] of tokensByUrl) {
+    const toFids = (tokens: string[]) =>
+      tokens.map((token) => fidsByToken.get(token)).filter((fid): fid is number => fid !== undefined);
+    const allTokens = [...fidsByToken.keys()];
+    for (let i = 0; i < allTokens.length; i += NOTIFICATION_BATCH_SIZE) {
+      let tokens = allTokens.slice(i, i + NOTIFICATION_BATCH_SIZE);
+
+      for (let attempt = 0; tokens.length > 0; attempt++) {
+        if (attempt > 0) {
+          await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        }
+
+        let batchResult;
+        try {
+          batchResult = await postNotificationBatch(url, request, tokens);
+        } catch (error) {
+          console.error(`Failed to send notification batch to ${url}:`, error);
+          result.failed.push(...toFids(tokens));
+          break;
+        }
+
+        result.successful.push(...toFids(batchResult.successfulTokens));
+        for (const token of batchResult.invalidTokens) {
+          const fid = fidsByToken.get(token);
+          if (fid === undefined) continue;
+          result.invalid.push(fid);
+          await deleteRejectedNotificationDetails(fid, { url, token });
+        }
+
+        tokens = batchResult.rateLimitedTokens;
+        if (attempt >= MAX_RETRIES) {
+          result.rateLimited.push(...toFids(tokens));
+          break;
+        }
+      }
+    }
+  }
+
+  return result;
+}
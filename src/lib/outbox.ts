@@ -0,0 +1,239 @@
+import { sendNeynarFrameNotifications } from "./neynar";
+import { sendFrameNotifications } from "./notifs";
+import { getStorage } from "./storage";
+
+export type OutboxStatus = "queued" | "sent" | "rate_limited" | "invalid" | "failed";
+
+export interface OutboxEntry {
+  // `${notificationId}:${fid}`
+  id: string;
+  fid: number;
+  notificationId: string;
+  title: string;
+  body: string;
+  targetUrl: string;
+  status: OutboxStatus;
+  attempts: number;
+  createdAt: number;
+  updatedAt: number;
+  // Unset once the entry needs no more attempts
+  nextAttemptAt: number | null;
+  sentAt: number | null;
+  lastError: string | null;
+}
+
+function getOutboxEntryKey(id: string): string {
+  return `outbox:entry:${id}`;
+}
+
+const outboxPendingKey = "outbox:pending";
+
+// How long an entry that needs no more attempts is kept for its FID's history
+const OUTBOX_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+function getOutboxFidKey(fid: number): string {
+  return `outbox:fid:${fid}`;
+}
+
+async function getOutboxEntry(id: string): Promise<OutboxEntry | null> {
+  const storage = await getStorage();
+  return await storage.get<OutboxEntry>(getOutboxEntryKey(id));
+}
+
+async function getOutboxEntries(ids: string[]): Promise<OutboxEntry[]> {
+  const storage = await getStorage();
+  const entries = await storage.mget<OutboxEntry>(ids.map(getOutboxEntryKey));
+  return entries.filter((entry): entry is OutboxEntry => !!entry);
+}
+
+/**
+ * Writes an entry and keeps the pending queue and per-FID history in step
+ * with it. Entries that need no more attempts expire after the retention
+ * window, and are dropped from the FID's history once they have.
+ */
+async function saveOutboxEntry(entry: OutboxEntry): Promise<void> {
+  const storage = await getStorage();
+  const fidKey = getOutboxFidKey(entry.fid);
+  const done = entry.nextAttemptAt === null;
+  await storage.set(getOutboxEntryKey(entry.id), entry, done ? { ttlSeconds: OUTBOX_RETENTION_SECONDS } : {});
+  await storage.zadd(fidKey, [{ score: entry.createdAt, member: entry.id }]);
+  if (done) {
+    await storage.zrem(outboxPendingKey, [entry.id]);
+  } else {
+    await storage.zadd(outboxPendingKey, [{ score: entry.nextAttemptAt!, member: entry.id }]);
+  }
+
+  // Entries created before the cutoff have expired unless still retrying
+  const cutoff = Date.now() - OUTBOX_RETENTION_SECONDS * 1000;
+  const stale = await storage.zrangeByScore(fidKey, 0, cutoff);
+  const live = await getOutboxEntries(stale);
+  const expired = stale.filter((id) => !live.some((entry) => entry.id === id));
+  if (expired.length > 0) await storage.zrem(fidKey, expired);
+}
+
+/**
+ * Entries due for another attempt at `now`, oldest first.
+ */
+async function getDueOutboxEntries(now: number, limit: number): Promise<OutboxEntry[]> {
+  const storage = await getStorage();
+  const ids = await storage.zrangeByScore(outboxPendingKey, 0, now, { offset: 0, count: limit });
+  return getOutboxEntries(ids);
+}
+
+/**
+ * Delivery history for `fid`, newest first.
+ */
+export async function getOutboxEntriesForFid(
+  fid: number,
+  { offset = 0, limit = 50 }: { offset?: number; limit?: number } = {}
+): Promise<{ entries: OutboxEntry[]; total: number }> {
+  const storage = await getStorage();
+  const key = getOutboxFidKey(fid);
+  const [ids, total] = await Promise.all([
+    storage.zrange(key, offset, offset + limit - 1, { rev: true }),
+    storage.zcard(key),
+  ]);
+  return { entries: await getOutboxEntries(ids), total };
+}
+
+// Entries that still can't be delivered after this many attempts stay failed.
+const MAX_ATTEMPTS = 5;
+// Wait before the next attempt, doubled for every attempt already made.
+const RETRY_BASE_DELAY_MS = 60_000;
+
+export interface OutboxNotification {
+  fids: number[];
+  title: string;
+  body: string;
+  targetUrl?: string;
+  // Stable per event; a FID already queued for this id isn't queued again.
+  notificationId?: string;
+}
+
+/**
+ * Writes one outbox entry per FID. Returns the entries that were newly
+ * queued.
+ */
+export async function enqueueNotification({
+  fids,
+  title,
+  body,
+  targetUrl = process.env.NEXT_PUBLIC_URL!,
+  notificationId = crypto.randomUUID(),
+}: OutboxNotification): Promise<OutboxEntry[]> {
+  const now = Date.now();
+  const entries: OutboxEntry[] = [];
+
+  for (const fid of new Set(fids)) {
+    const id = `${notificationId}:${fid}`;
+    if (await getOutboxEntry(id)) continue;
+
+    const entry: OutboxEntry = {
+      id,
+      fid,
+      notificationId,
+      title,
+      body,
+      targetUrl,
+      status: "queued",
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      sentAt: null,
+      lastError: null,
+    };
+    await saveOutboxEntry(entry);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+async function updateEntry(
+  entry: OutboxEntry,
+  status: OutboxStatus,
+  lastError: string | null = null
+): Promise<OutboxEntry> {
+  const now = Date.now();
+  const attempts = entry.attempts + 1;
+  const retry = (status === "rate_limited" || status === "failed") && attempts < MAX_ATTEMPTS;
+  const updated: OutboxEntry = {
+    ...entry,
+    status,
+    attempts,
+    updatedAt: now,
+    nextAttemptAt: retry ? now + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1) : null,
+    sentAt: status === "sent" ? now : entry.sentAt,
+    lastError,
+  };
+  await saveOutboxEntry(updated);
+  return updated;
+}
+
+/**
+ * Attempts delivery of `entries` and records the outcome of each. Entries
+ * for the same notification go out together in batches.
+ */
+export async function deliverOutboxEntries(entries: OutboxEntry[]): Promise<OutboxEntry[]> {
+  const neynarEnabled = process.env.NEYNAR_API_KEY && process.env.NEYNAR_CLIENT_ID;
+  const sendNotifications = neynarEnabled ? sendNeynarFrameNotifications : sendFrameNotifications;
+
+  const byNotification = new Map<string, OutboxEntry[]>();
+  for (const entry of entries) {
+    byNotification.set(entry.notificationId, [...(byNotification.get(entry.notificationId) ?? []), entry]);
+  }
+
+  const updated: OutboxEntry[] = [];
+  for (const group of byNotification.values()) {
+    const { notificationId, title, body, targetUrl } = group[0];
+    const result = await sendNotifications({
+      fids: group.map((entry) => entry.fid),
+      title,
+      body,
+      targetUrl,
+      notificationId,
+    });
+
+    for (const entry of group) {
+      if (result.successful.includes(entry.fid)) {
+        updated.push(await updateEntry(entry, "sent"));
+      } else if (result.invalid.includes(entry.fid)) {
+        updated.push(await updateEntry(entry, "invalid", "Notification token is invalid"));
+      } else if (result.noToken.includes(entry.fid)) {
+        updated.push(await updateEntry(entry, "invalid", "No notification token"));
+      } else if (result.rateLimited.includes(entry.fid)) {
+        updated.push(await updateEntry(entry, "rate_limited", "Rate limited"));
+      } else {
+        updated.push(await updateEntry(entry, "failed", "Delivery failed"));
+      }
+    }
+  }
+  return updated;
+}
+
+/**
+ * Queues a notification and makes the first delivery attempt right away.
+ * Anything not delivered is retried by `drainOutbox`.
+ */
+export async function sendQueuedNotification(notification: OutboxNotification): Promise<OutboxEntry[]> {
+  return deliverOutboxEntries(await enqueueNotification(notification));
+}
+
+/**
+ * Delivers queued entries and retries rate-limited or failed ones that are
+ * due. Meant to be called on a schedule.
+ */
+export async function drainOutbox({ limit = 500 }: { limit?: number } = {}) {
+  const entries = await getDueOutboxEntries(Date.now(), limit);
+  const updated = await deliverOutboxEntries(entries);
+
+  const counts: Record<OutboxStatus, number> = {
+    queued: 0,
+    sent: 0,
+    rate_limited: 0,
+    invalid: 0,
+    failed: 0,
+  };
+  for (const entry of updated) counts[entry.status]++;
+  return { processed: updated.length, ...counts };
+}
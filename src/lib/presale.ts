@@ -0,0 +1,406 @@
+import { type Address, formatUnits, zeroAddress } from "viem";
+
+export const PresaleState = {
+  PendingDeposit: 1,
+  Active: 2,
+  Cancelled: 3,
+  Finalized: 4,
+} as const;
+
+export type PresaleStateValue = (typeof PresaleState)[keyof typeof PresaleState];
+
+const presaleStateLabels: Record<number, string> = {
+  [PresaleState.PendingDeposit]: "Pending deposit",
+  [PresaleState.Active]: "Active",
+  [PresaleState.Cancelled]: "Cancelled",
+  [PresaleState.Finalized]: "Finalized",
+};
+
+// A type alias rather than an interface so it satisfies the ABI-derived
+// struct type wagmi infers for `createPresale` args.
+export type PresaleOptions = {
+  tokenDeposit: bigint;
+  hardCap: bigint;
+  softCap: bigint;
+  max: bigint;
+  min: bigint;
+  start: bigint;
+  end: bigint;
+  liquidityBps: bigint;
+  slippageBps: bigint;
+  presaleRate: bigint;
+  listingRate: bigint;
+  lockupDuration: bigint;
+  currency: Address;
+};
+
+export interface PresalePool {
+  token: Address;
+  uniswapV2Router02: Address;
+  factory: Address;
+  tokenBalance: bigint;
+  tokensClaimable: bigint;
+  tokensLiquidity: bigint;
+  weiRaised: bigint;
+  weth: Address;
+  state: number;
+  options: PresaleOptions;
+}
+
+export interface TokenInfo {
+  address: Address;
+  symbol: string;
+  decimals: number;
+}
+
+// Everything the UI and API need to render one presale.
+export interface PresaleInfo {
+  address: Address;
+  pool: PresalePool;
+  paused: boolean;
+  whitelistEnabled: boolean;
+  owner: Address;
+  ownerBalance: bigint;
+  claimDeadline: bigint;
+  token: TokenInfo;
+  currency: TokenInfo;
+}
+
+// The public `pool()` getter returns its fields positionally.
+export type PoolResult = readonly [
+  Address,
+  Address,
+  Address,
+  bigint,
+  bigint,
+  bigint,
+  bigint,
+  Address,
+  number,
+  PresaleOptions,
+];
+
+export function parsePool(result: PoolResult): PresalePool {
+  const [
+    token,
+    uniswapV2Router02,
+    factory,
+    tokenBalance,
+    tokensClaimable,
+    tokensLiquidity,
+    weiRaised,
+    weth,
+    state,
+    options,
+  ] = result;
+  return {
+    token,
+    uniswapV2Router02,
+    factory,
+    tokenBalance,
+    tokensClaimable,
+    tokensLiquidity,
+    weiRaised,
+    weth,
+    state,
+    options,
+  };
+}
+
+export function getPresaleStateLabel(state: number): string {
+  return presaleStateLabels[state] ?? `Unknown (${state})`;
+}
+
+export function isNativeCurrency(currency: Address): boolean {
+  return currency === zeroAddress;
+}
+
+export const nativeCurrency: TokenInfo = {
+  address: zeroAddress,
+  symbol: "ETH",
+  decimals: 18,
+};
+
+export function formatAmount(amount: bigint, decimals: number, maxFractionDigits = 4): string {
+  const [whole, fraction = ""] = formatUnits(amount, decimals).split(".");
+  const trimmed = fraction.slice(0, maxFractionDigits).replace(/0+$/, "");
+  return trimmed ? `${whole}.${trimmed}` : whole;
+}
+
+/**
+ * Compact countdown such as "3d 4h" or "12m 5s".
+ */
+export function formatDuration(seconds: number | bigint): string {
+  let remaining = Math.max(0, Number(seconds));
+  const days = Math.floor(remaining / 86_400);
+  remaining %= 86_400;
+  const hours = Math.floor(remaining / 3_600);
+  remaining %= 3_600;
+  const minutes = Math.floor(remaining / 60);
+  const secs = remaining % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${secs}s`;
+}
+
+export function formatTimestamp(seconds: bigint | number): string {
+  return new Date(Number(seconds) * 1000).toLocaleString();
+}
+
+/**
+ * Percentage of the hard cap that has been raised, clamped to 0-100.
+ */
+export function getRaisedPercent(pool: PresalePool): number {
+  if (pool.options.hardCap === 0n) return 0;
+  const percent = Number((pool.weiRaised * 10_000n) / pool.options.hardCap) / 100;
+  return Math.min(100, Math.max(0, percent));
+}
+
+const presaleErrorMessages: Record<string, string> = {
+  BelowMinimumContribution: "The amount is below this presale's minimum contribution.",
+  ExceedsMaximumContribution: "The amount would take your total over this presale's maximum contribution.",
+  HardCapExceeded: "The amount would exceed this presale's hard cap.",
+  NotWhitelisted: "Your wallet is not on this presale's whitelist.",
+  NotInPurchasePeriod: "This presale is not open for contributions right now.",
+  ContractPaused: "This presale is paused.",
+  NotActive: "This presale is not accepting contributions.",
+  ZeroTokensForContribution: "The amount is too small to buy any tokens.",
+  ETHNotAccepted: "This presale does not accept ETH.",
+  StablecoinNotAccepted: "This presale only accepts ETH.",
+  InvalidState: "The presale is not in the right state for this action.",
+  SoftCapNotReached: "The soft cap has not been reached yet.",
+  AlreadyPaused: "The presale is already paused.",
+  NotPaused: "The presale is not paused.",
+  CannotRescuePresaleTokens: "The sale token can only be rescued after the presale is cancelled or finalized.",
+  InvalidAddress: "Enter a valid recipient address.",
+  NoFundsToRefund: "There are no funds to withdraw.",
+  LiquificationFailed: "Adding liquidity failed.",
+  OwnableUnauthorizedAccount: "Only the presale owner can do this.",
+  ClaimPeriodExpired: "The 90-day claim window has closed.",
+  NoTokensToClaim: "You have no tokens to claim.",
+  InsufficientTokenBalance: "The presale does not hold enough tokens to pay this claim.",
+  NotRefundable: "This presale is not refundable.",
+  InsufficientContractBalance: "The presale does not hold enough funds to pay this refund.",
+  InvalidLockId: "This lock does not exist.",
+  NotLockOwner: "Only the lock owner can withdraw this liquidity.",
+  TokensStillLocked: "This liquidity is still locked.",
+  NoTokensToWithdraw: "This lock has already been withdrawn.",
+};
+
+/**
+ * Readable message for a custom error raised by the Presale contract, if we
+ * know about it.
+ */
+export function getPresaleErrorMessage(errorName: string): string | undefined {
+  return presaleErrorMessages[errorName];
+}
+
+/**
+ * Tokens a contribution of `amount` buys, using the same formula as
+ * `Presale.userTokens`.
+ */
+export function getTokensForContribution(
+  amount: bigint,
+  pool: PresalePool,
+  tokenDecimals: number,
+  currencyDecimals: number
+): bigint {
+  return (amount * pool.options.presaleRate * 10n ** BigInt(tokenDecimals)) / 10n ** BigInt(currencyDecimals);
+}
+
+/**
+ * Client-side mirror of `_prevalidatePurchase` plus the whitelist and pause
+ * checks, so we can refuse a contribution before it reaches the wallet.
+ * Returns the name of the custom error the contract would revert with.
+ */
+export function validateContribution({
+  pool,
+  paused,
+  whitelistEnabled,
+  isWhitelisted,
+  contributed,
+  amount,
+  now,
+}: {
+  pool: PresalePool;
+  paused: boolean;
+  whitelistEnabled: boolean;
+  isWhitelisted: boolean;
+  contributed: bigint;
+  amount: bigint;
+  now: number;
+}): string | null {
+  const { options } = pool;
+  if (paused) return "ContractPaused";
+  if (pool.state !== PresaleState.Active) return "NotActive";
+  if (BigInt(now) < options.start || BigInt(now) > options.end) return "NotInPurchasePeriod";
+  if (pool.weiRaised + amount > options.hardCap) return "HardCapExceeded";
+  if (amount < options.min) return "BelowMinimumContribution";
+  if (contributed + amount > options.max) return "ExceedsMaximumContribution";
+  if (whitelistEnabled && !isWhitelisted) return "NotWhitelisted";
+  return null;
+}
+
+export const BASIS_POINTS = 10_000n;
+
+/**
+ * Tokens the owner has to deposit to cover the whole hard cap, mirroring
+ * `Presale.calculateTotalTokensNeeded`.
+ */
+export function calculateTotalTokensNeeded(
+  options: PresaleOptions,
+  tokenDecimals: number,
+  currencyDecimals: number
+): bigint {
+  const tokenUnit = 10n ** BigInt(tokenDecimals);
+  const currencyUnit = 10n ** BigInt(currencyDecimals);
+  const presaleTokens = (options.hardCap * options.presaleRate * tokenUnit) / currencyUnit;
+  const liquidityTokens =
+    (((options.hardCap * options.liquidityBps) / BASIS_POINTS) * options.listingRate * tokenUnit) / currencyUnit;
+  return presaleTokens + liquidityTokens;
+}
+
+export type PresaleOptionsErrors = Partial<Record<keyof PresaleOptions, string>>;
+
+/**
+ * The checks `_prevalidatePool` runs in the Presale constructor, keyed by the
+ * offending field. The contract only reverts with `InvalidInitialization`, so
+ * this is the only place a creator learns which value is wrong.
+ */
+export function validatePresaleOptions(options: PresaleOptions, now: number): PresaleOptionsErrors {
+  const errors: PresaleOptionsErrors = {};
+  if (options.tokenDeposit === 0n) {
+    errors.tokenDeposit = "Token deposit must be greater than zero.";
+  }
+  if (options.hardCap === 0n) {
+    errors.hardCap = "Hard cap must be greater than zero.";
+  } else if (options.softCap < options.hardCap / 4n) {
+    errors.softCap = "Soft cap must be at least 25% of the hard cap.";
+  }
+  if (options.min === 0n) {
+    errors.min = "Minimum contribution must be greater than zero.";
+  }
+  if (options.max === 0n) {
+    errors.max = "Maximum contribution must be greater than zero.";
+  } else if (options.min > options.max) {
+    errors.min = "Minimum contribution cannot exceed the maximum.";
+  }
+  if (options.liquidityBps < 5100n || options.liquidityBps > BASIS_POINTS) {
+    errors.liquidityBps = "Liquidity must be between 51% and 100%.";
+  }
+  if (options.slippageBps > 500n) {
+    errors.slippageBps = "Slippage cannot exceed 5%.";
+  }
+  if (options.presaleRate === 0n) {
+    errors.presaleRate = "Presale rate must be greater than zero.";
+  }
+  if (options.listingRate === 0n) {
+    errors.listingRate = "Listing rate must be greater than zero.";
+  } else if (options.listingRate >= options.presaleRate) {
+    errors.listingRate = "Listing rate must be lower than the presale rate.";
+  }
+  if (options.start < BigInt(now)) {
+    errors.start = "Start time must be in the future.";
+  }
+  if (options.end <= options.start) {
+    errors.end = "End time must be after the start time.";
+  }
+  if (options.lockupDuration === 0n) {
+    errors.lockupDuration = "Lockup duration must be greater than zero.";
+  }
+  return errors;
+}
+
+export type OwnerAction = "deposit" | "finalize" | "cancel" | "withdraw" | "pause" | "unpause";
+
+/**
+ * Why each owner action is unavailable right now, or null when it can be sent.
+ * Mirrors the modifiers and `require`s of each call in `Presale`, in the same
+ * order, so the dashboard never offers a call that reverts and never hides
+ * one that wouldn't. None of them check the time.
+ */
+export function getOwnerActionBlockers({
+  pool,
+  paused,
+  ownerBalance,
+}: {
+  pool: PresalePool;
+  paused: boolean;
+  ownerBalance: bigint;
+}): Record<OwnerAction, string | null> {
+  const { state, options, weiRaised } = pool;
+  const pausedReason = paused ? "Unpause the presale first." : null;
+
+  const deposit =
+    pausedReason ?? (state !== PresaleState.PendingDeposit ? "Tokens have already been deposited." : null);
+
+  const finalize =
+    pausedReason ??
+    (state !== PresaleState.Active
+      ? state === PresaleState.PendingDeposit
+        ? "Deposit tokens first."
+        : "The presale is already closed."
+      : weiRaised < options.softCap
+        ? "The soft cap has not been reached yet."
+        : null);
+
+  const cancel = pausedReason ?? (state > PresaleState.Active ? "The presale is already closed." : null);
+
+  return {
+    deposit,
+    finalize,
+    cancel,
+    withdraw: ownerBalance === 0n ? "There are no raised funds to withdraw." : null,
+    pause: paused ? "The presale is already paused." : null,
+    unpause: paused ? null : "The presale is not paused.",
+  };
+}
+
+/**
+ * Mirrors the `rescueTokens` guard: the sale token is locked until the
+ * presale is cancelled or finalized.
+ */
+export function canRescueToken(pool: PresalePool, token: Address): boolean {
+  return token.toLowerCase() !== pool.token.toLowerCase() || pool.state >= PresaleState.Cancelled;
+}
+
+// Contributors get a heads-up this long before `claimDeadline`.
+export const CLAIM_DEADLINE_WARNING_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Same condition as the `onlyRefundable` modifier.
+ */
+export function isRefundable(pool: PresalePool, now: number): boolean {
+  return (
+    pool.state === PresaleState.Cancelled ||
+    (BigInt(now) > pool.options.end && pool.weiRaised < pool.options.softCap)
+  );
+}
+
+/**
+ * Whether the sale is finalized and its claim deadline hasn't passed. Claims
+ * can still be paused; see `isClaimable`.
+ */
+export function isClaimWindowOpen(pool: PresalePool, claimDeadline: bigint, now: number): boolean {
+  return pool.state === PresaleState.Finalized && BigInt(now) <= claimDeadline;
+}
+
+/**
+ * Same state, deadline and pause checks as `claim()`. Unlike `refund()`,
+ * `claim()` is `whenNotPaused`.
+ */
+export function isClaimable(
+  presale: Pick<PresaleInfo, "pool" | "claimDeadline" | "paused">,
+  now: number
+): boolean {
+  return !presale.paused && isClaimWindowOpen(presale.pool, presale.claimDeadline, now);
+}
+
+export interface LiquidityLock {
+  id: bigint;
+  token: Address;
+  amount: bigint;
+  unlockTime: bigint;
+  owner: Address;
+}
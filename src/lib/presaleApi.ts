@@ -0,0 +1,190 @@
+import { isAddress } from "viem";
+import { z } from "zod";
+
+import {
+  getPresaleStateLabel,
+  getRaisedPercent,
+  isClaimable,
+  isNativeCurrency,
+  isRefundable,
+  PresaleState,
+  type LiquidityLock,
+  type PresaleInfo,
+  type TokenInfo,
+} from "./presale";
+import { type ContributorInfo, type PositionInfo } from "./presaleReader";
+
+// JSON shapes served by the /api/presales, /api/users and /api/locks routes.
+// Responses are parsed through these before they go out, so the fields listed
+// here are the contract bots and dashboards can rely on. Amounts are raw
+// integer strings; timestamps are unix seconds.
+
+const addressSchema = z.string().refine((value) => isAddress(value), "Invalid address");
+const amountSchema = z.string().regex(/^\d+$/);
+
+export const presaleStateNames = {
+  pending: PresaleState.PendingDeposit,
+  active: PresaleState.Active,
+  cancelled: PresaleState.Cancelled,
+  finalized: PresaleState.Finalized,
+} as const;
+
+export type PresaleStateName = keyof typeof presaleStateNames;
+
+const presaleStateNameSchema = z.enum(
+  Object.keys(presaleStateNames) as [PresaleStateName, ...PresaleStateName[]]
+);
+
+export const paginationQuerySchema = z.object({
+  offset: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const presaleListQuerySchema = paginationQuerySchema.extend({
+  state: presaleStateNameSchema.optional(),
+  // "ETH" or an ERC20 currency address
+  currency: z
+    .string()
+    .refine((value) => value.toUpperCase() === "ETH" || isAddress(value), "Expected ETH or a token address")
+    .optional(),
+});
+
+export const tokenSchema = z.object({
+  address: addressSchema,
+  symbol: z.string(),
+  decimals: z.number().int(),
+});
+
+export const presaleSchema = z.object({
+  address: addressSchema,
+  owner: addressSchema,
+  state: presaleStateNameSchema,
+  stateLabel: z.string(),
+  paused: z.boolean(),
+  whitelistEnabled: z.boolean(),
+  token: tokenSchema,
+  currency: tokenSchema,
+  raised: amountSchema,
+  raisedPercent: z.number(),
+  hardCap: amountSchema,
+  softCap: amountSchema,
+  minContribution: amountSchema,
+  maxContribution: amountSchema,
+  start: z.number().int(),
+  end: z.number().int(),
+  claimDeadline: z.number().int().nullable(),
+  presaleRate: amountSchema,
+  listingRate: amountSchema,
+  liquidityBps: z.number().int(),
+  lockupDuration: z.number().int(),
+  tokenDeposit: amountSchema,
+  tokenBalance: amountSchema,
+  tokensClaimable: amountSchema,
+  tokensLiquidity: amountSchema,
+  ownerBalance: amountSchema,
+});
+
+export const contributorSchema = z.object({
+  address: addressSchema,
+  contribution: amountSchema,
+  tokens: amountSchema,
+});
+
+export const positionSchema = z.object({
+  presale: presaleSchema,
+  contribution: amountSchema,
+  tokens: amountSchema,
+  claimable: z.boolean(),
+  refundable: z.boolean(),
+});
+
+export const liquidityLockSchema = z.object({
+  id: amountSchema,
+  token: addressSchema,
+  amount: amountSchema,
+  unlockTime: z.number(),
+  owner: addressSchema,
+  // The presale whose finalization created the lock, once indexed
+  presale: addressSchema.nullable(),
+});
+
+export function getPresaleStateName(state: number): PresaleStateName | undefined {
+  return (Object.keys(presaleStateNames) as PresaleStateName[]).find(
+    (name) => presaleStateNames[name] === state
+  );
+}
+
+export function matchesCurrency(currency: TokenInfo, filter: string): boolean {
+  if (filter.toUpperCase() === "ETH") return isNativeCurrency(currency.address);
+  return currency.address.toLowerCase() === filter.toLowerCase();
+}
+
+export function paginate<T>(items: T[], { offset, limit }: { offset: number; limit: number }) {
+  return { items: items.slice(offset, offset + limit), total: items.length, offset, limit };
+}
+
+export function serializePresale(presale: PresaleInfo): z.infer<typeof presaleSchema> {
+  const { pool } = presale;
+  return presaleSchema.parse({
+    address: presale.address,
+    owner: presale.owner,
+    state: getPresaleStateName(pool.state),
+    stateLabel: getPresaleStateLabel(pool.state),
+    paused: presale.paused,
+    whitelistEnabled: presale.whitelistEnabled,
+    token: presale.token,
+    currency: presale.currency,
+    raised: pool.weiRaised.toString(),
+    raisedPercent: getRaisedPercent(pool),
+    hardCap: pool.options.hardCap.toString(),
+    softCap: pool.options.softCap.toString(),
+    minContribution: pool.options.min.toString(),
+    maxContribution: pool.options.max.toString(),
+    start: Number(pool.options.start),
+    end: Number(pool.options.end),
+    // Only set once the presale is finalized
+    claimDeadline: presale.claimDeadline > 0n ? Number(presale.claimDeadline) : null,
+    presaleRate: pool.options.presaleRate.toString(),
+    listingRate: pool.options.listingRate.toString(),
+    liquidityBps: Number(pool.options.liquidityBps),
+    lockupDuration: Number(pool.options.lockupDuration),
+    tokenDeposit: pool.options.tokenDeposit.toString(),
+    tokenBalance: pool.tokenBalance.toString(),
+    tokensClaimable: pool.tokensClaimable.toString(),
+    tokensLiquidity: pool.tokensLiquidity.toString(),
+    ownerBalance: presale.ownerBalance.toString(),
+  });
+}
+
+export function serializeContributor(contributor: ContributorInfo): z.infer<typeof contributorSchema> {
+  return contributorSchema.parse({
+    address: contributor.address,
+    contribution: contributor.contribution.toString(),
+    tokens: contributor.tokens.toString(),
+  });
+}
+
+export function serializePosition(position: PositionInfo, now: number): z.infer<typeof positionSchema> {
+  const { presale } = position;
+  return positionSchema.parse({
+    presale: serializePresale(presale),
+    contribution: position.contribution.toString(),
+    tokens: position.tokens.toString(),
+    claimable: isClaimable(presale, now),
+    refundable: isRefundable(presale.pool, now),
+  });
+}
+
+export function serializeLiquidityLock(
+  lock: LiquidityLock,
+  presale: string | null
+): z.infer<typeof liquidityLockSchema> {
+  return liquidityLockSchema.parse({
+    id: lock.id.toString(),
+    token: lock.token,
+    amount: lock.amount.toString(),
+    unlockTime: Number(lock.unlockTime),
+    owner: lock.owner,
+    presale,
+  });
+}
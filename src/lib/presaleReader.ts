@@ -0,0 +1,243 @@
+import { type Address, erc20Abi, getAddress } from "viem";
+
+import { getPublicClient } from "./chain";
+import {
+  liquidityLockerAbi,
+  presaleAbi,
+  presaleFactoryAbi,
+  presaleFactoryAddress,
+} from "./contracts";
+import { getIndexedContributors } from "./indexerStore";
+import {
+  isNativeCurrency,
+  type LiquidityLock,
+  nativeCurrency,
+  parsePool,
+  type PresaleInfo,
+  type TokenInfo,
+} from "./presale";
+
+// How long chain reads are reused before hitting the RPC again. Token
+// metadata never changes, so it is kept for the life of the process.
+const PRESALE_TTL_MS = 15_000;
+const TOKEN_TTL_MS = Infinity;
+
+// Keys include caller-supplied addresses, so the cache is bounded: expired
+// entries are swept and the least recently used dropped past this size.
+const CACHE_MAX_ENTRIES = 1_000;
+
+const cache = new Map<string, { expiresAt: number; value: Promise<unknown> }>();
+
+function evict() {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+  // Maps iterate in insertion order, and hits are re-inserted, so the first
+  // keys are the least recently used
+  for (const key of cache.keys()) {
+    if (cache.size <= CACHE_MAX_ENTRIES) break;
+    cache.delete(key);
+  }
+}
+
+function cached<T>(key: string, ttlMs: number, load: () => Promise<T>): Promise<T> {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry.value as Promise<T>;
+  }
+  const value = load();
+  cache.delete(key);
+  cache.set(key, { expiresAt: Date.now() + ttlMs, value });
+  if (cache.size > CACHE_MAX_ENTRIES) evict();
+  // Don't keep a failed read around until it expires
+  value.catch(() => {
+    if (cache.get(key)?.value === value) cache.delete(key);
+  });
+  return value;
+}
+
+export interface ContributorInfo {
+  address: Address;
+  contribution: bigint;
+  tokens: bigint;
+}
+
+export interface PositionInfo {
+  presale: PresaleInfo;
+  contribution: bigint;
+  tokens: bigint;
+}
+
+/**
+ * Every presale created by the factory, oldest first.
+ */
+export function getPresaleAddresses(): Promise<Address[]> {
+  return cached("presales", PRESALE_TTL_MS, async () => {
+    if (!presaleFactoryAddress) {
+      throw new Error("NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS not configured");
+    }
+    const client = getPublicClient();
+    const count = await client.readContract({
+      address: presaleFactoryAddress,
+      abi: presaleFactoryAbi,
+      functionName: "getPresaleCount",
+    });
+    return await client.multicall({
+      allowFailure: false,
+      contracts: Array.from({ length: Number(count) }, (_, i) => ({
+        address: presaleFactoryAddress!,
+        abi: presaleFactoryAbi,
+        functionName: "presales",
+        args: [BigInt(i)],
+      }) as const),
+    });
+  });
+}
+
+export function getTokenInfo(address: Address): Promise<TokenInfo> {
+  if (isNativeCurrency(address)) return Promise.resolve(nativeCurrency);
+  return cached(`token:${address.toLowerCase()}`, TOKEN_TTL_MS, async () => {
+    const [symbol, decimals] = await getPublicClient().multicall({
+      allowFailure: false,
+      contracts: [
+        { address, abi: erc20Abi, functionName: "symbol" },
+        { address, abi: erc20Abi, functionName: "decimals" },
+      ],
+    });
+    return { address, symbol, decimals };
+  });
+}
+
+export function getPresale(address: Address): Promise<PresaleInfo> {
+  return cached(`presale:${address.toLowerCase()}`, PRESALE_TTL_MS, async () => {
+    const [poolResult, paused, whitelistEnabled, owner, ownerBalance, claimDeadline] =
+      await getPublicClient().multicall({
+        allowFailure: false,
+        contracts: [
+          { address, abi: presaleAbi, functionName: "pool" },
+          { address, abi: presaleAbi, functionName: "paused" },
+          { address, abi: presaleAbi, functionName: "whitelistEnabled" },
+          { address, abi: presaleAbi, functionName: "owner" },
+          { address, abi: presaleAbi, functionName: "ownerBalance" },
+          { address, abi: presaleAbi, functionName: "claimDeadline" },
+        ],
+      });
+    const pool = parsePool(poolResult);
+    const [token, currency] = await Promise.all([
+      getTokenInfo(pool.token),
+      getTokenInfo(pool.options.currency),
+    ]);
+    return {
+      address: getAddress(address),
+      pool,
+      paused,
+      whitelistEnabled,
+      owner,
+      ownerBalance,
+      claimDeadline,
+      token,
+      currency,
+    };
+  });
+}
+
+/**
+ * Every address that has contributed to `address`, with what it put in and
+ * the tokens it is owed. Contributors come from the indexed Contribution and
+ * Purchase events, since the contract's `getContributors()` list stays empty,
+ * plus anything that list does hold.
+ */
+export function getPresaleContributors(address: Address): Promise<ContributorInfo[]> {
+  return cached(`contributors:${address.toLowerCase()}`, PRESALE_TTL_MS, async () => {
+    const client = getPublicClient();
+    const [indexed, listed] = await Promise.all([
+      getIndexedContributors(address),
+      client.readContract({ address, abi: presaleAbi, functionName: "getContributors" }),
+    ]);
+    const contributors = [
+      ...new Map([...indexed, ...listed].map((contributor) => [contributor.toLowerCase(), getAddress(contributor)])).values(),
+    ];
+    const results = await client.multicall({
+      allowFailure: false,
+      contracts: contributors.flatMap((contributor) => [
+        { address, abi: presaleAbi, functionName: "getContribution", args: [contributor] } as const,
+        { address, abi: presaleAbi, functionName: "userTokens", args: [contributor] } as const,
+      ]),
+    });
+    return contributors.map((contributor, i) => ({
+      address: contributor,
+      contribution: results[i * 2],
+      tokens: results[i * 2 + 1],
+    }));
+  });
+}
+
+/**
+ * The presales `account` still has a contribution in, oldest first.
+ */
+export function getUserPositions(account: Address): Promise<PositionInfo[]> {
+  return cached(`positions:${account.toLowerCase()}`, PRESALE_TTL_MS, async () => {
+    const addresses = await getPresaleAddresses();
+    const results = await getPublicClient().multicall({
+      allowFailure: false,
+      contracts: addresses.flatMap((address) => [
+        { address, abi: presaleAbi, functionName: "getContribution", args: [account] } as const,
+        { address, abi: presaleAbi, functionName: "userTokens", args: [account] } as const,
+      ]),
+    });
+
+    const positions = addresses
+      .map((address, i) => ({ address, contribution: results[i * 2], tokens: results[i * 2 + 1] }))
+      .filter(({ contribution }) => contribution > 0n);
+    return await Promise.all(
+      positions.map(async ({ address, contribution, tokens }) => ({
+        presale: await getPresale(address),
+        contribution,
+        tokens,
+      }))
+    );
+  });
+}
+
+/**
+ * The factory's LiquidityLocker and every lock it holds, by id. Withdrawn
+ * locks stay in the list with a zero amount.
+ */
+export function getLiquidityLocks(): Promise<{ locker: Address; locks: LiquidityLock[] }> {
+  return cached("locks", PRESALE_TTL_MS, async () => {
+    if (!presaleFactoryAddress) {
+      throw new Error("NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS not configured");
+    }
+    const client = getPublicClient();
+    const locker = await client.readContract({
+      address: presaleFactoryAddress,
+      abi: presaleFactoryAbi,
+      functionName: "liquidityLocker",
+    });
+    const count = await client.readContract({
+      address: locker,
+      abi: liquidityLockerAbi,
+      functionName: "lockCount",
+    });
+    const results = await client.multicall({
+      allowFailure: false,
+      contracts: Array.from({ length: Number(count) }, (_, i) => ({
+        address: locker,
+        abi: liquidityLockerAbi,
+        functionName: "getLock",
+        args: [BigInt(i)],
+      }) as const),
+    });
+    const locks = results.map(([token, amount, unlockTime, owner], i) => ({
+      id: BigInt(i),
+      token,
+      amount,
+      unlockTime,
+      owner,
+    }));
+    return { locker, locks };
+  });
+}
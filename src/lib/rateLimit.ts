@@ -0,0 +1,25 @@
+import { getStorage } from "./storage";
+
+/**
+ * Counts a hit against `key` in a fixed window. Returns whether the hit is
+ * allowed and, if not, how many seconds until the window resets.
+ */
+export async function checkRateLimit(
+  key: string,
+  limit: number,
+  windowSeconds: number
+): Promise<{ allowed: boolean; retryAfter: number }> {
+  const storage = await getStorage();
+  const rateLimitKey = `ratelimit:${key}`;
+  // Create the window with its TTL in one call, so the counter can't be left
+  // without one, then count the hit in it
+  await storage.set(rateLimitKey, 0, { ttlSeconds: windowSeconds, nx: true });
+  const count = await storage.incr(rateLimitKey);
+  let ttl = await storage.ttl(rateLimitKey);
+  if (ttl === -1) {
+    // The window expired between the two calls and incr started a new one
+    await storage.expire(rateLimitKey, windowSeconds);
+    ttl = windowSeconds;
+  }
+  return { allowed: count <= limit, retryAfter: Math.max(ttl, 0) };
+}
@@ -0,0 +1,846 @@
+import { Redis as UpstashRedis } from "@upstash/redis";
+import type IORedis from "ioredis";
+import type BetterSqlite3 from "better-sqlite3";
+
+/**
+ * Key-value storage shared by kv.ts and the indexer. Values are anything
+ * JSON-serializable. Range arguments follow Redis: `stop` is inclusive and
+ * negative indexes count from the end.
+ *
+ * The backend is picked from the environment:
+ * - KV_REST_API_URL + KV_REST_API_TOKEN: Upstash Redis over REST
+ * - REDIS_URL: a standard Redis server
+ * - SQLITE_PATH: a SQLite file, for self-hosting and local runs
+ * - otherwise: process memory, lost on restart
+ * STORAGE_BACKEND (upstash, redis, sqlite or memory) forces a choice.
+ */
+export interface Storage {
+  get<T>(key: string): Promise<T | null>;
+  mget<T>(keys: string[]): Promise<(T | null)[]>;
+  // Returns false when `nx` is set and the key already exists
+  set<T>(key: string, value: T, options?: { ttlSeconds?: number; nx?: boolean }): Promise<boolean>;
+  del(...keys: string[]): Promise<void>;
+  incr(key: string): Promise<number>;
+  expire(key: string, seconds: number): Promise<void>;
+  // Seconds left, -1 without a TTL, -2 if the key doesn't exist
+  ttl(key: string): Promise<number>;
+
+  hget<T>(key: string, field: string): Promise<T | null>;
+  hset<T>(key: string, field: string, value: T): Promise<void>;
+  hdel(key: string, ...fields: string[]): Promise<void>;
+  hgetall<T>(key: string): Promise<Record<string, T>>;
+
+  lpush<T>(key: string, value: T): Promise<void>;
+  ltrim(key: string, start: number, stop: number): Promise<void>;
+  lrange<T>(key: string, start: number, stop: number): Promise<T[]>;
+  llen(key: string): Promise<number>;
+
+  zadd(key: string, entries: { score: number; member: string }[]): Promise<void>;
+  zrem(key: string, members: string[]): Promise<void>;
+  // By rank, lowest score first unless `rev`
+  zrange(key: string, start: number, stop: number, options?: { rev?: boolean }): Promise<string[]>;
+  zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    options?: { exclusiveMin?: boolean; offset?: number; count?: number }
+  ): Promise<string[]>;
+  zcard(key: string): Promise<number>;
+
+  // Every key starting with `prefix`
+  scan(prefix: string): Promise<string[]>;
+}
+
+export type StorageBackend = "upstash" | "redis" | "sqlite" | "memory";
+
+// Resolves Redis-style inclusive, possibly negative, ranges against a length.
+function resolveRange(length: number, start: number, stop: number): [number, number] {
+  const from = start < 0 ? Math.max(length + start, 0) : start;
+  const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  return [from, to];
+}
+
+class UpstashStorage implements Storage {
+  constructor(private redis: UpstashRedis) {}
+
+  async get<T>(key: string) {
+    return await this.redis.get<T>(key);
+  }
+
+  async mget<T>(keys: string[]) {
+    if (keys.length === 0) return [];
+    return await this.redis.mget<(T | null)[]>(...keys);
+  }
+
+  async set<T>(key: string, value: T, { ttlSeconds, nx }: { ttlSeconds?: number; nx?: boolean } = {}) {
+    const result = nx
+      ? await this.redis.set(key, value, ttlSeconds ? { ex: ttlSeconds, nx: true } : { nx: true })
+      : await this.redis.set(key, value, ttlSeconds ? { ex: ttlSeconds } : undefined);
+    return result !== null;
+  }
+
+  async del(...keys: string[]) {
+    if (keys.length > 0) await this.redis.del(...keys);
+  }
+
+  async incr(key: string) {
+    return await this.redis.incr(key);
+  }
+
+  async expire(key: string, seconds: number) {
+    await this.redis.expire(key, seconds);
+  }
+
+  async ttl(key: string) {
+    return await this.redis.ttl(key);
+  }
+
+  async hget<T>(key: string, field: string) {
+    return await this.redis.hget<T>(key, field);
+  }
+
+  async hset<T>(key: string, field: string, value: T) {
+    await this.redis.hset(key, { [field]: value });
+  }
+
+  async hdel(key: string, ...fields: string[]) {
+    if (fields.length > 0) await this.redis.hdel(key, ...fields);
+  }
+
+  async hgetall<T>(key: string) {
+    return (await this.redis.hgetall<Record<string, T>>(key)) ?? {};
+  }
+
+  async lpush<T>(key: string, value: T) {
+    await this.redis.lpush(key, value);
+  }
+
+  async ltrim(key: string, start: number, stop: number) {
+    await this.redis.ltrim(key, start, stop);
+  }
+
+  async lrange<T>(key: string, start: number, stop: number) {
+    return await this.redis.lrange<T>(key, start, stop);
+  }
+
+  async llen(key: string) {
+    return await this.redis.llen(key);
+  }
+
+  async zadd(key: string, entries: { score: number; member: string }[]) {
+    if (entries.length === 0) return;
+    const [first, ...rest] = entries;
+    await this.redis.zadd(key, first, ...rest);
+  }
+
+  async zrem(key: string, members: string[]) {
+    if (members.length > 0) await this.redis.zrem(key, ...members);
+  }
+
+  async zrange(key: string, start: number, stop: number, { rev }: { rev?: boolean } = {}) {
+    return await this.redis.zrange<string[]>(key, start, stop, rev ? { rev: true } : undefined);
+  }
+
+  async zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    { exclusiveMin, offset, count }: { exclusiveMin?: boolean; offset?: number; count?: number } = {}
+  ) {
+    const from = exclusiveMin ? (`(${min}` as const) : min;
+    const to = max === Infinity ? "+inf" : max;
+    return count === undefined
+      ? await this.redis.zrange<string[]>(key, from, to, { byScore: true })
+      : await this.redis.zrange<string[]>(key, from, to, { byScore: true, offset: offset ?? 0, count });
+  }
+
+  async zcard(key: string) {
+    return await this.redis.zcard(key);
+  }
+
+  async scan(prefix: string) {
+    const keys: string[] = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await this.redis.scan(cursor, { match: `${prefix}*`, count: 1000 });
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+}
+
+// Values are stored as JSON so they read back the way Upstash returns them.
+class RedisStorage implements Storage {
+  constructor(private redis: IORedis) {}
+
+  private decode<T>(value: string | null): T | null {
+    return value === null ? null : (JSON.parse(value) as T);
+  }
+
+  async get<T>(key: string) {
+    return this.decode<T>(await this.redis.get(key));
+  }
+
+  async mget<T>(keys: string[]) {
+    if (keys.length === 0) return [];
+    return (await this.redis.mget(...keys)).map((value) => this.decode<T>(value));
+  }
+
+  async set<T>(key: string, value: T, { ttlSeconds, nx }: { ttlSeconds?: number; nx?: boolean } = {}) {
+    const encoded = JSON.stringify(value);
+    let result;
+    if (ttlSeconds && nx) result = await this.redis.set(key, encoded, "EX", ttlSeconds, "NX");
+    else if (ttlSeconds) result = await this.redis.set(key, encoded, "EX", ttlSeconds);
+    else if (nx) result = await this.redis.set(key, encoded, "NX");
+    else result = await this.redis.set(key, encoded);
+    return result !== null;
+  }
+
+  async del(...keys: string[]) {
+    if (keys.length > 0) await this.redis.del(...keys);
+  }
+
+  async incr(key: string) {
+    return await this.redis.incr(key);
+  }
+
+  async expire(key: string, seconds: number) {
+    await this.redis.expire(key, seconds);
+  }
+
+  async ttl(key: string) {
+    return await this.redis.ttl(key);
+  }
+
+  async hget<T>(key: string, field: string) {
+    return this.decode<T>(await this.redis.hget(key, field));
+  }
+
+  async hset<T>(key: string, field: string, value: T) {
+    await this.redis.hset(key, field, JSON.stringify(value));
+  }
+
+  async hdel(key: string, ...fields: string[]) {
+    if (fields.length > 0) await this.redis.hdel(key, ...fields);
+  }
+
+  async hgetall<T>(key: string) {
+    const entries = Object.entries(await this.redis.hgetall(key));
+    return Object.fromEntries(entries.map(([field, value]) => [field, JSON.parse(value) as T]));
+  }
+
+  async lpush<T>(key: string, value: T) {
+    await this.redis.lpush(key, JSON.stringify(value));
+  }
+
+  async ltrim(key: string, start: number, stop: number) {
+    await this.redis.ltrim(key, start, stop);
+  }
+
+  async lrange<T>(key: string, start: number, stop: number) {
+    return (await this.redis.lrange(key, start, stop)).map((value) => JSON.parse(value) as T);
+  }
+
+  async llen(key: string) {
+    return await this.redis.llen(key);
+  }
+
+  async zadd(key: string, entries: { score: number; member: string }[]) {
+    if (entries.length === 0) return;
+    await this.redis.zadd(key, ...entries.flatMap(({ score, member }) => [score, member]));
+  }
+
+  async zrem(key: string, members: string[]) {
+    if (members.length > 0) await this.redis.zrem(key, ...members);
+  }
+
+  async zrange(key: string, start: number, stop: number, { rev }: { rev?: boolean } = {}) {
+    return rev ? await this.redis.zrevrange(key, start, stop) : await this.redis.zrange(key, start, stop);
+  }
+
+  async zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    { exclusiveMin, offset, count }: { exclusiveMin?: boolean; offset?: number; count?: number } = {}
+  ) {
+    const from = exclusiveMin ? `(${min}` : String(min);
+    const to = max === Infinity ? "+inf" : String(max);
+    return count === undefined
+      ? await this.redis.zrangebyscore(key, from, to)
+      : await this.redis.zrangebyscore(key, from, to, "LIMIT", offset ?? 0, count);
+  }
+
+  async zcard(key: string) {
+    return await this.redis.zcard(key);
+  }
+
+  async scan(prefix: string) {
+    const keys: string[] = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await this.redis.scan(cursor, "MATCH", `${prefix}*`, "COUNT", 1000);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+}
+
+// Values are kept as JSON so callers never share references with the store.
+class MemoryStorage implements Storage {
+  private strings = new Map<string, string>();
+  private hashes = new Map<string, Map<string, string>>();
+  private lists = new Map<string, string[]>();
+  private zsets = new Map<string, Map<string, number>>();
+  private expiries = new Map<string, number>();
+
+  // Drops `key` if its TTL has passed. Called before every access.
+  private purge(key: string) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) this.remove(key);
+  }
+
+  private remove(key: string) {
+    this.strings.delete(key);
+    this.hashes.delete(key);
+    this.lists.delete(key);
+    this.zsets.delete(key);
+    this.expiries.delete(key);
+  }
+
+  private exists(key: string) {
+    this.purge(key);
+    return this.strings.has(key) || this.hashes.has(key) || this.lists.has(key) || this.zsets.has(key);
+  }
+
+  private getOrCreate<V>(map: Map<string, V>, key: string, create: () => V): V {
+    this.purge(key);
+    let value = map.get(key);
+    if (value === undefined) {
+      value = create();
+      map.set(key, value);
+    }
+    return value;
+  }
+
+  async get<T>(key: string) {
+    this.purge(key);
+    const value = this.strings.get(key);
+    return value === undefined ? null : (JSON.parse(value) as T);
+  }
+
+  async mget<T>(keys: string[]) {
+    return Promise.all(keys.map((key) => this.get<T>(key)));
+  }
+
+  async set<T>(key: string, value: T, { ttlSeconds, nx }: { ttlSeconds?: number; nx?: boolean } = {}) {
+    if (nx && this.exists(key)) return false;
+    this.strings.set(key, JSON.stringify(value));
+    if (ttlSeconds) this.expiries.set(key, Date.now() + ttlSeconds * 1000);
+    else this.expiries.delete(key);
+    return true;
+  }
+
+  async del(...keys: string[]) {
+    keys.forEach((key) => this.remove(key));
+  }
+
+  async incr(key: string) {
+    const next = ((await this.get<number>(key)) ?? 0) + 1;
+    this.strings.set(key, JSON.stringify(next));
+    return next;
+  }
+
+  async expire(key: string, seconds: number) {
+    if (this.exists(key)) this.expiries.set(key, Date.now() + seconds * 1000);
+  }
+
+  async ttl(key: string) {
+    if (!this.exists(key)) return -2;
+    const expiresAt = this.expiries.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+
+  async hget<T>(key: string, field: string) {
+    this.purge(key);
+    const value = this.hashes.get(key)?.get(field);
+    return value === undefined ? null : (JSON.parse(value) as T);
+  }
+
+  async hset<T>(key: string, field: string, value: T) {
+    this.getOrCreate(this.hashes, key, () => new Map<string, string>()).set(field, JSON.stringify(value));
+  }
+
+  async hdel(key: string, ...fields: string[]) {
+    const hash = this.hashes.get(key);
+    for (const field of fields) hash?.delete(field);
+    if (hash?.size === 0) this.remove(key);
+  }
+
+  async hgetall<T>(key: string) {
+    this.purge(key);
+    const hash = this.hashes.get(key) ?? new Map<string, string>();
+    return Object.fromEntries([...hash].map(([field, value]) => [field, JSON.parse(value) as T]));
+  }
+
+  async lpush<T>(key: string, value: T) {
+    this.getOrCreate(this.lists, key, () => [] as string[]).unshift(JSON.stringify(value));
+  }
+
+  async ltrim(key: string, start: number, stop: number) {
+    this.purge(key);
+    const list = this.lists.get(key);
+    if (!list) return;
+    const [from, to] = resolveRange(list.length, start, stop);
+    list.splice(0, list.length, ...list.slice(from, to + 1));
+    if (list.length === 0) this.remove(key);
+  }
+
+  async lrange<T>(key: string, start: number, stop: number) {
+    this.purge(key);
+    const list = this.lists.get(key) ?? [];
+    const [from, to] = resolveRange(list.length, start, stop);
+    return list.slice(from, to + 1).map((value) => JSON.parse(value) as T);
+  }
+
+  async llen(key: string) {
+    this.purge(key);
+    return this.lists.get(key)?.length ?? 0;
+  }
+
+  async zadd(key: string, entries: { score: number; member: string }[]) {
+    if (entries.length === 0) return;
+    const zset = this.getOrCreate(this.zsets, key, () => new Map<string, number>());
+    for (const { score, member } of entries) zset.set(member, score);
+  }
+
+  async zrem(key: string, members: string[]) {
+    const zset = this.zsets.get(key);
+    for (const member of members) zset?.delete(member);
+    if (zset?.size === 0) this.remove(key);
+  }
+
+  // Lowest score first, ties broken by member like Redis does.
+  private sorted(key: string): [string, number][] {
+    this.purge(key);
+    return [...(this.zsets.get(key) ?? new Map<string, number>())].sort(
+      ([memberA, a], [memberB, b]) => a - b || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0)
+    );
+  }
+
+  async zrange(key: string, start: number, stop: number, { rev }: { rev?: boolean } = {}) {
+    const members = this.sorted(key).map(([member]) => member);
+    if (rev) members.reverse();
+    const [from, to] = resolveRange(members.length, start, stop);
+    return members.slice(from, to + 1);
+  }
+
+  async zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    { exclusiveMin, offset = 0, count }: { exclusiveMin?: boolean; offset?: number; count?: number } = {}
+  ) {
+    const members = this.sorted(key)
+      .filter(([, score]) => (exclusiveMin ? score > min : score >= min) && score <= max)
+      .map(([member]) => member);
+    return members.slice(offset, count === undefined ? undefined : offset + count);
+  }
+
+  async zcard(key: string) {
+    this.purge(key);
+    return this.zsets.get(key)?.size ?? 0;
+  }
+
+  async scan(prefix: string) {
+    const keys = new Set([
+      ...this.strings.keys(),
+      ...this.hashes.keys(),
+      ...this.lists.keys(),
+      ...this.zsets.keys(),
+    ]);
+    return [...keys].filter((key) => key.startsWith(prefix) && this.exists(key));
+  }
+}
+
+const sqliteSchema = `
+  CREATE TABLE IF NOT EXISTS strings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS hashes (key TEXT NOT NULL, field TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (key, field));
+  CREATE TABLE IF NOT EXISTS lists (key TEXT NOT NULL, position INTEGER NOT NULL, value TEXT NOT NULL, PRIMARY KEY (key, position));
+  CREATE TABLE IF NOT EXISTS zsets (key TEXT NOT NULL, member TEXT NOT NULL, score REAL NOT NULL, PRIMARY KEY (key, member));
+  CREATE INDEX IF NOT EXISTS zsets_score ON zsets (key, score, member);
+  CREATE TABLE IF NOT EXISTS expiries (key TEXT PRIMARY KEY, expires_at INTEGER NOT NULL);
+`;
+
+const sqliteTables = ["strings", "hashes", "lists", "zsets"] as const;
+
+class SqliteStorage implements Storage {
+  constructor(private db: BetterSqlite3.Database) {
+    db.pragma("journal_mode = WAL");
+    db.exec(sqliteSchema);
+  }
+
+  // Drops `key` if its TTL has passed. Called before every access.
+  private purge(key: string) {
+    const row = this.db.prepare("SELECT expires_at FROM expiries WHERE key = ?").get(key) as
+      | { expires_at: number }
+      | undefined;
+    if (row && row.expires_at <= Date.now()) this.remove(key);
+  }
+
+  private remove(key: string) {
+    for (const table of sqliteTables) {
+      this.db.prepare(`DELETE FROM ${table} WHERE key = ?`).run(key);
+    }
+    this.db.prepare("DELETE FROM expiries WHERE key = ?").run(key);
+  }
+
+  private exists(key: string) {
+    this.purge(key);
+    return sqliteTables.some((table) => !!this.db.prepare(`SELECT 1 FROM ${table} WHERE key = ? LIMIT 1`).get(key));
+  }
+
+  // Drops the TTL of a key whose last element was just removed, so a key
+  // recreated later doesn't inherit it.
+  private removeIfEmpty(key: string) {
+    if (!this.exists(key)) this.remove(key);
+  }
+
+  async get<T>(key: string) {
+    this.purge(key);
+    const row = this.db.prepare("SELECT value FROM strings WHERE key = ?").get(key) as { value: string } | undefined;
+    return row ? (JSON.parse(row.value) as T) : null;
+  }
+
+  async mget<T>(keys: string[]) {
+    return Promise.all(keys.map((key) => this.get<T>(key)));
+  }
+
+  async set<T>(key: string, value: T, { ttlSeconds, nx }: { ttlSeconds?: number; nx?: boolean } = {}) {
+    return this.db.transaction(() => {
+      if (nx && this.exists(key)) return false;
+      this.db.prepare("INSERT OR REPLACE INTO strings (key, value) VALUES (?, ?)").run(key, JSON.stringify(value));
+      if (ttlSeconds) {
+        this.db
+          .prepare("INSERT OR REPLACE INTO expiries (key, expires_at) VALUES (?, ?)")
+          .run(key, Date.now() + ttlSeconds * 1000);
+      } else {
+        this.db.prepare("DELETE FROM expiries WHERE key = ?").run(key);
+      }
+      return true;
+    })();
+  }
+
+  async del(...keys: string[]) {
+    this.db.transaction(() => keys.forEach((key) => this.remove(key)))();
+  }
+
+  async incr(key: string) {
+    return this.db.transaction(() => {
+      this.purge(key);
+      const row = this.db.prepare("SELECT value FROM strings WHERE key = ?").get(key) as { value: string } | undefined;
+      const next = (row ? Number(JSON.parse(row.value)) : 0) + 1;
+      this.db.prepare("INSERT OR REPLACE INTO strings (key, value) VALUES (?, ?)").run(key, JSON.stringify(next));
+      return next;
+    })();
+  }
+
+  async expire(key: string, seconds: number) {
+    if (!this.exists(key)) return;
+    this.db
+      .prepare("INSERT OR REPLACE INTO expiries (key, expires_at) VALUES (?, ?)")
+      .run(key, Date.now() + seconds * 1000);
+  }
+
+  async ttl(key: string) {
+    if (!this.exists(key)) return -2;
+    const row = this.db.prepare("SELECT expires_at FROM expiries WHERE key = ?").get(key) as
+      | { expires_at: number }
+      | undefined;
+    return row ? Math.ceil((row.expires_at - Date.now()) / 1000) : -1;
+  }
+
+  async hget<T>(key: string, field: string) {
+    this.purge(key);
+    const row = this.db.prepare("SELECT value FROM hashes WHERE key = ? AND field = ?").get(key, field) as
+      | { value: string }
+      | undefined;
+    return row ? (JSON.parse(row.value) as T) : null;
+  }
+
+  async hset<T>(key: string, field: string, value: T) {
+    this.purge(key);
+    this.db
+      .prepare("INSERT OR REPLACE INTO hashes (key, field, value) VALUES (?, ?, ?)")
+      .run(key, field, JSON.stringify(value));
+  }
+
+  async hdel(key: string, ...fields: string[]) {
+    const statement = this.db.prepare("DELETE FROM hashes WHERE key = ? AND field = ?");
+    this.db.transaction(() => {
+      fields.forEach((field) => statement.run(key, field));
+      this.removeIfEmpty(key);
+    })();
+  }
+
+  async hgetall<T>(key: string) {
+    this.purge(key);
+    const rows = this.db.prepare("SELECT field, value FROM hashes WHERE key = ?").all(key) as {
+      field: string;
+      value: string;
+    }[];
+    return Object.fromEntries(rows.map(({ field, value }) => [field, JSON.parse(value) as T]));
+  }
+
+  // Lists are ordered by `position`; pushing to the head takes one below the lowest.
+  async lpush<T>(key: string, value: T) {
+    this.db.transaction(() => {
+      this.purge(key);
+      const row = this.db.prepare("SELECT MIN(position) AS head FROM lists WHERE key = ?").get(key) as {
+        head: number | null;
+      };
+      this.db
+        .prepare("INSERT INTO lists (key, position, value) VALUES (?, ?, ?)")
+        .run(key, (row.head ?? 0) - 1, JSON.stringify(value));
+    })();
+  }
+
+  async ltrim(key: string, start: number, stop: number) {
+    const [from, to] = resolveRange(await this.llen(key), start, stop);
+    this.db
+      .prepare(
+        `DELETE FROM lists WHERE key = ? AND position NOT IN (
+          SELECT position FROM lists WHERE key = ? ORDER BY position LIMIT ? OFFSET ?
+        )`
+      )
+      .run(key, key, Math.max(to - from + 1, 0), from);
+    this.removeIfEmpty(key);
+  }
+
+  async lrange<T>(key: string, start: number, stop: number) {
+    const [from, to] = resolveRange(await this.llen(key), start, stop);
+    if (to < from) return [];
+    const rows = this.db
+      .prepare("SELECT value FROM lists WHERE key = ? ORDER BY position LIMIT ? OFFSET ?")
+      .all(key, to - from + 1, from) as { value: string }[];
+    return rows.map(({ value }) => JSON.parse(value) as T);
+  }
+
+  async llen(key: string) {
+    this.purge(key);
+    return (this.db.prepare("SELECT COUNT(*) AS count FROM lists WHERE key = ?").get(key) as { count: number }).count;
+  }
+
+  async zadd(key: string, entries: { score: number; member: string }[]) {
+    this.purge(key);
+    const statement = this.db.prepare("INSERT OR REPLACE INTO zsets (key, member, score) VALUES (?, ?, ?)");
+    this.db.transaction(() => entries.forEach(({ score, member }) => statement.run(key, member, score)))();
+  }
+
+  async zrem(key: string, members: string[]) {
+    const statement = this.db.prepare("DELETE FROM zsets WHERE key = ? AND member = ?");
+    this.db.transaction(() => {
+      members.forEach((member) => statement.run(key, member));
+      this.removeIfEmpty(key);
+    })();
+  }
+
+  async zrange(key: string, start: number, stop: number, { rev }: { rev?: boolean } = {}) {
+    const [from, to] = resolveRange(await this.zcard(key), start, stop);
+    if (to < from) return [];
+    const order = rev ? "score DESC, member DESC" : "score, member";
+    const rows = this.db
+      .prepare(`SELECT member FROM zsets WHERE key = ? ORDER BY ${order} LIMIT ? OFFSET ?`)
+      .all(key, to - from + 1, from) as { member: string }[];
+    return rows.map(({ member }) => member);
+  }
+
+  async zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    { exclusiveMin, offset = 0, count = -1 }: { exclusiveMin?: boolean; offset?: number; count?: number } = {}
+  ) {
+    this.purge(key);
+    const rows = this.db
+      .prepare(
+        `SELECT member FROM zsets WHERE key = ? AND score ${exclusiveMin ? ">" : ">="} ? AND score <= ?
+         ORDER BY score, member LIMIT ? OFFSET ?`
+      )
+      .all(key, min, max === Infinity ? Number.MAX_VALUE : max, count, offset) as { member: string }[];
+    return rows.map(({ member }) => member);
+  }
+
+  async zcard(key: string) {
+    this.purge(key);
+    return (this.db.prepare("SELECT COUNT(*) AS count FROM zsets WHERE key = ?").get(key) as { count: number }).count;
+  }
+
+  async scan(prefix: string) {
+    const pattern = `${prefix.replace(/[\\%_]/g, "\\$&")}%`;
+    const keys = new Set<string>();
+    for (const table of sqliteTables) {
+      const rows = this.db
+        .prepare(`SELECT DISTINCT key FROM ${table} WHERE key LIKE ? ESCAPE '\\'`)
+        .all(pattern) as { key: string }[];
+      rows.forEach(({ key }) => keys.add(key));
+    }
+    return [...keys].filter((key) => this.exists(key));
+  }
+}
+
+/**
+ * Prefixes every key with `namespace:`, so several frames (or the tests)
+ * can share one backend.
+ */
+class NamespacedStorage implements Storage {
+  constructor(private storage: Storage, private namespace: string) {}
+
+  private key(key: string) {
+    return `${this.namespace}:${key}`;
+  }
+
+  get<T>(key: string) {
+    return this.storage.get<T>(this.key(key));
+  }
+
+  mget<T>(keys: string[]) {
+    return this.storage.mget<T>(keys.map((key) => this.key(key)));
+  }
+
+  set<T>(key: string, value: T, options?: { ttlSeconds?: number; nx?: boolean }) {
+    return this.storage.set(this.key(key), value, options);
+  }
+
+  del(...keys: string[]) {
+    return this.storage.del(...keys.map((key) => this.key(key)));
+  }
+
+  incr(key: string) {
+    return this.storage.incr(this.key(key));
+  }
+
+  expire(key: string, seconds: number) {
+    return this.storage.expire(this.key(key), seconds);
+  }
+
+  ttl(key: string) {
+    return this.storage.ttl(this.key(key));
+  }
+
+  hget<T>(key: string, field: string) {
+    return this.storage.hget<T>(this.key(key), field);
+  }
+
+  hset<T>(key: string, field: string, value: T) {
+    return this.storage.hset(this.key(key), field, value);
+  }
+
+  hdel(key: string, ...fields: string[]) {
+    return this.storage.hdel(this.key(key), ...fields);
+  }
+
+  hgetall<T>(key: string) {
+    return this.storage.hgetall<T>(this.key(key));
+  }
+
+  lpush<T>(key: string, value: T) {
+    return this.storage.lpush(this.key(key), value);
+  }
+
+  ltrim(key: string, start: number, stop: number) {
+    return this.storage.ltrim(this.key(key), start, stop);
+  }
+
+  lrange<T>(key: string, start: number, stop: number) {
+    return this.storage.lrange<T>(this.key(key), start, stop);
+  }
+
+  llen(key: string) {
+    return this.storage.llen(this.key(key));
+  }
+
+  zadd(key: string, entries: { score: number; member: string }[]) {
+    return this.storage.zadd(this.key(key), entries);
+  }
+
+  zrem(key: string, members: string[]) {
+    return this.storage.zrem(this.key(key), members);
+  }
+
+  zrange(key: string, start: number, stop: number, options?: { rev?: boolean }) {
+    return this.storage.zrange(this.key(key), start, stop, options);
+  }
+
+  zrangeByScore(
+    key: string,
+    min: number,
+    max: number,
+    options?: { exclusiveMin?: boolean; offset?: number; count?: number }
+  ) {
+    return this.storage.zrangeByScore(this.key(key), min, max, options);
+  }
+
+  zcard(key: string) {
+    return this.storage.zcard(this.key(key));
+  }
+
+  async scan(prefix: string) {
+    const keys = await this.storage.scan(this.key(prefix));
+    return keys.map((key) => key.slice(this.namespace.length + 1));
+  }
+}
+
+function getStorageBackend(): StorageBackend {
+  const backend = process.env.STORAGE_BACKEND as StorageBackend | undefined;
+  if (backend) return backend;
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) return "upstash";
+  if (process.env.REDIS_URL) return "redis";
+  if (process.env.SQLITE_PATH) return "sqlite";
+  return "memory";
+}
+
+/**
+ * A new, un-namespaced instance of `backend`, configured from the
+ * environment. Most code wants getStorage().
+ */
+export async function createStorage(backend: StorageBackend): Promise<Storage> {
+  switch (backend) {
+    case "upstash":
+      return new UpstashStorage(
+        new UpstashRedis({
+          url: process.env.KV_REST_API_URL!,
+          token: process.env.KV_REST_API_TOKEN!,
+        })
+      );
+    case "redis": {
+      const { default: Redis } = await import("ioredis");
+      return new RedisStorage(new Redis(process.env.REDIS_URL!));
+    }
+    case "sqlite": {
+      // Optional dependency, only loaded when SQLite is actually used
+      const { default: Database } = await import("better-sqlite3");
+      return new SqliteStorage(new Database(process.env.SQLITE_PATH || "farsale.db"));
+    }
+    case "memory":
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+let storage: Promise<Storage> | null = null;
+
+/**
+ * The configured backend, namespaced by NEXT_PUBLIC_FRAME_NAME.
+ */
+export function getStorage(): Promise<Storage> {
+  if (!storage) {
+    storage = createStorage(getStorageBackend()).then(
+      (backend) => new NamespacedStorage(backend, process.env.NEXT_PUBLIC_FRAME_NAME ?? "")
+    );
+  }
+  return storage;
+}
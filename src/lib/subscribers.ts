@@ -0,0 +1,204 @@
+import { getNeynarClient } from "./neynar";
+import { getStorage } from "./storage";
+
+export interface WebhookEventRecord {
+  fid: number;
+  // FID of the Farcaster client that sent the event, and the app key it signed with
+  appFid: number | null;
+  appKey: string | null;
+  event: "frame_added" | "frame_removed" | "notifications_enabled" | "notifications_disabled";
+  hasNotificationDetails: boolean;
+  timestamp: number;
+  source: "webhook" | "neynar_sync";
+}
+
+export interface SubscriberState {
+  fid: number;
+  // appFid for webhook events; the notification url's host for Neynar syncs
+  client: string;
+  added: boolean;
+  notificationsEnabled: boolean;
+  updatedAt: number;
+}
+
+// How many webhook events are kept in each log
+const WEBHOOK_LOG_LIMIT = 10_000;
+
+function getWebhookEventsKey(fid?: number): string {
+  return fid === undefined ? "webhook:events" : `webhook:fid:${fid}`;
+}
+
+const subscribersKey = "subscribers";
+
+export async function recordWebhookEvent(record: WebhookEventRecord): Promise<void> {
+  const storage = await getStorage();
+  for (const key of [getWebhookEventsKey(), getWebhookEventsKey(record.fid)]) {
+    await storage.lpush(key, record);
+    await storage.ltrim(key, 0, WEBHOOK_LOG_LIMIT - 1);
+  }
+}
+
+/**
+ * Recorded webhook events, newest first, optionally for one FID.
+ */
+export async function getWebhookEvents({
+  fid,
+  offset = 0,
+  limit = 50,
+}: { fid?: number; offset?: number; limit?: number } = {}): Promise<{
+  events: WebhookEventRecord[];
+  total: number;
+}> {
+  const storage = await getStorage();
+  const key = getWebhookEventsKey(fid);
+  const [events, total] = await Promise.all([
+    storage.lrange<WebhookEventRecord>(key, offset, offset + limit - 1),
+    storage.llen(key),
+  ]);
+  return { events, total };
+}
+
+const getSubscriberField = (fid: number, client: string) => `${fid}:${client}`;
+
+async function setSubscriberState(state: SubscriberState): Promise<void> {
+  const storage = await getStorage();
+  await storage.hset(subscribersKey, getSubscriberField(state.fid, state.client), state);
+}
+
+async function getSubscriberState(fid: number, client: string): Promise<SubscriberState | null> {
+  const storage = await getStorage();
+  return await storage.hget<SubscriberState>(subscribersKey, getSubscriberField(fid, client));
+}
+
+async function getSubscriberStates(): Promise<SubscriberState[]> {
+  const storage = await getStorage();
+  return Object.values(await storage.hgetall<SubscriberState>(subscribersKey));
+}
+
+/**
+ * The app key a webhook payload was signed with, read from its JSON
+ * Farcaster Signature header.
+ */
+export function getWebhookAppKey(requestJson: unknown): string | null {
+  try {
+    const { header } = requestJson as { header: string };
+    const { key } = JSON.parse(Buffer.from(header, "base64url").toString("utf-8"));
+    return typeof key === "string" ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Logs a verified webhook event and updates that client's subscriber state.
+ */
+export async function applyWebhookEvent({
+  fid,
+  appFid,
+  appKey,
+  event,
+  hasNotificationDetails,
+}: Omit<WebhookEventRecord, "timestamp" | "source">): Promise<void> {
+  const timestamp = Date.now();
+  await recordWebhookEvent({
+    fid,
+    appFid,
+    appKey,
+    event,
+    hasNotificationDetails,
+    timestamp,
+    source: "webhook",
+  });
+
+  const client = String(appFid);
+  const current = await getSubscriberState(fid, client);
+  let added = !!current?.added;
+  let notificationsEnabled = !!current?.notificationsEnabled;
+  switch (event) {
+    case "frame_added":
+      added = true;
+      notificationsEnabled = hasNotificationDetails;
+      break;
+    case "frame_removed":
+      added = false;
+      notificationsEnabled = false;
+      break;
+    case "notifications_enabled":
+      notificationsEnabled = true;
+      break;
+    case "notifications_disabled":
+      notificationsEnabled = false;
+      break;
+  }
+
+  await setSubscriberState({ fid, client, added, notificationsEnabled, updatedAt: timestamp });
+}
+
+export async function getSubscriberCounts() {
+  const states = await getSubscriberStates();
+  const fidsWhere = (predicate: (state: SubscriberState) => boolean) =>
+    new Set(states.filter(predicate).map((state) => state.fid)).size;
+
+  const byClient: Record<string, { added: number; notificationsEnabled: number }> = {};
+  for (const state of states) {
+    const counts = (byClient[state.client] ??= { added: 0, notificationsEnabled: 0 });
+    if (state.added) counts.added++;
+    if (state.notificationsEnabled) counts.notificationsEnabled++;
+  }
+
+  return {
+    added: fidsWhere((state) => state.added),
+    notificationsEnabled: fidsWhere((state) => state.notificationsEnabled),
+    byClient,
+  };
+}
+
+/**
+ * Neynar receives the webhook events when it manages notifications, so this
+ * pulls its notification tokens instead and records any change. Neynar only
+ * reports tokens, so a disabled token counts as no longer subscribed.
+ */
+export async function syncNeynarSubscribers(): Promise<{ synced: number; changed: number }> {
+  const client = getNeynarClient();
+  const states = new Map(
+    (await getSubscriberStates()).map((state) => [`${state.fid}:${state.client}`, state])
+  );
+  let cursor: string | undefined;
+  let synced = 0;
+  let changed = 0;
+
+  do {
+    const response = await client.fetchNotificationTokens({ limit: 100, cursor });
+    for (const token of response.notification_tokens) {
+      if (!token.fid || !token.url) continue;
+      synced++;
+
+      const clientHost = new URL(token.url).host;
+      const enabled = token.status === "enabled";
+      const current = states.get(`${token.fid}:${clientHost}`);
+      if (current && current.added === enabled && current.notificationsEnabled === enabled) continue;
+
+      const timestamp = token.updated_at ? Date.parse(token.updated_at) : Date.now();
+      await setSubscriberState({
+        fid: token.fid,
+        client: clientHost,
+        added: enabled,
+        notificationsEnabled: enabled,
+        updatedAt: timestamp,
+      });
+      await recordWebhookEvent({
+        fid: token.fid,
+        appFid: null,
+        appKey: null,
+        event: enabled ? "notifications_enabled" : "notifications_disabled",
+        hasNotificationDetails: enabled,
+        timestamp,
+        source: "neynar_sync",
+      });
+      changed++;
+    }
+    cursor = response.next.cursor ?? undefined;
+  } while (cursor);
+
+  return { synced, changed };
+}
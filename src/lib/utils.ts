@@ -1,23 +1,38 @@
 import { type ClassValue, clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
-import { mnemonicToAccount } from 'viem/accounts';
+import {
+  createFrameMetadata,
+  type FrameMetadata,
+  getWebhookUrl,
+  verifyAccountAssociation,
+} from './manifest';
 
-interface FrameMetadata {
-  accountAssociation?: {
-    header: string;
-    payload: string;
-    signature: string;
-  };
-  frame: {
-    version: string;
-    name: string;
-    iconUrl: string;
-    homeUrl: string;
-    imageUrl: string;
-    buttonTitle: string;
-    splashImageUrl: string;
-    splashBackgroundColor: string;
-    webhookUrl: string;
+// Embed shown when a frame URL is shared in a cast. `url` is what the
+// launch button opens, so it can deep link into the frame.
+export function getFrameEmbedMetadata({
+  imageUrl,
+  buttonTitle,
+  url,
+}: {
+  imageUrl: string;
+  buttonTitle?: string;
+  url: string;
+}) {
+  const appUrl = process.env.NEXT_PUBLIC_URL;
+  return {
+    version: "next",
+    imageUrl,
+    button: {
+      title: buttonTitle,
+      action: {
+        type: "launch_frame",
+        name: process.env.NEXT_PUBLIC_FRAME_NAME,
+        url,
+        splashImageUrl: `${appUrl}/splash.png`,
+        iconUrl: `${appUrl}/icon.png`,
+        splashBackgroundColor: "#f7f7f7",
+      },
+    },
   };
 }
 
@@ -25,30 +40,28 @@ export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs));
 }
 
-export function getSecretEnvVars() {
-  const seedPhrase = process.env.SEED_PHRASE;
-  const fid = process.env.FID;
-  
-  if (!seedPhrase || !fid) {
-    return null;
-  }
-
-  return { seedPhrase, fid };
-}
-
 export async function getFarcasterMetadata(): Promise<FrameMetadata> {
+  const appUrl = process.env.NEXT_PUBLIC_URL;
+
   // First check for FRAME_METADATA in .env and use that if it exists
   if (process.env.FRAME_METADATA) {
     try {
-      const metadata = JSON.parse(process.env.FRAME_METADATA);
+      const metadata: FrameMetadata = JSON.parse(process.env.FRAME_METADATA);
       console.log('Using pre-signed frame metadata from environment');
+      // Still served, but clients won't accept a manifest signed for another domain
+      const { valid, errors } = await verifyAccountAssociation(metadata.accountAssociation, {
+        domain: appUrl ? new URL(appUrl).hostname : undefined,
+        fid: process.env.FID ? parseInt(process.env.FID) : undefined,
+      });
+      if (!valid) {
+        console.warn('FRAME_METADATA failed verification:', errors.join('; '));
+      }
       return metadata;
     } catch (error) {
       console.warn('Failed to parse FRAME_METADATA from environment:', error);
     }
   }
 
-  const appUrl = process.env.NEXT_PUBLIC_URL;
   if (!appUrl) {
     throw new Error('NEXT_PUBLIC_URL not configured');
   }
@@ -57,60 +70,19 @@ export async function getFarcasterMetadata(): Promise<FrameMetadata> {
   const domain = new URL(appUrl).hostname;
   console.log('Using domain for manifest:', domain);
 
-  const secretEnvVars = getSecretEnvVars();
-  if (!secretEnvVars) {
-    console.warn('No seed phrase or FID found in environment variables -- generating unsigned metadata');
-  }
-
-  let accountAssociation;
-  if (secretEnvVars) {
-    // Generate account from seed phrase
-    const account = mnemonicToAccount(secretEnvVars.seedPhrase);
-    const custodyAddress = account.address;
-
-    const header = {
-      fid: parseInt(secretEnvVars.fid),
-      type: 'custody',
-      key: custodyAddress,
-    };
-    const encodedHeader = Buffer.from(JSON.stringify(header), 'utf-8').toString('base64');
+  // The server never holds a custody key. A signed manifest comes from
+  // FRAME_METADATA, written by `npm run build` or the deploy script with one
+  // of their signers.
+  console.warn('No FRAME_METADATA in environment variables -- generating unsigned metadata');
 
-    const payload = {
-      domain
-    };
-    const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf-8').toString('base64url');
-
-    const signature = await account.signMessage({ 
-      message: `${encodedHeader}.${encodedPayload}`
-    });
-    const encodedSignature = Buffer.from(signature, 'utf-8').toString('base64url');
-
-    accountAssociation = {
-      header: encodedHeader,
-      payload: encodedPayload,
-      signature: encodedSignature
-    };
-  }
-
-  // Determine webhook URL based on whether Neynar is enabled
-  const neynarApiKey = process.env.NEYNAR_API_KEY;
-  const neynarClientId = process.env.NEYNAR_CLIENT_ID;
-  const webhookUrl = neynarApiKey && neynarClientId 
-    ? `https://api.neynar.com/f/app/${neynarClientId}/event`
-    : `${appUrl}/api/webhook`;
-
-  return {
-    accountAssociation,
-    frame: {
-      version: "1",
-      name: process.env.NEXT_PUBLIC_FRAME_NAME || "Frames v2 Demo",
-      iconUrl: `${appUrl}/icon.png`,
-      homeUrl: appUrl,
-      imageUrl: `${appUrl}/opengraph-image`,
-      buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT || "Launch Frame",
-      splashImageUrl: `${appUrl}/splash.png`,
-      splashBackgroundColor: "#f7f7f7",
-      webhookUrl,
-    },
-  };
+  return createFrameMetadata({
+    appUrl,
+    name: process.env.NEXT_PUBLIC_FRAME_NAME || "Frames v2 Demo",
+    buttonTitle: process.env.NEXT_PUBLIC_FRAME_BUTTON_TEXT || "Launch Frame",
+    webhookUrl: getWebhookUrl({
+      appUrl,
+      neynarApiKey: process.env.NEYNAR_API_KEY,
+      neynarClientId: process.env.NEYNAR_CLIENT_ID,
+    }),
+  });
 }
@@ -0,0 +1,25 @@
+// Message a wallet signs to prove it belongs to a Farcaster user. Shared by
+// the frame, which asks the connected wallet to sign it, and the API route
+// that checks the signature.
+
+// Signed link requests are only accepted for this long.
+export const WALLET_LINK_MAX_AGE_MS = 10 * 60 * 1000;
+
+export function getWalletLinkMessage({
+  fid,
+  address,
+  issuedAt,
+}: {
+  fid: number;
+  address: string;
+  issuedAt: number;
+}): string {
+  const domain = process.env.NEXT_PUBLIC_URL ? new URL(process.env.NEXT_PUBLIC_URL).hostname : "localhost";
+  return [
+    `${domain} wants to link your wallet to your Farcaster account.`,
+    "",
+    `Wallet: ${address.toLowerCase()}`,
+    `FID: ${fid}`,
+    `Issued at: ${new Date(issuedAt).toISOString()}`,
+  ].join("\n");
+}
@@ -0,0 +1,189 @@
+import { type Address, type Hex } from "viem";
+
+import { getPublicClient } from "./chain";
+import { getFidsForAddresses, getNeynarClient } from "./neynar";
+import { getStorage } from "./storage";
+import { getWalletLinkMessage, WALLET_LINK_MAX_AGE_MS } from "./walletLink";
+
+export type WalletLinkSource = "siwf" | "neynar" | "frame";
+
+export interface WalletLink {
+  fid: number;
+  address: string;
+  source: WalletLinkSource;
+  linkedAt: number;
+}
+
+function getFidWalletsKey(fid: number): string {
+  return `fid:${fid}:wallets`;
+}
+
+function getWalletFidsKey(address: string): string {
+  return `wallet:${address.toLowerCase()}:fids`;
+}
+
+async function getLinks(key: string): Promise<WalletLink[]> {
+  const storage = await getStorage();
+  return Object.values(await storage.hgetall<WalletLink>(key));
+}
+
+/**
+ * Records that `fid` controls `address`. Both directions are indexed so
+ * either side can be looked up.
+ */
+export async function setWalletLink(
+  fid: number,
+  address: string,
+  source: WalletLinkSource
+): Promise<void> {
+  const storage = await getStorage();
+  const link = { fid, address: address.toLowerCase(), source, linkedAt: Date.now() };
+  await storage.hset(getFidWalletsKey(fid), link.address, link);
+  await storage.hset(getWalletFidsKey(address), String(fid), link);
+}
+
+async function deleteWalletLink(fid: number, address: string): Promise<void> {
+  const storage = await getStorage();
+  await storage.hdel(getFidWalletsKey(fid), address.toLowerCase());
+  await storage.hdel(getWalletFidsKey(address), String(fid));
+}
+
+export async function getWalletLinksForFid(fid: number): Promise<WalletLink[]> {
+  return getLinks(getFidWalletsKey(fid));
+}
+
+async function getWalletLinksForAddress(address: string): Promise<WalletLink[]> {
+  return getLinks(getWalletFidsKey(address));
+}
+
+function getWalletLookupKey(address: string): string {
+  return `wallet:${address.toLowerCase()}:lookup`;
+}
+
+/**
+ * Whether `address` was looked up through Neynar within the last
+ * `markWalletLookedUp` TTL.
+ */
+async function isWalletLookupFresh(address: string): Promise<boolean> {
+  const storage = await getStorage();
+  return (await storage.get<number>(getWalletLookupKey(address))) !== null;
+}
+
+async function markWalletLookedUp(address: string, ttlSeconds: number): Promise<void> {
+  const storage = await getStorage();
+  await storage.set(getWalletLookupKey(address), Date.now(), { ttlSeconds });
+}
+
+/**
+ * Replaces the Neynar-sourced links for `fid` with its current verified
+ * addresses. Returns those addresses, lowercased.
+ */
+export async function syncVerifiedAddresses(fid: number): Promise<string[]> {
+  const { users } = await getNeynarClient().fetchBulkUsers({ fids: [fid] });
+  const addresses = (users[0]?.verified_addresses.eth_addresses ?? []).map((address) =>
+    address.toLowerCase()
+  );
+
+  for (const link of await getWalletLinksForFid(fid)) {
+    if (link.source === "neynar" && !addresses.includes(link.address)) {
+      await deleteWalletLink(fid, link.address);
+    }
+  }
+  for (const address of addresses) {
+    await setWalletLink(fid, address, "neynar");
+  }
+  return addresses;
+}
+
+// How long Neynar verified addresses are trusted before an address is looked
+// up again
+const WALLET_LOOKUP_TTL_SECONDS = 60 * 60;
+
+/**
+ * Replaces the Neynar-sourced links to `address` with the FIDs that verified
+ * it. Links made by signature are kept as they are.
+ */
+async function refreshVerifiedFids(address: string, links: WalletLink[], verifiedFids: number[]) {
+  for (const link of links) {
+    if (link.source === "neynar" && !verifiedFids.includes(link.fid)) {
+      await deleteWalletLink(link.fid, address);
+    }
+  }
+  for (const fid of verifiedFids) {
+    if (!links.some((link) => link.fid === fid && link.source !== "neynar")) {
+      await setWalletLink(fid, address, "neynar");
+    }
+  }
+  await markWalletLookedUp(address, WALLET_LOOKUP_TTL_SECONDS);
+}
+
+/**
+ * Maps each address (lowercased) to the FIDs linked to it. Addresses not
+ * looked up through Neynar within the last hour are looked up again, when
+ * configured, so FIDs verifying an address someone else linked by signature
+ * are found too and removed verifications are dropped.
+ */
+export async function resolveFids(addresses: readonly string[]): Promise<Map<string, number[]>> {
+  const unique = [...new Set(addresses.map((address) => address.toLowerCase()))];
+
+  if (process.env.NEYNAR_API_KEY) {
+    const stale: string[] = [];
+    for (const address of unique) {
+      if (!(await isWalletLookupFresh(address))) {
+        stale.push(address);
+      }
+    }
+
+    if (stale.length > 0) {
+      try {
+        const verified = await getFidsForAddresses(stale);
+        for (const address of stale) {
+          await refreshVerifiedFids(address, await getWalletLinksForAddress(address), verified.get(address) ?? []);
+        }
+      } catch (error) {
+        console.error("Failed to look up verified addresses:", error);
+      }
+    }
+  }
+
+  const fids = new Map<string, number[]>();
+  for (const address of unique) {
+    const links = await getWalletLinksForAddress(address);
+    if (links.length > 0) {
+      fids.set(address, links.map((link) => link.fid));
+    }
+  }
+  return fids;
+}
+
+/**
+ * Links a wallet connected in the frame after checking it signed the
+ * message from `getWalletLinkMessage`. Smart contract wallets are supported
+ * through the chain's ERC-1271/6492 verification.
+ */
+export async function linkSignedWallet({
+  fid,
+  address,
+  issuedAt,
+  signature,
+}: {
+  fid: number;
+  address: Address;
+  issuedAt: number;
+  signature: Hex;
+}): Promise<boolean> {
+  const age = Date.now() - issuedAt;
+  if (age < -60_000 || age > WALLET_LINK_MAX_AGE_MS) {
+    return false;
+  }
+
+  const valid = await getPublicClient().verifyMessage({
+    address,
+    message: getWalletLinkMessage({ fid, address, issuedAt }),
+    signature,
+  });
+  if (valid) {
+    await setWalletLink(fid, address, "frame");
+  }
+  return valid;
+}
@@ -0,0 +1,25 @@
+import { expect } from "chai";
+import { getCallerFidError } from "../../src/lib/callerAuth";
+
+describe("getCallerFidError", function () {
+  it("rejects a caller who hasn't signed in", async function () {
+    for (const callerFid of [null, undefined]) {
+      const response = getCallerFidError(callerFid, 1);
+      expect(response?.status).to.equal(401);
+      expect(await response?.json()).to.deep.equal({ success: false, error: "Sign in with Farcaster first" });
+    }
+  });
+
+  it("rejects a caller acting for another FID", async function () {
+    const response = getCallerFidError(2, 1);
+    expect(response?.status).to.equal(403);
+    expect(await response?.json()).to.deep.equal({
+      success: false,
+      error: "FID does not match signed-in user",
+    });
+  });
+
+  it("lets a caller act for their own FID", function () {
+    expect(getCallerFidError(1, 1)).to.equal(null);
+  });
+});
@@ -0,0 +1,116 @@
+import { clearStorage, mockFetch, restoreFetch } from "./setup";
+
+import { expect } from "chai";
+import { type Address, type Hash, numberToHex, pad } from "viem";
+import { runIndexer } from "../../src/lib/indexer";
+import {
+  addIndexedEvents,
+  getAccountEvents,
+  getIndexedPresales,
+  getIndexerCursor,
+  getPresaleEvents,
+  type IndexedEvent,
+  type IndexedEventType,
+  setIndexerCursor,
+} from "../../src/lib/indexerStore";
+
+const owner: Address = "0x00000000000000000000000000000000000000aa";
+const locker: Address = "0x00000000000000000000000000000000000000bb";
+const keptPresale: Address = "0x0000000000000000000000000000000000000001";
+const orphanedPresale: Address = "0x0000000000000000000000000000000000000002";
+
+// The hash each block has on the canonical chain
+const canonicalHash = (blockNumber: number): Hash => pad(numberToHex(blockNumber), { size: 32 });
+
+function event(type: IndexedEventType, presale: Address, blockNumber: number, logIndex = 0): IndexedEvent {
+  const transactionHash = pad(numberToHex(blockNumber * 10 + 1), { size: 32 });
+  return {
+    id: `${transactionHash}:${logIndex}`,
+    type,
+    presale,
+    account: owner,
+    amount: null,
+    args: {},
+    blockNumber,
+    blockHash: canonicalHash(blockNumber),
+    transactionHash,
+    logIndex,
+    timestamp: blockNumber * 12,
+  };
+}
+
+/**
+ * Answers the JSON-RPC calls the indexer makes, for a chain whose head is
+ * `head`.
+ */
+function mockChain(head: number) {
+  mockFetch(async (_url, init) => {
+    const { id, method, params } = JSON.parse(String(init.body));
+    const results: Record<string, () => unknown> = {
+      eth_blockNumber: () => numberToHex(head),
+      eth_getBlockByNumber: () => {
+        const blockNumber = Number(params[0]);
+        return {
+          number: params[0],
+          hash: canonicalHash(blockNumber),
+          parentHash: canonicalHash(blockNumber - 1),
+          timestamp: numberToHex(blockNumber * 12),
+          transactions: [],
+        };
+      },
+      // The factory's liquidityLocker()
+      eth_call: () => pad(locker, { size: 32 }),
+    };
+    return Response.json({ jsonrpc: "2.0", id, result: results[method]() });
+  });
+}
+
+describe("runIndexer", function () {
+  const realConsoleWarn = console.warn;
+
+  beforeEach(async function () {
+    await clearStorage();
+    await addIndexedEvents([
+      event("PresaleCreated", keptPresale, 80),
+      event("PresaleCreated", orphanedPresale, 100),
+      event("Finalized", keptPresale, 150),
+      event("LiquidityLocked", keptPresale, 150, 1),
+    ]);
+    console.warn = () => {};
+  });
+
+  afterEach(function () {
+    console.warn = realConsoleWarn;
+    restoreFetch();
+  });
+
+  it("rewinds past a reorged block and drops the events after it", async function () {
+    await setIndexerCursor({ blockNumber: 150, blockHash: pad("0xdead", { size: 32 }), lockCount: 2 });
+    // Rewinding goes back 64 blocks, to 86; the head is there too, so nothing
+    // is indexed again
+    mockChain(86);
+
+    expect(await runIndexer()).to.deep.equal({ blockNumber: 86, indexed: 0 });
+    expect(await getIndexerCursor()).to.deep.equal({
+      blockNumber: 86,
+      blockHash: canonicalHash(86),
+      lockCount: 1,
+    });
+    expect(await getIndexedPresales()).to.deep.equal([keptPresale]);
+    expect((await getPresaleEvents(keptPresale)).events.map((event) => event.type)).to.deep.equal([
+      "PresaleCreated",
+    ]);
+    expect((await getPresaleEvents(orphanedPresale)).total).to.equal(0);
+    expect((await getAccountEvents(owner)).total).to.equal(1);
+  });
+
+  it("keeps everything while the last indexed block is canonical", async function () {
+    await setIndexerCursor({ blockNumber: 150, blockHash: canonicalHash(150), lockCount: 2 });
+    mockChain(150);
+
+    expect(await runIndexer()).to.deep.equal({ blockNumber: 150, indexed: 0 });
+    expect((await getIndexerCursor())?.lockCount).to.equal(2);
+    expect(await getIndexedPresales()).to.deep.equal([keptPresale, orphanedPresale]);
+    expect((await getAccountEvents(owner)).total).to.equal(4);
+  });
+});
@@ -0,0 +1,123 @@
+import { clearStorage } from "./setup";
+
+import { expect } from "chai";
+import { type Address, zeroAddress } from "viem";
+import { getDueLifecycleNotices, sendOnce } from "../../src/lib/lifecycle";
+import { PresaleState, type PresaleInfo, type PresaleStateValue } from "../../src/lib/presale";
+
+const now = 1_700_000_000;
+const day = 24 * 60 * 60;
+
+function presaleWith({
+  state = PresaleState.Active,
+  start = now - 3600,
+  end = now + 3600,
+  weiRaised = 3n * 10n ** 18n,
+  claimDeadline = 0,
+}: {
+  state?: PresaleStateValue;
+  start?: number;
+  end?: number;
+  weiRaised?: bigint;
+  claimDeadline?: number;
+} = {}): PresaleInfo {
+  return {
+    address: "0x0000000000000000000000000000000000000001",
+    pool: {
+      token: "0x0000000000000000000000000000000000000002",
+      uniswapV2Router02: zeroAddress,
+      factory: zeroAddress,
+      tokenBalance: 0n,
+      tokensClaimable: 0n,
+      tokensLiquidity: 0n,
+      weiRaised,
+      weth: zeroAddress,
+      state,
+      options: {
+        tokenDeposit: 1000n * 10n ** 18n,
+        hardCap: 10n * 10n ** 18n,
+        softCap: 5n * 10n ** 18n,
+        max: 10n ** 18n,
+        min: 10n ** 17n,
+        start: BigInt(start),
+        end: BigInt(end),
+        liquidityBps: 5100n,
+        slippageBps: 200n,
+        presaleRate: 100n,
+        listingRate: 50n,
+        lockupDuration: 86_400n,
+        currency: zeroAddress,
+      },
+    },
+    paused: false,
+    whitelistEnabled: false,
+    owner: "0x0000000000000000000000000000000000000003" as Address,
+    ownerBalance: 0n,
+    claimDeadline: BigInt(claimDeadline),
+    token: { address: "0x0000000000000000000000000000000000000002", symbol: "FARS", decimals: 18 },
+    currency: { address: zeroAddress, symbol: "ETH", decimals: 18 },
+  };
+}
+
+describe("getDueLifecycleNotices", function () {
+  it("announces a sale that is open", function () {
+    expect(getDueLifecycleNotices(presaleWith(), now)).to.deep.equal(["started"]);
+    expect(getDueLifecycleNotices(presaleWith({ start: now + 1 }), now)).to.deep.equal([]);
+  });
+
+  it("warns contributors near the hard cap", function () {
+    const presale = presaleWith({ weiRaised: 9n * 10n ** 18n });
+    expect(getDueLifecycleNotices(presale, now)).to.deep.equal(["started", "nearHardCap"]);
+  });
+
+  it("announces refunds for a week after a sale ends below its soft cap", function () {
+    const end = now - 3600;
+    expect(getDueLifecycleNotices(presaleWith({ end }), now)).to.deep.equal(["refundable"]);
+    expect(getDueLifecycleNotices(presaleWith({ end }), end + 7 * day + 1)).to.deep.equal([]);
+    expect(getDueLifecycleNotices(presaleWith({ end, weiRaised: 5n * 10n ** 18n }), now)).to.deep.equal([]);
+  });
+
+  it("announces finalization until the claim deadline, with a warning near it", function () {
+    const finalized = (claimDeadline: number) =>
+      presaleWith({ state: PresaleState.Finalized, end: now - day, claimDeadline });
+    expect(getDueLifecycleNotices(finalized(now + 30 * day), now)).to.deep.equal(["finalized"]);
+    expect(getDueLifecycleNotices(finalized(now + 3600), now)).to.deep.equal(["finalized", "claimDeadline"]);
+    expect(getDueLifecycleNotices(finalized(now - 1), now)).to.deep.equal([]);
+  });
+
+  it("announces a cancellation for a week after the sale's end", function () {
+    const cancelled = presaleWith({ state: PresaleState.Cancelled });
+    expect(getDueLifecycleNotices(cancelled, now)).to.deep.equal(["cancelled"]);
+    expect(getDueLifecycleNotices(cancelled, now + 3600 + 7 * day + 1)).to.deep.equal([]);
+  });
+});
+
+describe("sendOnce", function () {
+  const realConsoleError = console.error;
+
+  beforeEach(async function () {
+    await clearStorage();
+  });
+
+  afterEach(function () {
+    console.error = realConsoleError;
+  });
+
+  it("sends each notice once", async function () {
+    let sends = 0;
+    const send = async () => ++sends;
+    expect(await sendOnce("0xabc", "finalized", send)).to.deep.equal({ sent: 1 });
+    expect(await sendOnce("0xABC", "finalized", send)).to.equal(null);
+    expect(await sendOnce("0xabc", "cancelled", send)).to.deep.equal({ sent: 2 });
+    expect(sends).to.equal(2);
+  });
+
+  it("tries a failed send again on the next run", async function () {
+    console.error = () => {};
+    const failed = await sendOnce("0xabc", "finalized", async () => {
+      throw new Error("RPC unavailable");
+    });
+    expect(failed).to.deep.equal({ sent: 0, error: "RPC unavailable" });
+    expect(await sendOnce("0xabc", "finalized", async () => 3)).to.deep.equal({ sent: 3 });
+  });
+});
@@ -0,0 +1,90 @@
+import { expect } from "chai";
+import { getImageSize } from "../../src/lib/manifestValidation.js";
+
+// Just enough of each format's header for getImageSize to read.
+
+function bytes(...parts: (string | number[])[]): Uint8Array {
+  return Uint8Array.from(
+    parts.flatMap((part) => (typeof part === "string" ? [...part].map((char) => char.charCodeAt(0)) : part))
+  );
+}
+
+const le16 = (value: number) => [value & 0xff, value >> 8];
+const le24 = (value: number) => [value & 0xff, (value >> 8) & 0xff, value >> 16];
+const le32 = (value: number) => [...le16(value & 0xffff), ...le16(value >>> 16)];
+const be16 = (value: number) => [value >> 8, value & 0xff];
+const be32 = (value: number) => [...be16(value >>> 16), ...be16(value & 0xffff)];
+
+function png(width: number, height: number) {
+  return bytes([0x89], "PNG\r\n", [0x1a, 0x0a], be32(13), "IHDR", be32(width), be32(height), [8, 6, 0, 0, 0]);
+}
+
+function gif(width: number, height: number) {
+  return bytes("GIF89a", le16(width), le16(height), [0, 0, 0]);
+}
+
+function webp(chunk: string, data: number[]) {
+  return bytes("RIFF", le32(4 + 8 + data.length), "WEBP", chunk, le32(data.length), data);
+}
+
+function vp8x(width: number, height: number) {
+  return webp("VP8X", [0, 0, 0, 0, ...le24(width - 1), ...le24(height - 1)]);
+}
+
+function vp8(width: number, height: number) {
+  // Frame tag, then the key frame start code
+  return webp("VP8 ", [0, 0, 0, 0x9d, 0x01, 0x2a, ...le16(width), ...le16(height)]);
+}
+
+function vp8l(width: number, height: number) {
+  const bits = (width - 1) | ((height - 1) << 14);
+  return webp("VP8L", [0x2f, ...le32(bits)]);
+}
+
+function jpeg(width: number, height: number) {
+  const app0 = [0xff, 0xe0, ...be16(16), ...bytes("JFIF\0"), 1, 1, 0, ...be16(1), ...be16(1), 0, 0];
+  const sof0 = [0xff, 0xc0, ...be16(17), 8, ...be16(height), ...be16(width), 3, ...Array(9).fill(0)];
+  return bytes([0xff, 0xd8], app0, sof0);
+}
+
+describe("getImageSize", function () {
+  it("reads PNG", function () {
+    expect(getImageSize(png(200, 100))).to.deep.equal({ width: 200, height: 100 });
+  });
+
+  it("reads GIF", function () {
+    expect(getImageSize(gif(300, 200))).to.deep.equal({ width: 300, height: 200 });
+  });
+
+  it("reads WebP with a VP8X chunk", function () {
+    expect(getImageSize(vp8x(1200, 800))).to.deep.equal({ width: 1200, height: 800 });
+    expect(getImageSize(vp8x(0x1000000, 1))).to.deep.equal({ width: 0x1000000, height: 1 });
+  });
+
+  it("reads lossy WebP", function () {
+    expect(getImageSize(vp8(640, 480))).to.deep.equal({ width: 640, height: 480 });
+  });
+
+  it("reads lossless WebP", function () {
+    expect(getImageSize(vp8l(200, 200))).to.deep.equal({ width: 200, height: 200 });
+    expect(getImageSize(vp8l(16384, 1))).to.deep.equal({ width: 16384, height: 1 });
+  });
+
+  it("reads JPEG past leading segments", function () {
+    expect(getImageSize(jpeg(1500, 1000))).to.deep.equal({ width: 1500, height: 1000 });
+  });
+
+  it("returns null for unknown formats", function () {
+    expect(getImageSize(bytes("<svg xmlns='http://www.w3.org/2000/svg'/>"))).to.equal(null);
+    expect(getImageSize(new Uint8Array())).to.equal(null);
+  });
+
+  it("returns null for truncated headers instead of reading past the end", function () {
+    for (const image of [png(1, 1), gif(1, 1), vp8x(1, 1), vp8(1, 1), vp8l(1, 1), jpeg(1, 1)]) {
+      for (let length = 0; length < image.length; length++) {
+        expect(() => getImageSize(image.subarray(0, length))).not.to.throw();
+      }
+    }
+    expect(getImageSize(vp8x(1, 1).subarray(0, 29))).to.equal(null);
+  });
+});
@@ -0,0 +1,115 @@
+import { clearStorage, mockFetch, restoreFetch } from "./setup";
+
+import { expect } from "chai";
+import { getUserNotificationDetails, setUserNotificationDetails } from "../../src/lib/kv";
+import { drainOutbox, getOutboxEntriesForFid, sendQueuedNotification } from "../../src/lib/outbox";
+
+const fid = 1;
+const details = { url: "https://client.test/notify", token: "token-1" };
+const notification = { fids: [fid], title: "Title", body: "Body", notificationId: "test:1" };
+
+function respond(result: { successfulTokens?: string[]; invalidTokens?: string[] }) {
+  return Response.json({
+    result: { successfulTokens: [], invalidTokens: [], rateLimitedTokens: [], ...result },
+  });
+}
+
+describe("outbox", function () {
+  let now: number;
+  const realNow = Date.now;
+  const realConsoleError = console.error;
+
+  beforeEach(async function () {
+    await clearStorage();
+    await setUserNotificationDetails(fid, details);
+    now = realNow();
+    Date.now = () => now;
+    // Failed sends are logged
+    console.error = () => {};
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+    console.error = realConsoleError;
+    restoreFetch();
+  });
+
+  it("marks a delivered entry sent", async function () {
+    mockFetch(() => respond({ successfulTokens: [details.token] }));
+    const [entry] = await sendQueuedNotification(notification);
+    expect(entry).to.include({ status: "sent", attempts: 1, nextAttemptAt: null, sentAt: now });
+  });
+
+  it("doesn't queue the same notification twice", async function () {
+    mockFetch(() => respond({ successfulTokens: [details.token] }));
+    await sendQueuedNotification(notification);
+    expect(await sendQueuedNotification(notification)).to.deep.equal([]);
+    expect((await getOutboxEntriesForFid(fid)).total).to.equal(1);
+  });
+
+  it("retries failed deliveries with a doubling delay", async function () {
+    mockFetch(() => Response.json({ error: "unavailable" }, { status: 503 }));
+    const [entry] = await sendQueuedNotification(notification);
+    expect(entry).to.include({ status: "failed", attempts: 1, nextAttemptAt: now + 60_000 });
+
+    // Not due yet
+    now += 59_999;
+    expect(await drainOutbox()).to.include({ processed: 0 });
+
+    now += 1;
+    expect(await drainOutbox()).to.include({ processed: 1, failed: 1 });
+    const { entries } = await getOutboxEntriesForFid(fid);
+    expect(entries[0]).to.include({ status: "failed", attempts: 2, nextAttemptAt: now + 120_000 });
+  });
+
+  it("stops retrying after the last attempt", async function () {
+    mockFetch(() => Response.json({ error: "unavailable" }, { status: 503 }));
+    await sendQueuedNotification(notification);
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      now += 60_000 * 2 ** (attempt - 2);
+      expect(await drainOutbox()).to.include({ processed: 1, failed: 1 });
+    }
+
+    const { entries } = await getOutboxEntriesForFid(fid);
+    expect(entries[0]).to.include({ status: "failed", attempts: 5, nextAttemptAt: null });
+    now += 365 * 24 * 60 * 60 * 1000;
+    expect(await drainOutbox()).to.include({ processed: 0 });
+  });
+
+  it("delivers a retried entry once the client recovers", async function () {
+    mockFetch(() => Response.json({ error: "unavailable" }, { status: 503 }));
+    await sendQueuedNotification(notification);
+
+    mockFetch(() => respond({ successfulTokens: [details.token] }));
+    now += 60_000;
+    expect(await drainOutbox()).to.include({ processed: 1, sent: 1 });
+    const { entries } = await getOutboxEntriesForFid(fid);
+    expect(entries[0]).to.include({ status: "sent", attempts: 2, nextAttemptAt: null });
+  });
+
+  it("gives up on rejected tokens and forgets them", async function () {
+    mockFetch(() => respond({ invalidTokens: [details.token] }));
+    const [entry] = await sendQueuedNotification(notification);
+    expect(entry).to.include({ status: "invalid", nextAttemptAt: null });
+    expect(await getUserNotificationDetails(fid)).to.equal(null);
+  });
+
+  it("keeps a token registered after the rejected one", async function () {
+    const replacement = { ...details, token: "token-2" };
+    mockFetch(async () => {
+      // The user re-adds the frame while the send is in flight
+      await setUserNotificationDetails(fid, replacement);
+      return respond({ invalidTokens: [details.token] });
+    });
+    await sendQueuedNotification(notification);
+    expect(await getUserNotificationDetails(fid)).to.deep.equal(replacement);
+  });
+
+  it("doesn't retry FIDs without a token", async function () {
+    mockFetch(() => {
+      throw new Error("Nothing should be sent");
+    });
+    const [entry] = await sendQueuedNotification({ ...notification, fids: [2] });
+    expect(entry).to.include({ status: "invalid", lastError: "No notification token", nextAttemptAt: null });
+  });
+});
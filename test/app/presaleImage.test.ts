@@ -0,0 +1,70 @@
+import { expect } from "chai";
+import { type Address, zeroAddress } from "viem";
+import { renderPresaleImage } from "../../src/components/presale/PresaleImage";
+import { PresaleState, type PresaleInfo } from "../../src/lib/presale";
+
+const size = { width: 600, height: 400 };
+const now = 1_700_000_000;
+
+const presale: PresaleInfo = {
+  address: "0x0000000000000000000000000000000000000001",
+  pool: {
+    token: "0x0000000000000000000000000000000000000002",
+    uniswapV2Router02: zeroAddress,
+    factory: zeroAddress,
+    tokenBalance: 0n,
+    tokensClaimable: 0n,
+    tokensLiquidity: 0n,
+    weiRaised: 3n * 10n ** 18n,
+    weth: zeroAddress,
+    state: PresaleState.Active,
+    options: {
+      tokenDeposit: 1000n * 10n ** 18n,
+      hardCap: 10n * 10n ** 18n,
+      softCap: 5n * 10n ** 18n,
+      max: 10n ** 18n,
+      min: 10n ** 17n,
+      start: BigInt(now - 3600),
+      end: BigInt(now + 3600),
+      liquidityBps: 5100n,
+      slippageBps: 200n,
+      presaleRate: 100n,
+      listingRate: 50n,
+      lockupDuration: 86_400n,
+      currency: zeroAddress,
+    },
+  },
+  paused: false,
+  whitelistEnabled: false,
+  owner: "0x0000000000000000000000000000000000000003" as Address,
+  ownerBalance: 0n,
+  claimDeadline: 0n,
+  token: { address: "0x0000000000000000000000000000000000000002", symbol: "FARS", decimals: 18 },
+  currency: { address: zeroAddress, symbol: "ETH", decimals: 18 },
+};
+
+const pngSignature = [0x89, 0x50, 0x4e, 0x47];
+
+async function render(info: PresaleInfo | null): Promise<Uint8Array> {
+  return new Uint8Array(await renderPresaleImage(info, { now, size }).arrayBuffer());
+}
+
+describe("renderPresaleImage", function () {
+  // Loading the renderer's fonts and wasm takes a moment on the first call
+  this.timeout(20_000);
+
+  it("renders a found presale", async function () {
+    const image = await render(presale);
+    expect([...image.subarray(0, 4)]).to.deep.equal(pngSignature);
+  });
+
+  it("renders a paused, finalized presale", async function () {
+    const image = await render({ ...presale, paused: true, pool: { ...presale.pool, state: PresaleState.Finalized } });
+    expect([...image.subarray(0, 4)]).to.deep.equal(pngSignature);
+  });
+
+  it("renders the not-found card", async function () {
+    const image = await render(null);
+    expect([...image.subarray(0, 4)]).to.deep.equal(pngSignature);
+  });
+});
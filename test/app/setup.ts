@@ -0,0 +1,35 @@
+import { getStorage } from "../../src/lib/storage";
+
+// Imported first by tests that touch app state, so these are set before the
+// modules that read them at load time
+process.env.STORAGE_BACKEND = "memory";
+process.env.NEXT_PUBLIC_URL = "https://frame.test";
+process.env.NEXT_PUBLIC_PRESALE_FACTORY_ADDRESS = "0x00000000000000000000000000000000000000fa";
+process.env.RPC_URL = "http://rpc.test";
+delete process.env.NEYNAR_API_KEY;
+delete process.env.NEYNAR_CLIENT_ID;
+
+/**
+ * Empties the shared storage between tests.
+ */
+export async function clearStorage(): Promise<void> {
+  const storage = await getStorage();
+  const keys = await storage.scan("");
+  if (keys.length > 0) await storage.del(...keys);
+}
+
+export type FetchHandler = (url: string, init: RequestInit) => Response | Promise<Response>;
+
+const realFetch = globalThis.fetch;
+
+/**
+ * Answers every `fetch` with `handler` until `restoreFetch` is called.
+ */
+export function mockFetch(handler: FetchHandler): void {
+  globalThis.fetch = async (input, init = {}) =>
+    handler(input instanceof Request ? input.url : String(input), init);
+}
+
+export function restoreFetch(): void {
+  globalThis.fetch = realFetch;
+}
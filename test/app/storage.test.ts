@@ -0,0 +1,206 @@
+import { expect } from "chai";
+import { createStorage, type Storage, type StorageBackend } from "../../src/lib/storage";
+
+// The local backends; Upstash and Redis need a server to talk to.
+const backends: StorageBackend[] = ["memory", "sqlite"];
+
+for (const backend of backends) {
+  describe(`${backend} storage`, function () {
+    let storage: Storage;
+    let now: number;
+    const realNow = Date.now;
+
+    beforeEach(async function () {
+      process.env.SQLITE_PATH = ":memory:";
+      storage = await createStorage(backend);
+      now = realNow();
+      Date.now = () => now;
+    });
+
+    afterEach(function () {
+      Date.now = realNow;
+    });
+
+    describe("set", function () {
+      it("round-trips JSON values", async function () {
+        await storage.set("key", { a: 1, b: ["x"] });
+        expect(await storage.get("key")).to.deep.equal({ a: 1, b: ["x"] });
+        expect(await storage.mget(["key", "missing"])).to.deep.equal([{ a: 1, b: ["x"] }, null]);
+      });
+
+      it("only writes a missing key with nx", async function () {
+        expect(await storage.set("key", 1, { nx: true })).to.equal(true);
+        expect(await storage.set("key", 2, { nx: true })).to.equal(false);
+        expect(await storage.get("key")).to.equal(1);
+      });
+
+      it("writes an expired key with nx", async function () {
+        await storage.set("key", 1, { ttlSeconds: 10 });
+        now += 10_000;
+        expect(await storage.set("key", 2, { nx: true })).to.equal(true);
+        expect(await storage.get("key")).to.equal(2);
+      });
+
+      it("clears the TTL when overwritten without one", async function () {
+        await storage.set("key", 1, { ttlSeconds: 10 });
+        await storage.set("key", 2);
+        expect(await storage.ttl("key")).to.equal(-1);
+      });
+    });
+
+    describe("ttl", function () {
+      it("expires keys once their TTL has passed", async function () {
+        await storage.set("key", 1, { ttlSeconds: 10 });
+        expect(await storage.ttl("key")).to.equal(10);
+        now += 9_999;
+        expect(await storage.get("key")).to.equal(1);
+        now += 1;
+        expect(await storage.get("key")).to.equal(null);
+        expect(await storage.ttl("key")).to.equal(-2);
+      });
+
+      it("keeps the TTL across incr", async function () {
+        await storage.set("counter", 0, { ttlSeconds: 60 });
+        expect(await storage.incr("counter")).to.equal(1);
+        expect(await storage.incr("counter")).to.equal(2);
+        expect(await storage.ttl("counter")).to.equal(60);
+        now += 60_000;
+        expect(await storage.incr("counter")).to.equal(1);
+        expect(await storage.ttl("counter")).to.equal(-1);
+      });
+
+      it("expires lists, hashes and sorted sets", async function () {
+        await storage.lpush("list", 1);
+        await storage.hset("hash", "field", 1);
+        await storage.zadd("zset", [{ score: 1, member: "a" }]);
+        for (const key of ["list", "hash", "zset"]) await storage.expire(key, 5);
+        now += 5_000;
+        expect(await storage.llen("list")).to.equal(0);
+        expect(await storage.hgetall("hash")).to.deep.equal({});
+        expect(await storage.zcard("zset")).to.equal(0);
+      });
+
+      it("doesn't set a TTL on a missing key", async function () {
+        await storage.expire("missing", 5);
+        expect(await storage.ttl("missing")).to.equal(-2);
+      });
+    });
+
+    describe("lists", function () {
+      beforeEach(async function () {
+        for (const value of [1, 2, 3, 4, 5]) await storage.lpush("list", value);
+      });
+
+      it("reads ranges newest first, with negative indexes from the end", async function () {
+        expect(await storage.lrange("list", 0, -1)).to.deep.equal([5, 4, 3, 2, 1]);
+        expect(await storage.lrange("list", 1, 2)).to.deep.equal([4, 3]);
+        expect(await storage.lrange("list", -2, -1)).to.deep.equal([2, 1]);
+        expect(await storage.lrange("list", 3, 100)).to.deep.equal([2, 1]);
+        expect(await storage.lrange("list", 10, 20)).to.deep.equal([]);
+        expect(await storage.lrange("list", 3, 1)).to.deep.equal([]);
+      });
+
+      it("trims to an inclusive range", async function () {
+        await storage.ltrim("list", 0, 2);
+        expect(await storage.lrange("list", 0, -1)).to.deep.equal([5, 4, 3]);
+        expect(await storage.llen("list")).to.equal(3);
+        await storage.lpush("list", 6);
+        await storage.ltrim("list", 0, 2);
+        expect(await storage.lrange("list", 0, -1)).to.deep.equal([6, 5, 4]);
+      });
+
+      it("trims with negative indexes", async function () {
+        await storage.ltrim("list", -2, -1);
+        expect(await storage.lrange("list", 0, -1)).to.deep.equal([2, 1]);
+      });
+
+      it("removes the list when the range is empty", async function () {
+        await storage.expire("list", 60);
+        await storage.ltrim("list", 5, 10);
+        expect(await storage.llen("list")).to.equal(0);
+        expect(await storage.ttl("list")).to.equal(-2);
+        await storage.lpush("list", 1);
+        expect(await storage.ttl("list")).to.equal(-1);
+      });
+    });
+
+    describe("sorted sets", function () {
+      beforeEach(async function () {
+        await storage.zadd("zset", [
+          { score: 30, member: "c" },
+          { score: 10, member: "a" },
+          { score: 20, member: "b" },
+          { score: 40, member: "d" },
+        ]);
+      });
+
+      it("reads ranges by rank", async function () {
+        expect(await storage.zrange("zset", 0, -1)).to.deep.equal(["a", "b", "c", "d"]);
+        expect(await storage.zrange("zset", 1, 2)).to.deep.equal(["b", "c"]);
+        expect(await storage.zrange("zset", -2, -1)).to.deep.equal(["c", "d"]);
+        expect(await storage.zrange("zset", 0, 1, { rev: true })).to.deep.equal(["d", "c"]);
+        expect(await storage.zrange("zset", 2, 100, { rev: true })).to.deep.equal(["b", "a"]);
+        expect(await storage.zrange("zset", 10, 20)).to.deep.equal([]);
+      });
+
+      it("updates the score of an existing member", async function () {
+        await storage.zadd("zset", [{ score: 50, member: "a" }]);
+        expect(await storage.zrange("zset", 0, -1)).to.deep.equal(["b", "c", "d", "a"]);
+        expect(await storage.zcard("zset")).to.equal(4);
+      });
+
+      it("reads ranges by score", async function () {
+        expect(await storage.zrangeByScore("zset", 20, 30)).to.deep.equal(["b", "c"]);
+        expect(await storage.zrangeByScore("zset", 20, 30, { exclusiveMin: true })).to.deep.equal(["c"]);
+        expect(await storage.zrangeByScore("zset", 0, Infinity)).to.deep.equal(["a", "b", "c", "d"]);
+      });
+
+      it("pages ranges by score with offset and count", async function () {
+        expect(await storage.zrangeByScore("zset", 0, 100, { offset: 0, count: 2 })).to.deep.equal(["a", "b"]);
+        expect(await storage.zrangeByScore("zset", 0, 100, { offset: 2, count: 2 })).to.deep.equal(["c", "d"]);
+        expect(await storage.zrangeByScore("zset", 0, 100, { offset: 3, count: 10 })).to.deep.equal(["d"]);
+        expect(await storage.zrangeByScore("zset", 15, 100, { offset: 1, count: 1 })).to.deep.equal(["c"]);
+      });
+
+      it("removes members", async function () {
+        await storage.zrem("zset", ["a", "c", "missing"]);
+        expect(await storage.zrange("zset", 0, -1)).to.deep.equal(["b", "d"]);
+        expect(await storage.zcard("zset")).to.equal(2);
+      });
+
+      it("removes the key with its last member", async function () {
+        await storage.expire("zset", 60);
+        await storage.zrem("zset", ["a", "b", "c", "d"]);
+        expect(await storage.ttl("zset")).to.equal(-2);
+        await storage.zadd("zset", [{ score: 1, member: "a" }]);
+        expect(await storage.ttl("zset")).to.equal(-1);
+      });
+    });
+
+    describe("hashes", function () {
+      it("removes fields", async function () {
+        await storage.hset("hash", "a", 1);
+        await storage.hset("hash", "b", 2);
+        await storage.hdel("hash", "a", "missing");
+        expect(await storage.hgetall("hash")).to.deep.equal({ b: 2 });
+        expect(await storage.hget("hash", "a")).to.equal(null);
+      });
+
+      it("removes the key with its last field", async function () {
+        await storage.hset("hash", "field", 1);
+        await storage.expire("hash", 60);
+        await storage.hdel("hash", "field");
+        expect(await storage.ttl("hash")).to.equal(-2);
+        await storage.hset("hash", "field", 2);
+        expect(await storage.ttl("hash")).to.equal(-1);
+      });
+    });
+
+        it("scans keys by prefix", async function () {
+      await storage.set("a:1", 1);
+      await storage.hset("a:2", "field", 1);
+      await storage.set("b:1", 1);
+      expect((await storage.scan("a:")).sort()).to.deep.equal(["a:1", "a:2"]);
+    });
+  });
+}